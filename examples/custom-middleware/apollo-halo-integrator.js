@@ -2,23 +2,82 @@
 // This endpoint is designed to be polled by HaloPSA's Halo Integrator service
 
 const express = require('express');
-const apolloConfig = require('../schemas/apollo-io-config.json');
-const environmentConfig = require('../config/environment.json');
+const { defaultRateLimiter, parseRetryAfter } = require('./lib/rate-limiter');
+const { createStateStore } = require('./lib/state-store');
+const { SyncCursor } = require('./lib/sync-cursor');
+const { SuppressionList } = require('./lib/suppression-list');
+const { createLogger, withCorrelationId } = require('./lib/logger');
+const { validateConfig } = require('./lib/config-schemas');
+const { loadConfig, adaptConfig, mergeConfig } = require('./lib/config-loader');
 
-const app = express();
-app.use(express.json());
+// Apollo API, search and mapping settings (defaults from schemas/apollo-io-config.json);
+// integrator_settings["apollo-halo"].apollo overrides any of them
+const DEFAULT_APOLLO_SETTINGS = {
+  api_config: {
+    base_url: 'https://api.apollo.io/v1',
+    authentication: { type: 'api_key', header_name: 'X-Api-Key' },
+    endpoints: {
+      search_people: {
+        method: 'POST',
+        path: '/mixed_people/search',
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' }
+      }
+    }
+  },
+  // Newest first, so paging can stop at the first page with nothing new
+  query_templates: {
+    search_by_domain: { q_organization_domains: 'target-company.com', sort_by_field: 'person_created_at', sort_ascending: false, page: 1, per_page: 50 }
+  },
+  max_pages: 10,
+  field_mappings: {
+    person_to_halopsa_contact: {
+      firstname: { apollo_field: 'first_name' },
+      surname: { apollo_field: 'last_name' },
+      emailaddress: { apollo_field: 'email' },
+      phonenumber: { apollo_field: 'phone_numbers[0].sanitized_number', transformation: 'format_phone' },
+      jobtitle: { apollo_field: 'title' },
+      linkedinurl: { apollo_field: 'linkedin_url' },
+      client_name: { apollo_field: 'organization.name' },
+      notes: { template: 'Imported from Apollo.io on {{current_date}}' }
+    },
+    organization_to_halopsa_org: {
+      name: { apollo_field: 'name' },
+      website: { apollo_field: 'website_url', transformation: 'normalize_url' },
+      phonenumber: { apollo_field: 'phone' },
+      industry: { apollo_field: 'industry' },
+      employee_count: { apollo_field: 'estimated_num_employees' },
+      address: { apollo_field: 'street_address' },
+      city: { apollo_field: 'city' },
+      county: { apollo_field: 'state' },
+      postcode: { apollo_field: 'postal_code' },
+      country: { apollo_field: 'country' }
+    }
+  }
+};
 
 class ApolloHaloIntegrator {
-  constructor() {
-    this.apollo = new ApolloAPIClient(environmentConfig.b2b_sources.apollo.api_key);
-    this.lastSyncTimestamp = null;
+  /**
+   * @param {object} [config] - environment-config.json layout; defaults to loadConfig() (file, env vars, secret files)
+   */
+  constructor(config = loadConfig()) {
+    this.config = adaptConfig(config, 'apollo-halo');
+    validateConfig(this.config, { '': 'environment-config' }, 'Apollo polling endpoint');
+    this.settings = mergeConfig(DEFAULT_APOLLO_SETTINGS, this.config.apollo);
+    this.apollo = new ApolloAPIClient(this.config.b2b_sources?.apollo?.api_key, this.settings.api_config);
+    this.stateStore = createStateStore(this.config.state_store, this.config.tenant_id);
+    this.contactCursor = new SyncCursor(this.stateStore, 'apollo', 'contacts');
+    this.organizationCursor = new SyncCursor(this.stateStore, 'apollo', 'organizations');
+    this.suppression = new SuppressionList(this.stateStore, this.config.suppression);
+    this.logger = createLogger({ ...this.config.logging, service: 'apollo-halo-integrator', tenant: this.config.tenant_id });
   }
 
   // Main endpoint for Halo Integrator polling
   async handleHaloIntegratorRequest(req, res) {
     try {
-      const lastSync = req.query.last_sync || this.getDefaultStartTime();
-      const records = await this.fetchAndTransformContacts(lastSync);
+      await this.contactCursor.begin();
+      await this.organizationCursor.begin();
+
+      const records = await this.fetchAndTransformContacts();
       
       // Return data in Halo Integrator format
       const response = {
@@ -34,44 +93,72 @@ class ApolloHaloIntegrator {
       };
 
       res.json(response);
-      
     } catch (error) {
-      console.error('Apollo sync error:', error);
+      this.logger.error('Apollo sync error', { error: error.message, stack: error.stack });
       
       // Return error in format Halo Integrator can handle
       res.status(500).json({
         status: 'error',
         error_code: 'APOLLO_API_ERROR',
         message: error.message,
-        retry_after_seconds: 300
+        retry_after_seconds: error.retryAfterSeconds || 300
       });
+      return;
+    }
+
+    // Only remember what was actually handed to Halo Integrator. The response is already sent,
+    // so a failed commit is only logged: the same records are upserted again next poll.
+    try {
+      await this.contactCursor.commit();
+      await this.organizationCursor.commit();
+    } catch (error) {
+      this.logger.error('Apollo sync cursor commit failed; records will be sent again', { error: error.message });
     }
   }
 
-  async fetchAndTransformContacts(lastSync) {
+  /**
+   * Contacts and organizations that are new or changed since the last committed run. Pages are
+   * read newest first until one has nothing new (at most max_pages), so a missed poll is caught up.
+   */
+  async fetchAndTransformContacts() {
     const records = [];
-    
-    // Use Apollo search template from config
-    const searchQuery = {
-      ...apolloConfig.query_templates.search_by_domain,
-      q_organization_domains: 'target-company.com', // Could be dynamic
-      page: 1,
-      per_page: 50
-    };
-
-    const apolloResponse = await this.apollo.searchPeople(searchQuery);
-    
-    for (const person of apolloResponse.people || []) {
-      // Transform using field mappings from config
-      const haloPSAContact = this.transformPersonToContact(person);
-      
-      // Check if it's a new/updated record since lastSync
-      if (this.isNewOrUpdated(person, lastSync)) {
+    const template = this.settings.query_templates.search_by_domain;
+    const firstPage = template.page || 1;
+
+    for (let page = firstPage; page < firstPage + this.settings.max_pages; page++) {
+      const apolloResponse = await this.apollo.searchPeople({ ...template, page });
+      const people = apolloResponse.people || [];
+      const newOnPage = await this.addChangedRecords(people, records);
+      if (newOnPage === 0 || page >= (apolloResponse.pagination?.total_pages || 1)) break;
+    }
+
+    return records;
+  }
+
+  /**
+   * Add the changed people on one page, and their changed organizations, to `records`; returns
+   * how many records were added
+   */
+  async addChangedRecords(people, records) {
+    let changed = 0;
+    for (const person of people) {
+      // Halo Integrator upserts what we return, so suppressed people are never handed over
+      if (await this.suppression.check({
+        email: person.email,
+        phone: person.phone_numbers?.[0]?.sanitized_number,
+        website: person.organization?.website_url
+      })) {
+        continue;
+      }
+
+      if (await this.isNewOrUpdated(person)) {
+        changed++;
         records.push({
           action: 'upsert',
           entity_type: 'contact',
           external_id: person.id,
-          data: haloPSAContact,
+          // Transform using field mappings from config
+          data: this.transformPersonToContact(person),
           metadata: {
             confidence_score: person.confidence || 0,
             apollo_person_id: person.id,
@@ -81,22 +168,22 @@ class ApolloHaloIntegrator {
       }
 
       // Also handle organization if needed
-      if (person.organization) {
-        const haloPSAOrg = this.transformOrganization(person.organization);
+      if (person.organization && await this.organizationCursor.hasChanged(person.organization.id, person.organization)) {
+        changed++;
         records.push({
           action: 'upsert',
           entity_type: 'organization',
           external_id: person.organization.id,
-          data: haloPSAOrg
+          data: this.transformOrganization(person.organization)
         });
       }
     }
 
-    return records;
+    return changed;
   }
 
   transformPersonToContact(person) {
-    const mapping = apolloConfig.field_mappings.person_to_halopsa_contact;
+    const mapping = this.settings.field_mappings.person_to_halopsa_contact;
     
     const contact = {};
     
@@ -117,27 +204,19 @@ class ApolloHaloIntegrator {
       }
     });
 
-    // Add custom fields for Apollo data
+    // Add custom fields for Apollo data; fields without a configured ID are left out
+    const fieldIds = this.config.halopsa.custom_fields || {};
     contact.customfields = [
-      {
-        id: environmentConfig.halopsa.custom_fields.apollo_id,
-        value: person.id
-      },
-      {
-        id: environmentConfig.halopsa.custom_fields.data_source,
-        value: 'Apollo.io'
-      },
-      {
-        id: environmentConfig.halopsa.custom_fields.enrichment_date,
-        value: new Date().toISOString()
-      }
-    ];
+      { id: fieldIds.apollo_id, value: person.id },
+      { id: fieldIds.data_source, value: 'Apollo.io' },
+      { id: fieldIds.enrichment_date, value: new Date().toISOString() }
+    ].filter(field => field.id !== undefined);
 
     return contact;
   }
 
   transformOrganization(org) {
-    const mapping = apolloConfig.field_mappings.organization_to_halopsa_org;
+    const mapping = this.settings.field_mappings.organization_to_halopsa_org;
     const organization = {};
     
     Object.entries(mapping).forEach(([haloPSAField, config]) => {
@@ -206,38 +285,42 @@ class ApolloHaloIntegrator {
     return url;
   }
 
-  isNewOrUpdated(person, lastSync) {
-    if (!lastSync) return true;
-    
-    // Apollo doesn't provide updated_at field in basic search
-    // So we consider all records as potentially new/updated
-    // In production, you'd want to implement more sophisticated tracking
-    return true;
-  }
-
-  getDefaultStartTime() {
-    // Return timestamp from 24 hours ago for initial sync
-    return new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  async isNewOrUpdated(person) {
+    // Apollo doesn't provide updated_at field in basic search, so compare
+    // content hashes with what the last successful sync returned
+    return this.contactCursor.hasChanged(person.id, person);
   }
 }
 
 class ApolloAPIClient {
-  constructor(apiKey) {
+  constructor(apiKey, apiConfig = DEFAULT_APOLLO_SETTINGS.api_config, rateLimiter = defaultRateLimiter) {
     this.apiKey = apiKey;
-    this.baseUrl = apolloConfig.api_config.base_url;
+    this.apiConfig = apiConfig;
+    this.baseUrl = apiConfig.base_url;
+    this.rateLimiter = rateLimiter;
   }
 
   async searchPeople(query) {
-    const endpoint = apolloConfig.api_config.endpoints.search_people;
+    const endpoint = this.apiConfig.endpoints.search_people;
+    await this.rateLimiter.acquire('apollo');
     const response = await fetch(`${this.baseUrl}${endpoint.path}`, {
       method: endpoint.method,
       headers: {
         ...endpoint.headers,
-        [apolloConfig.api_config.authentication.header_name]: this.apiKey
+        [this.apiConfig.authentication.header_name]: this.apiKey
       },
       body: JSON.stringify(query)
     });
 
+    if (response.status === 429) {
+      // Hold every other Apollo call until the quota resets and let Halo Integrator retry
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after')) ?? 60000;
+      this.rateLimiter.pause('apollo', undefined, retryAfterMs);
+      const error = new Error('Apollo API rate limit exceeded');
+      error.retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+      throw error;
+    }
+
     if (!response.ok) {
       throw new Error(`Apollo API error: ${response.status} ${response.statusText}`);
     }
@@ -246,27 +329,37 @@ class ApolloAPIClient {
   }
 }
 
-// Express route setup
-const apolloIntegrator = new ApolloHaloIntegrator();
+/**
+ * Express app serving the Halo Integrator polling endpoint
+ */
+function createApp(apolloIntegrator) {
+  const app = express();
+  app.use(express.json());
 
-// Halo Integrator endpoint
-app.get('/halo-integrator/apollo/contacts', (req, res) => {
-  apolloIntegrator.handleHaloIntegratorRequest(req, res);
-});
+  // Halo Integrator endpoint
+  app.get('/halo-integrator/apollo/contacts', (req, res) => {
+    withCorrelationId(req.headers['x-request-id'], () => apolloIntegrator.handleHaloIntegratorRequest(req, res));
+  });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: 'apollo-halo-integrator',
-    timestamp: new Date().toISOString()
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      service: 'apollo-halo-integrator',
+      timestamp: new Date().toISOString()
+    });
   });
-});
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Apollo Halo Integrator listening on port ${PORT}`);
-  console.log(`Halo Integrator endpoint: http://localhost:${PORT}/halo-integrator/apollo/contacts`);
-});
+  return app;
+}
+
+if (require.main === module) {
+  const apolloIntegrator = new ApolloHaloIntegrator();
+  const PORT = process.env.PORT || 3000;
+  createApp(apolloIntegrator).listen(PORT, () => {
+    apolloIntegrator.logger.info(`Apollo Halo Integrator listening on port ${PORT}`);
+    apolloIntegrator.logger.info(`Halo Integrator endpoint: http://localhost:${PORT}/halo-integrator/apollo/contacts`);
+  });
+}
 
-module.exports = { ApolloHaloIntegrator, ApolloAPIClient };
\ No newline at end of file
+module.exports = { ApolloHaloIntegrator, ApolloAPIClient, createApp, DEFAULT_APOLLO_SETTINGS };
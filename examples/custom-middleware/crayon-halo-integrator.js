@@ -3,28 +3,97 @@
  * European B2B data platform with intent signals and account-based marketing
  */
 
-const axios = require('axios');
-const crypto = require('crypto');
+const HaloApiClient = require('./lib/halo-api-client');
+const { HaloEntityApi } = require('./lib/halo-entities');
+const { createWebhookVerifier, WebhookSignatureError } = require('./lib/webhook-signature');
+const { createStateStore } = require('./lib/state-store');
+const { SuppressionList } = require('./lib/suppression-list');
+const { ConsentPolicy } = require('./lib/consent');
+const { CustomFieldResolver } = require('./lib/custom-fields');
+const { pickFields } = require('./lib/custom-field-catalog');
+const { createLogger, withCorrelationId } = require('./lib/logger');
+const { validateConfig, LOGGING_SCHEMA } = require('./lib/config-schemas');
+const { adaptConfig } = require('./lib/config-loader');
+
+// Where each consent value goes on the records Crayon creates: lead tickets, and contacts
+// (HaloPSA users, which have their own custom fields)
+const CONSENT_FIELD_NAMES = {
+  lead: {
+    CF_116_consent_source: 'CF_116_consent_source',
+    CF_117_lawful_basis: 'CF_117_lawful_basis',
+    CF_118_consent_timestamp: 'CF_118_consent_timestamp',
+    CF_119_consent_jurisdiction: 'CF_119_consent_jurisdiction'
+  },
+  contact: {
+    CF_116_consent_source: 'CF_401_contact_consent_source',
+    CF_117_lawful_basis: 'CF_402_contact_lawful_basis',
+    CF_118_consent_timestamp: 'CF_403_contact_consent_timestamp',
+    CF_119_consent_jurisdiction: 'CF_404_contact_consent_jurisdiction'
+  }
+};
 
 class CrayonHaloIntegrator {
   constructor(config) {
+    config = adaptConfig(config, 'crayon');
+    validateConfig(config, { '': 'crayon-config', logging: LOGGING_SCHEMA }, 'Crayon integrator');
     this.crayonApiKey = config.authentication.api_key;
-    this.haloBaseUrl = config.halo_base_url;
-    this.haloApiKey = config.halo_api_key;
+    this.haloClient = new HaloApiClient({
+      base_url: config.halo_base_url,
+      client_id: config.halo_client_id,
+      client_secret: config.halo_client_secret,
+      tenant: config.halo_tenant,
+      rate_limiter: config.rate_limiter,
+      rate_limit_key: config.tenant_id
+    });
+    this.halo = new HaloEntityApi(this.haloClient, {
+      lead_ticket_type_id: config.halo_lead_ticket_type_id
+    });
     this.fieldMappings = config.field_mappings;
-    this.webhookSecret = config.webhook_config?.secret;
+    // Fails fast in production when no webhook secret is configured
+    this.webhookVerifier = createWebhookVerifier('crayon', config.webhook_config || {});
+    // Shared Do-Not-Contact list checked before any lead, company or contact is created
+    this.suppression = new SuppressionList(createStateStore(config.state_store, config.tenant_id), config.suppression);
+    // Lawful basis recorded on every lead (CF_116-119) and contact (CF_401-404) created from Crayon
+    this.lawfulBasis = config.consent?.lawful_basis || 'legitimate_interest';
+    this.consentPolicy = new ConsentPolicy(config.consent);
+    this.logger = createLogger({ ...config.logging, service: 'crayon', tenant: config.tenant_id });
+    this.customFields = new CustomFieldResolver(this.halo, pickFields(Object.values(CONSENT_FIELD_NAMES).flatMap(Object.values)), {
+      overrides: config.custom_fields,
+      fail_on_missing: config.fail_on_missing_custom_fields,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Map the consent fields onto the tenant's field IDs once per process; missing fields are
+   * logged (or thrown with fail_on_missing_custom_fields)
+   */
+  async resolveCustomFields() {
+    const { missing } = await this.customFields.load();
+    return missing;
   }
 
   /**
    * Process incoming Crayon webhook
+   * @param {object} webhookData - parsed body
+   * @param {object} headers - request headers (X-Crayon-Signature)
+   * @param {Buffer|string} rawBody - exact request bytes the signature was computed over
    */
-  async processWebhook(webhookData, signature) {
+  async processWebhook(webhookData, headers, rawBody) {
     // Verify webhook signature
-    if (!this.verifyWebhookSignature(webhookData, signature)) {
+    if (!this.verifyWebhookSignature(rawBody, headers)) {
       throw new Error('Invalid webhook signature');
     }
 
+    return withCorrelationId(headers?.['x-request-id'], () => this.handleWebhookEvent(webhookData));
+  }
+
+  /**
+   * Dispatch an already verified Crayon webhook payload (used directly by the webhook gateway)
+   */
+  async handleWebhookEvent(webhookData) {
     const eventType = webhookData.event_type;
+    await this.resolveCustomFields();
 
     switch (eventType) {
       case 'intent_signal_detected':
@@ -34,7 +103,7 @@ class CrayonHaloIntegrator {
       case 'contact_updated':
         return await this.processContactUpdate(webhookData.data);
       default:
-        console.log(`Unhandled Crayon event: ${eventType}`);
+        this.logger.warn(`Unhandled Crayon event: ${eventType}`);
         return { processed: false, reason: 'unhandled_event_type' };
     }
   }
@@ -48,6 +117,13 @@ class CrayonHaloIntegrator {
       const existingCompany = await this.findCompanyInHalo(intentData.company.name);
 
       if (!existingCompany) {
+        const suppressed = await this.suppression.check({
+          email: intentData.contact?.email,
+          phone: intentData.contact?.phone,
+          website: intentData.company.website
+        });
+        if (suppressed) return this.suppressedResult(suppressed);
+
         // Create new lead in HaloPSA
         const leadData = this.mapIntentToLead(intentData);
         const result = await this.createHaloLead(leadData);
@@ -71,7 +147,7 @@ class CrayonHaloIntegrator {
         };
       }
     } catch (error) {
-      console.error('Error processing Crayon intent signal:', error);
+      this.logger.error('Error processing Crayon intent signal', { error: error.message, stack: error.stack });
       throw error;
     }
   }
@@ -93,6 +169,9 @@ class CrayonHaloIntegrator {
           halo_company_id: existingCompany.id
         };
       } else {
+        const suppressed = await this.suppression.check({ website: accountData.website });
+        if (suppressed) return this.suppressedResult(suppressed);
+
         // Create new company record
         const companyData = this.mapAccountToCompany(accountData);
         const result = await this.createHaloCompany(companyData);
@@ -104,7 +183,7 @@ class CrayonHaloIntegrator {
         };
       }
     } catch (error) {
-      console.error('Error processing Crayon account enrichment:', error);
+      this.logger.error('Error processing Crayon account enrichment', { error: error.message, stack: error.stack });
       throw error;
     }
   }
@@ -126,6 +205,9 @@ class CrayonHaloIntegrator {
           halo_contact_id: existingContact.id
         };
       } else {
+        const suppressed = await this.suppression.check({ email: contactData.email, phone: contactData.phone });
+        if (suppressed) return this.suppressedResult(suppressed);
+
         // Create new contact
         const contactPayload = this.mapContactToCreate(contactData);
         const result = await this.createHaloContact(contactPayload);
@@ -137,95 +219,162 @@ class CrayonHaloIntegrator {
         };
       }
     } catch (error) {
-      console.error('Error processing Crayon contact update:', error);
+      this.logger.error('Error processing Crayon contact update', { error: error.message, stack: error.stack });
       throw error;
     }
   }
 
+  suppressedResult(match) {
+    this.logger.info(`[Crayon] Not creating suppressed contact (${match.type} ${match.value})`);
+    return { processed: false, action: 'suppressed', reason: `${match.type} ${match.value} is on the suppression list` };
+  }
+
   /**
    * Map Crayon intent data to HaloPSA lead
    */
   mapIntentToLead(intentData) {
+    const { contact, company } = intentData;
+    const name = `${contact.firstName} ${contact.lastName}`;
+
     return {
-      name: `${intentData.contact.firstName} ${intentData.contact.lastName}`,
-      email: intentData.contact.email,
-      phone: intentData.contact.phone,
-      company: intentData.company.name,
-      job_title: intentData.contact.jobTitle,
-      industry: intentData.company.industry,
-      employee_count: intentData.company.employeeCount,
-      intent_signals: intentData.intent.signals,
-      source: 'Crayon Intent Signal',
-      created_date: new Date().toISOString()
+      summary: `${name} - ${company.name}`,
+      details: `Lead Source: Crayon Intent Signal\n\n` +
+        `Contact: ${name}, ${contact.jobTitle || 'Not specified'}\n` +
+        `Email: ${contact.email}\n` +
+        `Phone: ${contact.phone || 'Not available'}\n\n` +
+        `Company: ${company.name}\n` +
+        `Industry: ${company.industry || 'Not specified'}\n` +
+        `Employees: ${company.employeeCount || 'Unknown'}\n\n` +
+        this.describeIntent(intentData),
+      user_email: contact.email,
+      user_name: name,
+      category_1: 'Lead',
+      category_2: 'Crayon',
+      customfields: this.buildConsentFields('lead', contact.country || company.country, contact)
     };
   }
 
   /**
-   * Verify webhook signature
+   * Map Crayon intent data to a HaloPSA client update
    */
-  verifyWebhookSignature(payload, signature) {
-    if (!this.webhookSecret) return true; // Skip verification if no secret configured
+  mapIntentToUpdate(intentData) {
+    return {
+      notes: this.describeIntent(intentData)
+    };
+  }
 
-    const expectedSignature = crypto
-      .createHmac('sha256', this.webhookSecret)
-      .update(JSON.stringify(payload))
-      .digest('hex');
+  /**
+   * Map Crayon account enrichment to HaloPSA client fields
+   */
+  mapAccountToUpdate(accountData) {
+    return {
+      website: accountData.website,
+      notes: `Crayon enrichment ${new Date().toISOString()}: ` +
+        `${accountData.industry || 'Unknown industry'}, ${accountData.employeeCount || 'unknown'} employees`
+    };
+  }
 
-    return signature === `sha256=${expectedSignature}`;
+  mapAccountToCompany(accountData) {
+    return {
+      name: accountData.name,
+      inactive: false,
+      ...this.mapAccountToUpdate(accountData)
+    };
+  }
+
+  /**
+   * Map Crayon contact data to HaloPSA user fields
+   */
+  mapContactToUpdate(contactData) {
+    return {
+      firstname: contactData.firstName,
+      surname: contactData.lastName,
+      jobtitle: contactData.jobTitle,
+      phonenumber: contactData.phone
+    };
+  }
+
+  mapContactToCreate(contactData) {
+    return {
+      ...this.mapContactToUpdate(contactData),
+      emailaddress: contactData.email,
+      inactive: false,
+      customfields: this.buildConsentFields('contact', contactData.country || contactData.company?.country, contactData)
+    };
+  }
+
+  /**
+   * Consent metadata (source, lawful basis, timestamp, jurisdiction) as custom fields of a
+   * `lead` or `contact` record
+   */
+  buildConsentFields(entity, country, person = {}) {
+    const consent = this.consentPolicy.toCustomFields(this.consentPolicy.record({
+      source: 'Crayon',
+      lawful_basis: person.lawful_basis || this.lawfulBasis,
+      consented_at: person.consented_at,
+      country
+    }));
+    return this.customFields.toCustomFields(Object.fromEntries(
+      consent.map(({ name, value }) => [CONSENT_FIELD_NAMES[entity][name], value])
+    ));
+  }
+
+  describeIntent(intentData) {
+    const signals = [].concat(intentData.intent?.signals || intentData.intent_signals || []);
+    return `Crayon intent signals (${new Date().toISOString()}): ${signals.join(', ') || 'None'}`;
+  }
+
+  /**
+   * Verify webhook signature ("sha256=" HMAC of the raw body)
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    try {
+      this.webhookVerifier.verify(rawBody, headers);
+      return true;
+    } catch (error) {
+      if (!(error instanceof WebhookSignatureError)) throw error;
+      this.logger.warn(`[Crayon] Webhook signature rejected: ${error.reason}`);
+      return false;
+    }
   }
 
   /**
    * HaloPSA API helper methods
    */
   async findCompanyInHalo(companyName) {
-    const response = await axios.get(`${this.haloBaseUrl}/company`, {
-      params: { search: companyName },
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data.length > 0 ? response.data[0] : null;
+    const { records } = await this.halo.clients.list({ search: companyName });
+    return records.length > 0 ? records[0] : null;
   }
 
   async findContactInHalo(email) {
-    const response = await axios.get(`${this.haloBaseUrl}/contact`, {
-      params: { email: email },
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data.length > 0 ? response.data[0] : null;
+    return this.halo.users.find({ search: email }, user =>
+      user.emailaddress?.toLowerCase() === email.toLowerCase()
+    );
   }
 
   async createHaloLead(leadData) {
-    const response = await axios.post(`${this.haloBaseUrl}/lead`, leadData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
+    return this.halo.leads.create(leadData);
   }
 
+  /**
+   * Update a client; `notes` are added to the client's notes rather than replacing them
+   */
   async updateHaloCompany(companyId, updateData) {
-    const response = await axios.put(`${this.haloBaseUrl}/company/${companyId}`, updateData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
+    const { notes, ...changes } = updateData;
+    if (notes) await this.halo.appendNotes('clients', companyId, notes);
+    if (Object.keys(changes).length > 0) await this.halo.clients.update(companyId, changes);
   }
 
   async createHaloCompany(companyData) {
-    const response = await axios.post(`${this.haloBaseUrl}/company`, companyData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
+    return this.halo.clients.create(companyData);
   }
 
   async updateHaloContact(contactId, updateData) {
-    const response = await axios.put(`${this.haloBaseUrl}/contact/${contactId}`, updateData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
+    return this.halo.users.update(contactId, updateData);
   }
 
   async createHaloContact(contactData) {
-    const response = await axios.post(`${this.haloBaseUrl}/contact`, contactData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
+    return this.halo.users.create(contactData);
   }
 }
 
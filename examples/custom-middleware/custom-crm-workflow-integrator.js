@@ -1,7 +1,7 @@
 /**
  * Enhanced HaloPSA Custom CRM Workflow Integration Service
  * Implements Lead → Prospect → Opportunity progression with:
- * - Extended custom fields (CF_101-113) 
+ * - Extended custom fields (CF_101-119, CF_201-207, CF_301-305), resolved against the tenant's field metadata
  * - Smart update/merge logic preserving manual work
  * - List management and auto-assignment
  * - Bi-directional synchronization
@@ -10,16 +10,103 @@
 
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const HaloApiClient = require('./lib/halo-api-client');
+const { HaloEntityApi } = require('./lib/halo-entities');
+const { defaultRateLimiter } = require('./lib/rate-limiter');
+const { withRetry, CircuitBreaker, CircuitOpenError, resolveRetryPolicy } = require('./lib/retry-policy');
+const { createStateStore } = require('./lib/state-store');
+const { SyncCursor } = require('./lib/sync-cursor');
+const Crosswalk = require('./lib/crosswalk');
+const { WorkflowEngine } = require('./lib/workflow-engine');
+const { ScoringEngine } = require('./lib/scoring-engine');
+const { readHaloChange } = require('./lib/halo-webhook-events');
+const { SuppressionList, normalizeSuppressionValue } = require('./lib/suppression-list');
+const EngagementTracker = require('./lib/engagement-tracker');
+const { GdprAuditLog, resolveGdprConfig, subjectId, retentionCutoff, scrubFiles } = require('./lib/gdpr');
+const { ConsentPolicy } = require('./lib/consent');
+const { CustomFieldResolver } = require('./lib/custom-fields');
+const { CUSTOM_FIELD_CATALOG, pickFields } = require('./lib/custom-field-catalog');
+const { createLogger, withCorrelationId, getCorrelationId } = require('./lib/logger');
+const { validateConfig, LOGGING_SCHEMA } = require('./lib/config-schemas');
+const { adaptConfig } = require('./lib/config-loader');
+
+const SOURCE_LABELS = {
+  apollo: 'Apollo.io',
+  zoominfo: 'ZoomInfo',
+  hunter: 'Hunter.io'
+};
+
+// Suppression endpoints per docs/custom-crm-configuration.md, and the engagement feedback endpoint
+// the enhanced Apollo integrator uses. Apollo suppression goes through the shared suppression
+// list instead (lib/suppression-list.js). None of the sources document a corrections or erasure
+// endpoint, so those (and ZoomInfo and Hunter feedback) are only sent once set per source with
+// feedback_endpoints; null means the source is not told
+const DEFAULT_FEEDBACK_ENDPOINTS = {
+  apollo: { suppression: null, corrections: null, feedback: '/feedback/engagement', erasure: null },
+  zoominfo: { suppression: '/lookup/suppression', corrections: null, feedback: null, erasure: null },
+  hunter: { suppression: '/v2/leads/suppression', corrections: null, feedback: null, erasure: null }
+};
+
+// The credential a source needs before it is polled
+const SOURCE_CREDENTIALS = {
+  apollo: 'api_key',
+  zoominfo: 'access_token',
+  hunter: 'api_key'
+};
+
+const CORRECTION_FIELD_NAMES = {
+  user_email: 'email',
+  phonenumber: 'phone',
+  user_name: 'name'
+};
+
+// Recommended list structure from docs/custom-crm-configuration.md, matched by list name
+const DEFAULT_LIST_RULES = [
+  { list: 'Apollo.io Leads', when: { sources: ['Apollo.io'] } },
+  { list: 'ZoomInfo Leads', when: { sources: ['ZoomInfo'] } },
+  { list: 'Hunter.io Leads', when: { sources: ['Hunter.io'] } },
+  { list: 'Hot Leads (Fit Score >80)', when: { min_fit_score: 81 } },
+  { list: 'Warm Leads (Fit Score 60-80)', when: { min_fit_score: 60, max_fit_score: 80 } },
+  { list: 'Cold Leads (Fit Score <60)', when: { max_fit_score: 59 } },
+  { list: 'Enterprise (500+ employees)', when: { min_employees: 500 } },
+  { list: 'Mid-Market (50-499 employees)', when: { min_employees: 50, max_employees: 499 } },
+  { list: 'Small Business (1-49 employees)', when: { min_employees: 1, max_employees: 49 } },
+  { list: 'Do Not Contact', when: { do_not_contact: true } }
+];
+
+// The documented lead, prospect and opportunity fields of the shared catalog; CF_120-127 are
+// the enhanced Apollo integrator's enrichment fields and CF_401-404 the Crayon contact fields
+const WORKFLOW_CUSTOM_FIELDS = pickFields(Object.keys(CUSTOM_FIELD_CATALOG)
+  .filter(name => !/^CF_12\d_/.test(name) && CUSTOM_FIELD_CATALOG[name].entity !== 'contact'));
+
+const DNC_SYNC_NAMESPACE = 'bidirectional:dnc';
+const LEAD_SNAPSHOT_NAMESPACE = 'bidirectional:lead-snapshots';
+const ENRICHMENT_AGE_NAMESPACE = 'gdpr:enrichment';
+const RETENTION_PURGE_NAMESPACE = 'gdpr:purge';
+
+// Config blocks checked against schemas/ before anything is built
+const CONFIG_SCHEMAS = {
+  'workflow.data_sources': 'custom-crm-workflow-config#/properties/data_sources',
+  'workflow.scoring': 'custom-crm-workflow-config#/properties/scoring',
+  'workflow.consent': 'custom-crm-workflow-config#/properties/consent',
+  gdpr_config: 'hg-data-config#/properties/gdpr_config',
+  logging: LOGGING_SCHEMA
+};
 
 class EnhancedCustomCRMWorkflowIntegrator {
   constructor(config) {
+    config = adaptConfig(config, 'workflow');
+    validateConfig(config, CONFIG_SCHEMAS, 'custom CRM workflow integrator');
+    // A source without a config block is simply not polled (isSourceConfigured)
     this.b2bConfigs = {
-      apollo: config.apollo,
-      zoominfo: config.zoominfo,
-      hunter: config.hunter
+      apollo: config.apollo || {},
+      zoominfo: config.zoominfo || {},
+      hunter: config.hunter || {}
     };
     this.haloConfig = config.halo;
     this.workflowConfig = config.workflow || this.getDefaultWorkflowConfig();
+    // JSON lines with emails, phones and credentials masked (logging config block)
+    this.logger = createLogger({ ...config.logging, service: 'custom-crm-workflow', tenant: config.tenant_id });
     
     // B2B API clients
     this.apolloClient = axios.create({
@@ -45,20 +132,84 @@ class EnhancedCustomCRMWorkflowIntegrator {
       }
     });
     
-    this.haloClient = null; // Will be set after OAuth
-    this.statusMappings = this.initializeStatusMappings();
-    this.customFieldMappings = this.initializeCustomFieldMappings();
+    // Outbound rate limiting shared with every other integrator in this process
+    this.rateLimiter = config.rate_limiter || defaultRateLimiter;
+    this.tenantId = config.tenant_id || null;
+    this.tenantKey = this.tenantId || this.haloConfig.tenant || 'default';
+    for (const [source, client] of Object.entries(this.getSourceClients())) {
+      const sourceConfig = this.b2bConfigs[source];
+      this.rateLimiter.configure(source, sourceConfig.rate_limits || sourceConfig.rate_limit, this.tenantKey);
+      this.rateLimiter.attach(client, source, this.tenantKey);
+    }
+    // Retry policy and circuit breaker per source, from each source's error_handling block
+    this.retryPolicies = {};
+    this.circuitBreakers = {};
+    for (const source of Object.keys(this.b2bConfigs)) {
+      const errorHandling = this.b2bConfigs[source].error_handling || {};
+      this.retryPolicies[source] = resolveRetryPolicy(errorHandling);
+      this.circuitBreakers[source] = new CircuitBreaker(source, errorHandling);
+    }
+    // Incremental sync: per-source high-water marks and record hashes
+    this.stateStore = createStateStore(config.state_store, this.tenantId);
+    this.cursors = {
+      apollo: new SyncCursor(this.stateStore, 'apollo', 'people'),
+      zoominfo: new SyncCursor(this.stateStore, 'zoominfo', 'people'),
+      hunter: new SyncCursor(this.stateStore, 'hunter', 'emails')
+    };
+    this.crosswalk = new Crosswalk(this.stateStore);
+    // Shared Do-Not-Contact list checked before any lead is created
+    this.suppression = new SuppressionList(this.stateStore, config.suppression);
+    // Optional: Outreach opt-outs feed the suppression list and suppressed emails are opted out there
+    this.outreachConfig = config.outreach || {};
+    this.outreachClient = config.outreach ? axios.create({
+      baseURL: config.outreach.base_url || 'https://api.outreach.io/api/v2',
+      headers: {
+        'Authorization': `Bearer ${config.outreach.access_token}`,
+        'Content-Type': 'application/vnd.api+json'
+      }
+    }) : null;
+    this.bidirectionalCursor = new SyncCursor(this.stateStore, 'halopsa', 'lead-updates');
+    // Right to be forgotten and enrichment retention (gdpr_config)
+    this.gdpr = resolveGdprConfig(config.gdpr_config, this.tenantId);
+    this.auditLog = new GdprAuditLog(this.gdpr.audit_log_path);
+    
+    // States and transitions come from workflow_settings; bad references fail here, not mid-poll
+    this.workflow = WorkflowEngine.fromConfig(this.workflowConfig);
+    this.workflowValidation = null;
+    this.scoring = ScoringEngine.fromConfig(this.workflowConfig.scoring);
+    // Lawful basis per source (data_sources.<source>.lawful_basis); outreach only with a valid one
+    this.consentPolicy = new ConsentPolicy(this.workflowConfig.consent);
+
+    this.haloClient = new HaloApiClient({ ...this.haloConfig, rate_limiter: this.rateLimiter, rate_limit_key: this.tenantId });
+    // Only this tenant's throttling; B2B sources and HaloPSA may use different keys
+    for (const key of new Set([this.tenantKey, this.haloClient.rateLimitKey])) {
+      this.rateLimiter.onTenant(key, 'custom-crm-workflow', {
+        throttled: info => this.logger.warn(`[Rate Limit] ${info.api} throttled, pausing ${Math.round(info.retry_after_ms / 1000)}s`)
+      });
+    }
+    this.halo = new HaloEntityApi(this.haloClient, {
+      lead_ticket_type_id: this.workflow.getTicketTypeId('lead') || this.workflowConfig.lead_ticket_type_id,
+      prospect_ticket_type_id: this.workflow.getTicketTypeId('prospect') || this.workflowConfig.prospect_ticket_type_id
+    });
+    this.customFields = this.initializeCustomFields();
+    this.customFieldMappings = this.customFields.mappings();
   }
 
   /**
-   * Enhanced main polling function for Halo Integrator
+   * Enhanced main polling function for Halo Integrator; everything one run logs shares a correlation_id
    */
   async poll() {
+    return withCorrelationId(`poll-${uuidv4()}`, () => this.runPoll());
+  }
+
+  async runPoll() {
     try {
-      console.log('[Enhanced CRM] Starting enhanced workflow integration poll...');
+      this.logger.info('[Enhanced CRM] Starting enhanced workflow integration poll...');
       
-      // Step 1: Authenticate with HaloPSA
+      // Step 1: Authenticate with HaloPSA and check the workflow and custom fields against the tenant
       await this.authenticateHalo();
+      await this.validateWorkflow();
+      await this.resolveCustomFields();
       
       // Step 2: Multi-platform data collection with deduplication
       const allB2BData = await this.collectMultiPlatformData();
@@ -66,110 +217,195 @@ class EnhancedCustomCRMWorkflowIntegrator {
       
       // Step 3: Smart lead processing (create new or update existing)
       const leadResults = await this.processLeadsWithSmartUpdate(deduplicatedLeads);
+      const cursors = await this.commitSourceCursors(allB2BData, leadResults);
       
       // Step 4: Automatic list assignment based on criteria
       const listAssignments = await this.processListAssignments(leadResults.created);
       
-      // Step 5: Process Lead status updates and convert eligible Leads to Prospects
-      const prospectConversions = await this.processLeadToProspectConversions();
-      
-      // Step 6: Process Prospect promotions to Opportunities
-      const opportunityPromotions = await this.processProspectToOpportunityPromotions();
+      // Steps 5-6: Configured workflow transitions (Lead → Prospect, Prospect → Opportunity, status moves)
+      const transitions = await this.processWorkflowTransitions();
+      const prospectConversions = transitions.filter(t => t.from_entity_type === 'lead' && t.entity_type === 'prospect');
+      const opportunityPromotions = transitions.filter(t => t.from_entity_type === 'prospect' && t.entity_type === 'opportunity');
       
-      // Step 7: Bi-directional sync for DNC and data corrections
+      // Step 7: Bi-directional sync for DNC and data corrections, then the shared suppression list
       const biDirectionalSync = await this.processBiDirectionalSync();
+      const suppressionSync = await this.syncSuppressionList();
       
       // Step 8: Update call records and activities
       await this.syncCallRecords();
 
+      // Step 9: Clear enrichment older than each source's retention period (at most every purge_interval_hours)
+      const retentionPurge = await this.runRetentionPurge();
+
+      const failedSources = Object.keys(allB2BData.failures);
+
       return {
         success: true,
+        partial_failure: failedSources.length > 0,
         timestamp: new Date().toISOString(),
+        correlation_id: getCorrelationId(),
         metrics: {
           leads_processed: leadResults.processed,
           leads_created: leadResults.created.length,
           leads_updated: leadResults.updated.length,
           leads_preserved: leadResults.preserved.length,
+          leads_suppressed: leadResults.suppressed.length,
           lists_assigned: listAssignments.total,
           prospects_converted: prospectConversions.length,
           opportunities_promoted: opportunityPromotions.length,
-          bi_directional_syncs: biDirectionalSync.length
+          status_transitions: transitions.length - prospectConversions.length - opportunityPromotions.length,
+          bi_directional_syncs: biDirectionalSync.length,
+          suppression_sync: suppressionSync,
+          retention_purge: retentionPurge
         },
         data_sources: {
           apollo_records: allB2BData.apollo?.length || 0,
           zoominfo_records: allB2BData.zoominfo?.length || 0,
-          hunter_records: allB2BData.hunter?.length || 0
+          hunter_records: allB2BData.hunter?.length || 0,
+          unchanged_records: allB2BData.unchanged,
+          cursors,
+          failed_sources: failedSources,
+          errors: allB2BData.failures,
+          health: this.getSourceHealth()
         },
         deduplication: {
           total_before: allB2BData.total,
           total_after: deduplicatedLeads.length,
           duplicates_removed: allB2BData.total - deduplicatedLeads.length
-        }
+        },
+        rate_limits: this.getRateLimitStatus()
       };
     } catch (error) {
-      console.error('[Enhanced CRM] Poll failed:', error);
+      this.logger.error('[Enhanced CRM] Poll failed', { error: error.message, stack: error.stack });
       return {
         success: false,
         error: error.message,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        correlation_id: getCorrelationId()
       };
     }
   }
 
+  getSourceClients() {
+    return {
+      apollo: this.apolloClient,
+      zoominfo: this.zoomInfoClient,
+      hunter: this.hunterClient
+    };
+  }
+
+  /**
+   * Circuit breaker state per source, reported in the poll summary
+   */
+  getSourceHealth() {
+    const health = {};
+    for (const [source, breaker] of Object.entries(this.circuitBreakers)) {
+      health[source] = breaker.getStatus();
+    }
+    return health;
+  }
+
+  /**
+   * Call a B2B source API with that source's retry policy
+   */
+  async callSource(source, request) {
+    return withRetry(request, this.retryPolicies[source], {
+      onRetry: (error, attempt, delayMs) => {
+        this.logger.warn(`[${source}] Request failed (${error.response?.status || error.code || error.message}), retry ${attempt} in ${delayMs}ms`);
+      }
+    });
+  }
+
+  /**
+   * Back-pressure per outbound API, reported in the poll summary
+   */
+  getRateLimitStatus() {
+    const status = {};
+    for (const api of ['halopsa', ...Object.keys(this.getSourceClients())]) {
+      const key = api === 'halopsa' ? this.haloClient.rateLimitKey : this.tenantKey;
+      status[api] = this.rateLimiter.getBackpressure(api, key);
+    }
+    return status;
+  }
+
   /**
    * Collect data from multiple B2B platforms
    */
   async collectMultiPlatformData() {
-    console.log('[Enhanced CRM] Collecting multi-platform B2B data...');
+    this.logger.info('[Enhanced CRM] Collecting multi-platform B2B data...');
     
     const results = {
       apollo: [],
       zoominfo: [],
       hunter: [],
-      total: 0
+      total: 0,
+      unchanged: {},
+      failures: {}
     };
     
-    try {
+    const sources = [
       // Apollo.io data collection
-      const apolloData = await this.fetchApolloData();
-      results.apollo = apolloData.map(record => ({
-        ...record,
-        source: 'Apollo.io',
-        source_confidence: record.confidence || 80
-      }));
-      
+      { key: 'apollo', label: 'Apollo.io', fetch: cursor => this.fetchApolloData(cursor), confidence: r => r.confidence || 80 },
       // ZoomInfo data collection
-      const zoomInfoData = await this.fetchZoomInfoData();
-      results.zoominfo = zoomInfoData.map(record => ({
-        ...record,
-        source: 'ZoomInfo',
-        source_confidence: record.accuracy_score || 85
-      }));
-      
+      { key: 'zoominfo', label: 'ZoomInfo', fetch: cursor => this.fetchZoomInfoData(cursor), confidence: r => r.accuracy_score || 85 },
       // Hunter.io data collection (email verification focused)
-      const hunterData = await this.fetchHunterData();
-      results.hunter = hunterData.map(record => ({
-        ...record,
-        source: 'Hunter.io',
-        source_confidence: record.confidence || 75
-      }));
-      
-      results.total = results.apollo.length + results.zoominfo.length + results.hunter.length;
-      
-      console.log(`[Enhanced CRM] Collected ${results.total} records from ${Object.keys(results).filter(k => k !== 'total').length} platforms`);
-      return results;
-      
-    } catch (error) {
-      console.error('[Enhanced CRM] Multi-platform collection failed:', error);
-      throw error;
+      { key: 'hunter', label: 'Hunter.io', fetch: cursor => this.fetchHunterData(cursor), confidence: r => r.confidence || 75 }
+    ];
+    
+    // One failing source must not hide the others, nor pass for "no new leads"
+    for (const source of sources.filter(source => this.isSourceConfigured(source.key))) {
+      try {
+        const cursor = this.cursors[source.key];
+        await cursor.begin();
+        const { changed: data, unchanged } = await this.circuitBreakers[source.key].execute(() => source.fetch(cursor));
+        results.unchanged[source.key] = unchanged;
+        results[source.key] = data.map(record => ({
+          ...this.normalizeSourceRecord(source.key, record),
+          source: source.label,
+          source_confidence: source.confidence(record)
+        }));
+      } catch (error) {
+        results.failures[source.key] = {
+          error: error.message,
+          status_code: error.response?.status || null,
+          attempts: error.attempts || null,
+          circuit_open: error instanceof CircuitOpenError
+        };
+        this.logger.error(`[Enhanced CRM] ${source.label} collection failed`, { error: error.response?.data || error.message });
+      }
+    }
+    
+    results.total = results.apollo.length + results.zoominfo.length + results.hunter.length;
+    
+    const succeeded = sources.length - Object.keys(results.failures).length;
+    this.logger.info(`[Enhanced CRM] Collected ${results.total} records from ${succeeded}/${sources.length} platforms`);
+    return results;
+  }
+
+  /**
+   * Advance the cursor of every source that was collected this poll. Records whose lead
+   * failed to import are left un-hashed so the next poll offers them again.
+   */
+  async commitSourceCursors(allB2BData, leadResults) {
+    const failedEmails = new Set(
+      leadResults.errors.map(result => (result.email || '').toLowerCase()).filter(Boolean)
+    );
+    const committed = {};
+
+    for (const [source, cursor] of Object.entries(this.cursors)) {
+      if (allB2BData.failures[source]) continue;
+
+      cursor.discard(record => failedEmails.has((record.email || record.value || '').toLowerCase()));
+      committed[source] = await cursor.commit();
     }
+    return committed;
   }
 
   /**
    * Deduplicate leads from multiple sources using enhanced logic
    */
   async deduplicateB2BData(allData) {
-    console.log('[Enhanced CRM] Deduplicating cross-platform data...');
+    this.logger.info('[Enhanced CRM] Deduplicating cross-platform data...');
     
     const combined = [
       ...allData.apollo,
@@ -183,7 +419,7 @@ class EnhancedCustomCRMWorkflowIntegrator {
       const dedupKey = this.generateDeduplicationKey(record);
       
       if (!dedupKey) {
-        console.log(`[Enhanced CRM] Skipping record with insufficient data: ${record.email}`);
+        this.logger.info(`[Enhanced CRM] Skipping record with insufficient data: ${record.email}`);
         continue;
       }
       
@@ -198,7 +434,7 @@ class EnhancedCustomCRMWorkflowIntegrator {
     }
     
     const deduplicated = Array.from(deduplicationMap.values());
-    console.log(`[Enhanced CRM] Deduplicated ${combined.length} to ${deduplicated.length} unique records`);
+    this.logger.info(`[Enhanced CRM] Deduplicated ${combined.length} to ${deduplicated.length} unique records`);
     
     return deduplicated;
   }
@@ -266,6 +502,15 @@ class EnhancedCustomCRMWorkflowIntegrator {
       ...(existing.sources || [existing.source]),
       incoming.source
     ])];
+    merged.source_refs = [...(existing.source_refs || []), ...(incoming.source_refs || [])];
+
+    // Consent stays with the source that supplied it; fill it in when the first source had none
+    if (!existing.lawfulBasis && incoming.lawfulBasis) {
+      merged.consentSource = incoming.consentSource;
+      merged.lawfulBasis = incoming.lawfulBasis;
+      merged.consentedAt = incoming.consentedAt;
+    }
+    merged.country = existing.country || incoming.country;
     
     return merged;
   }
@@ -278,163 +523,1143 @@ class EnhancedCustomCRMWorkflowIntegrator {
     return index === -1 ? 999 : index;
   }
 
-      const summary = {
-        success: true,
-        timestamp: new Date().toISOString(),
-        metrics: {
-          apollo_persons_processed: apolloResults?.length || 0,
-          leads_created: processedLeads.filter(l => l.action === 'created').length,
-          leads_updated: processedLeads.filter(l => l.action === 'updated').length,
-          prospects_converted: prospectConversions.length,
-          opportunities_promoted: opportunityPromotions.length
+  isSourceConfigured(source) {
+    return Boolean(this.b2bConfigs[source][SOURCE_CREDENTIALS[source]]);
+  }
+
+  /**
+   * Fetch data from Apollo.io
+   */
+  async fetchApolloData(cursor) {
+    const maxPages = this.b2bConfigs.apollo.max_pages || 10;
+    const changed = [];
+    let fetched = 0;
+
+    // Newest first: keep paging until a page has nothing new, so a missed poll is caught up
+    for (let page = 1; page <= maxPages; page++) {
+      const searchParams = {
+        q_person_emails_exist: true,
+        sort_by_field: 'person_created_at',
+        sort_ascending: false,
+        page,
+        per_page: 50
+      };
+
+      const response = await this.callSource('apollo', () =>
+        this.apolloClient.post('/mixed_people/search', searchParams)
+      );
+      const people = response.data.people || [];
+      const changedOnPage = await cursor.filterChanged(people);
+      fetched += people.length;
+      changed.push(...changedOnPage);
+
+      if (changedOnPage.length === 0 || page >= (response.data.pagination?.total_pages || 1)) break;
+    }
+
+    this.logger.info(`[Apollo] Fetched ${fetched} persons, ${changed.length} new or updated`);
+    return { changed, unchanged: fetched - changed.length };
+  }
+
+  /**
+   * Fetch ZoomInfo data
+   */
+  async fetchZoomInfoData(cursor) {
+    this.logger.info('[ZoomInfo] Fetching contact data...');
+    const filters = this.workflowConfig.filters || {};
+    const searchParams = {
+      query: {
+        person: {
+          hasEmail: true,
+          titleIncludesAnyOf: ['CTO', 'IT Director', 'Technology Manager', 'Systems Administrator']
         },
-        workflow_progression: {
-          new_leads: processedLeads.filter(l => l.status === 'new_lead').length,
-          engaged_leads: processedLeads.filter(l => l.status === 'engaged').length,
-          qualified_prospects: prospectConversions.filter(p => p.status === 'qualified').length,
-          active_opportunities: opportunityPromotions.filter(o => o.status === 'progressing').length
+        company: {
+          employeeCountMin: filters.min_employees,
+          employeeCountMax: filters.max_employees,
+          industryIncludesAnyOf: filters.target_industries
         }
-      };
+      },
+      outputFields: ['person.firstName', 'person.lastName', 'person.email', 'person.jobTitle', 'person.phone', 'company.name', 'company.website', 'company.industry', 'company.employees', 'company.revenue']
+    };
+    
+    const response = await this.callSource('zoominfo', () =>
+      this.zoomInfoClient.post('/lookup/person', searchParams)
+    );
+    const contacts = response.data.results || [];
+    const changed = await cursor.filterChanged(contacts, contact => contact.id || contact.personId || contact.email);
+    this.logger.info(`[ZoomInfo] Fetched ${contacts.length} contacts, ${changed.length} new or updated`);
+    return { changed, unchanged: contacts.length - changed.length };
+  }
 
-      console.log('[Custom CRM] Poll completed:', summary.metrics);
-      return summary;
+  /**
+   * Fetch Hunter.io data
+   */
+  async fetchHunterData(cursor) {
+    this.logger.info('[Hunter] Fetching email data...');
+    const domains = this.workflowConfig.filters?.target_domains || [];
+    const results = [];
+    
+    for (const domain of domains) {
+      const response = await this.callSource('hunter', () =>
+        this.hunterClient.get('/v2/domain-search', {
+          params: {
+            domain: domain,
+            api_key: this.b2bConfigs.hunter.api_key,
+            limit: 50
+          }
+        })
+      );
       
-    } catch (error) {
-      console.error('[Custom CRM] Integration error:', error);
+      if (response.data.data && response.data.data.emails) {
+        // Company details live on the domain search, not on each email
+        const { organization, industry, headcount } = response.data.data;
+        results.push(...response.data.data.emails.map(email => ({ ...email, domain, organization, industry, headcount })));
+      }
+    }
+    
+    const changed = await cursor.filterChanged(results, email => email.value);
+    this.logger.info(`[Hunter] Fetched ${results.length} email records, ${changed.length} new or updated`);
+    return { changed, unchanged: results.length - changed.length };
+  }
+
+  /**
+   * Process leads with smart update logic (create new or update existing)
+   */
+  async processLeadsWithSmartUpdate(deduplicatedLeads) {
+    this.logger.info(`[Enhanced CRM] Processing ${deduplicatedLeads.length} leads with smart update logic...`);
+    
+    const results = {
+      processed: deduplicatedLeads.length,
+      created: [],
+      updated: [],
+      preserved: [],
+      suppressed: [],
+      errors: []
+    };
+    
+    for (const leadData of deduplicatedLeads) {
+      try {
+        const result = await this.processLeadImport(leadData);
+        
+        switch (result.action) {
+          case 'created':
+            results.created.push(result);
+            break;
+          case 'updated':
+            results.updated.push(result);
+            break;
+          case 'preserved':
+            results.preserved.push(result);
+            break;
+          case 'suppressed':
+            results.suppressed.push(result);
+            break;
+          default:
+            results.errors.push(result);
+        }
+        
+      } catch (error) {
+        this.logger.error(`[Enhanced CRM] Failed to process lead ${leadData.email}`, { error: error.message, stack: error.stack });
+        results.errors.push({
+          email: leadData.email,
+          error: error.message
+        });
+      }
+    }
+    
+    this.logger.info(`[Enhanced CRM] Lead processing complete: ${results.created.length} created, ${results.updated.length} updated, ${results.preserved.length} preserved, ${results.suppressed.length} suppressed`);
+    return results;
+  }
+
+  /**
+   * Normalize a raw source record into the common lead shape used by deduplication and import
+   */
+  normalizeSourceRecord(sourceKey, record) {
+    switch (sourceKey) {
+      case 'apollo': {
+        const org = record.organization || {};
+        return {
+          source_refs: [{ source: 'apollo', source_id: record.id }],
+          email: record.email,
+          firstName: record.first_name || '',
+          lastName: record.last_name || '',
+          jobTitle: record.title || '',
+          phone: record.phone_numbers?.[0]?.sanitized_number || '',
+          linkedinUrl: record.linkedin_url || '',
+          managementLevel: record.seniority || '',
+          departmentFunction: [].concat(record.departments || []).join(', '),
+          companyName: org.name || '',
+          website: org.website_url || '',
+          industry: org.industry || '',
+          employeeCount: org.estimated_num_employees || null,
+          revenueRange: org.annual_revenue_printed || org.annual_revenue || '',
+          technologyStack: [].concat(org.technologies || []).map(t => t.name || t).join(', '),
+          foundedYear: org.founded_year || '',
+          hqAddress: [org.city, org.state, org.country].filter(Boolean).join(', '),
+          servicesOffered: org.business_description || '',
+          growthSignals: this.extractGrowthSignals(org),
+          projectPipelines: this.extractProjectPipelines(record),
+          intentSignals: [].concat(record.intent_signals || []).join(', '),
+          doNotContact: Boolean(record.do_not_contact),
+          country: record.country || org.country || '',
+          ...this.getSourceConsent('apollo', record)
+        };
+      }
+      case 'zoominfo': {
+        const company = record.company || {};
+        const person = record.person || record;
+        return {
+          source_refs: [{ source: 'zoominfo', source_id: record.id || person.id }],
+          email: person.email,
+          firstName: person.firstName || '',
+          lastName: person.lastName || '',
+          jobTitle: person.jobTitle || '',
+          phone: person.phone || person.directPhone || '',
+          linkedinUrl: person.linkedInUrl || '',
+          managementLevel: person.managementLevel || '',
+          departmentFunction: person.department || '',
+          companyName: company.name || record.companyName || '',
+          website: company.website || record.companyWebsite || '',
+          industry: company.industry || record.industry || '',
+          employeeCount: company.employees || record.employeeCount || null,
+          revenueRange: company.revenue || record.revenue || '',
+          technologyStack: [].concat(company.technologies || record.technologies || []).join(', '),
+          foundedYear: company.foundedYear || '',
+          hqAddress: [company.city, company.state, company.country].filter(Boolean).join(', '),
+          servicesOffered: company.description || '',
+          growthSignals: company.growthRate ? `Growth rate: ${company.growthRate}` : '',
+          projectPipelines: '',
+          intentSignals: '',
+          doNotContact: Boolean(person.doNotCall || person.doNotEmail),
+          country: person.country || company.country || '',
+          ...this.getSourceConsent('zoominfo', person)
+        };
+      }
+      case 'hunter':
+        return {
+          source_refs: [{ source: 'hunter', source_id: record.value }],
+          email: record.value,
+          firstName: record.first_name || '',
+          lastName: record.last_name || '',
+          jobTitle: record.position || '',
+          phone: record.phone_number || '',
+          linkedinUrl: record.linkedin || '',
+          managementLevel: record.seniority || '',
+          departmentFunction: record.department || '',
+          companyName: record.organization || '',
+          website: record.domain ? `https://${record.domain}` : '',
+          industry: record.industry || '',
+          employeeCount: null,
+          revenueRange: '',
+          technologyStack: '',
+          foundedYear: '',
+          hqAddress: '',
+          servicesOffered: '',
+          growthSignals: '',
+          projectPipelines: '',
+          intentSignals: '',
+          emailVerified: record.verification?.status === 'valid',
+          doNotContact: false,
+          country: record.country || '',
+          ...this.getSourceConsent('hunter', record)
+        };
+      default:
+        return { ...record, source_refs: [] };
+    }
+  }
+
+  /**
+   * Lawful basis a source's people are imported under: the record's own, else the source's configured one
+   */
+  getSourceConsent(source, record) {
+    return {
+      consentSource: SOURCE_LABELS[source] || source,
+      lawfulBasis: record.lawful_basis || this.workflowConfig.data_sources?.[source]?.lawful_basis || null,
+      consentedAt: record.consented_at || record.consent_timestamp || null
+    };
+  }
+
+  /**
+   * CF_116-119 for a lead
+   */
+  getConsentValues(leadData) {
+    const consent = this.consentPolicy.record({
+      source: leadData.consentSource || leadData.source,
+      lawful_basis: leadData.lawfulBasis,
+      consented_at: leadData.consentedAt,
+      country: leadData.country
+    });
+    return {
+      CF_116_consent_source: consent.source,
+      CF_117_lawful_basis: consent.lawful_basis,
+      CF_118_consent_timestamp: consent.timestamp,
+      CF_119_consent_jurisdiction: consent.jurisdiction
+    };
+  }
+
+  /**
+   * Stage 3: decide create / update / preserve for one deduplicated lead
+   */
+  async processLeadImport(leadData) {
+    this.scoreLead(leadData);
+    const existingLead = await this.findExistingLead(leadData.email, leadData.source_refs);
+
+    if (!existingLead) {
+      const suppressed = await this.suppression.check({ email: leadData.email, phone: leadData.phone, website: leadData.website });
+      if (suppressed) {
+        return { action: 'suppressed', email: leadData.email, reason: `${suppressed.type} ${suppressed.value} is on the suppression list` };
+      }
+      const lead = await this.createLead(leadData);
+      return { action: 'created', lead_id: lead.id, email: leadData.email, lead_data: leadData };
+    }
+
+    // Progressed or converted leads belong to the sales team: never overwrite them
+    const earlyStatuses = [this.workflow.getStatusId('lead', 'new_lead'), this.workflow.getStatusId('lead', 'researching')]
+      .filter(id => id !== null);
+    if (existingLead.tickettype_id !== this.halo.leads.ticketTypeId || !earlyStatuses.includes(existingLead.status_id)) {
       return {
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString()
+        action: 'preserved',
+        lead_id: existingLead.id,
+        email: leadData.email,
+        reason: 'Lead has progressed in workflow - preserving all data'
       };
     }
+
+    if (this.isTruthyFieldValue(this.getCustomFieldValueById(existingLead, this.customFieldMappings.lead.CF_105_do_not_contact))) {
+      return { action: 'preserved', lead_id: existingLead.id, email: leadData.email, reason: 'Do Not Contact' };
+    }
+
+    return this.smartUpdateLead(existingLead, leadData);
+  }
+
+  /**
+   * Fit score (model `fit_score`) and its breakdown, kept on leadData for list rules and CF_114/CF_115
+   */
+  scoreLead(leadData) {
+    if (this.workflowConfig.scoring?.enabled === false) return leadData;
+
+    const fit = this.scoring.score('fit_score', {
+      person: { seniority: leadData.managementLevel, title: leadData.jobTitle },
+      organization: {
+        estimated_num_employees: leadData.employeeCount,
+        industry: leadData.industry,
+        intent_strength: leadData.intentStrength
+      },
+      lead: leadData
+    });
+    leadData.fitScore = fit.score;
+    leadData.scoreBreakdown = this.scoring.formatBreakdown(fit);
+    return leadData;
+  }
+
+  /**
+   * Create a Lead ticket for a deduplicated record and remember where it came from
+   */
+  async createLead(leadData) {
+    const name = `${leadData.firstName} ${leadData.lastName}`.trim();
+    const clientId = await this.ensureOrganizationExists({
+      name: leadData.companyName,
+      website_url: leadData.website,
+      industry: leadData.industry,
+      estimated_num_employees: leadData.employeeCount,
+      business_description: leadData.servicesOffered
+    });
+
+    const lead = await this.halo.leads.create({
+      summary: `${name} - ${leadData.companyName || 'Unknown Company'}`,
+      details: `Lead imported from ${(leadData.sources || [leadData.source]).join(', ')} on ${new Date().toISOString()}\n\n` +
+        `Title: ${leadData.jobTitle || 'Not specified'}\n` +
+        `LinkedIn: ${leadData.linkedinUrl || 'Not available'}\n` +
+        `Website: ${leadData.website || 'Not available'}`,
+      status_id: this.workflow.requireStatusId('lead', 'new_lead'),
+      priority_id: 4, // Normal priority
+      category_1: 'Lead',
+      category_2: leadData.source,
+      client_id: clientId,
+      user_name: name,
+      user_email: leadData.email,
+      phonenumber: leadData.phone,
+      customfields: this.buildLeadCustomFields(leadData)
+    });
+
+    await this.linkLeadSources(lead.id, leadData.email, leadData.source_refs);
+    await this.recordEnrichment(lead.id, (leadData.source_refs || []).map(ref => ref.source));
+    await this.saveLeadSnapshot(lead.id, {
+      user_email: leadData.email,
+      phonenumber: leadData.phone,
+      user_name: name
+    });
+
+    this.logger.info(`[Lead] Created lead #${lead.id} (${leadData.source})`);
+    return lead;
+  }
+
+  buildLeadCustomFields(leadData) {
+    const values = {
+      CF_101_lead_source: leadData.source,
+      CF_102_services_offered: leadData.servicesOffered,
+      CF_103_growth_signals: leadData.growthSignals,
+      CF_104_project_pipelines: leadData.projectPipelines,
+      CF_105_do_not_contact: leadData.doNotContact || false,
+      ...this.getEnrichmentValues(leadData),
+      ...this.getConsentValues(leadData)
+    };
+
+    return this.customFields.toCustomFields(values);
+  }
+
+  /**
+   * CF_106-115: refreshed whenever a source has a value for them
+   */
+  getEnrichmentValues(leadData) {
+    return {
+      CF_106_technology_stack: leadData.technologyStack,
+      CF_107_revenue_range: leadData.revenueRange,
+      CF_108_employee_count_range: this.getEmployeeCountRange(leadData.employeeCount),
+      CF_109_management_level: leadData.managementLevel,
+      CF_110_department_function: leadData.departmentFunction,
+      CF_111_intent_signals: leadData.intentSignals,
+      CF_112_company_founded_year: leadData.foundedYear,
+      CF_113_location_hq: leadData.hqAddress,
+      CF_114_lead_fit_score: leadData.fitScore,
+      CF_115_score_breakdown: leadData.scoreBreakdown
+    };
+  }
+
+  getEmployeeCountRange(count) {
+    if (!count) return '';
+    if (count < 50) return '1-49';
+    if (count < 500) return '50-499';
+    return '500+';
+  }
+
+  /**
+   * Smart merge for an early-stage lead: refresh enrichment fields, only fill or extend
+   * descriptive fields, and never touch status, agent, priority, category or notes.
+   */
+  async smartUpdateLead(existingLead, leadData) {
+    const fieldIds = this.customFieldMappings.lead;
+    const updates = [];
+    const fieldsUpdated = [];
+    const fieldsPreserved = ['status_id', 'agent_id', 'priority_id', 'category_1'];
+
+    for (const [name, value] of Object.entries(this.getEnrichmentValues(leadData))) {
+      if (fieldIds[name] === undefined) continue; // Not written (lib/custom-fields.js)
+      if (value && String(value) !== String(this.getCustomFieldValueById(existingLead, fieldIds[name]) ?? '')) {
+        updates.push({ id: fieldIds[name], value: this.customFields.coerce(name, value) });
+        fieldsUpdated.push(name);
+      }
+    }
+
+    // Consent is written once; leads imported before it was tracked get it on their next update
+    if (leadData.lawfulBasis && !this.getCustomFieldValueById(existingLead, fieldIds.CF_117_lawful_basis)) {
+      for (const [name, value] of Object.entries(this.getConsentValues(leadData))) {
+        if (value && fieldIds[name] !== undefined) {
+          updates.push({ id: fieldIds[name], value: this.customFields.coerce(name, value) });
+          fieldsUpdated.push(name);
+        }
+      }
+    }
+
+    const conditionalFields = {
+      CF_102_services_offered: (existing, incoming) => !existing || incoming.length > existing.length * 1.5,
+      CF_103_growth_signals: (existing, incoming) => !existing || !existing.includes(incoming),
+      CF_104_project_pipelines: (existing, incoming) => !existing || !existing.includes(incoming)
+    };
+    const incomingValues = {
+      CF_102_services_offered: leadData.servicesOffered,
+      CF_103_growth_signals: leadData.growthSignals,
+      CF_104_project_pipelines: leadData.projectPipelines
+    };
+    for (const [name, shouldUpdate] of Object.entries(conditionalFields)) {
+      const existing = String(this.getCustomFieldValueById(existingLead, fieldIds[name]) || '');
+      const incoming = incomingValues[name];
+      if (incoming && fieldIds[name] !== undefined && shouldUpdate(existing, incoming)) {
+        updates.push({ id: fieldIds[name], value: this.customFields.coerce(name, incoming) });
+        fieldsUpdated.push(name);
+      } else {
+        fieldsPreserved.push(name);
+      }
+    }
+
+    if (updates.length === 0) {
+      return {
+        action: 'preserved',
+        lead_id: existingLead.id,
+        email: leadData.email,
+        reason: 'No new data to update'
+      };
+    }
+
+    await this.halo.updateTicketCustomFields(existingLead.id, updates);
+    await this.halo.addTicketNote(existingLead.id,
+      `Auto-updated from ${(leadData.sources || [leadData.source]).join(', ')}\n` +
+      `Updated: ${fieldsUpdated.join(', ')}\n` +
+      `Preserved: ${fieldsPreserved.join(', ')}`
+    );
+    await this.linkLeadSources(existingLead.id, leadData.email, leadData.source_refs);
+    await this.recordEnrichment(existingLead.id, (leadData.source_refs || []).map(ref => ref.source));
+
+    return {
+      action: 'updated',
+      lead_id: existingLead.id,
+      email: leadData.email,
+      fields_updated: fieldsUpdated,
+      fields_preserved: fieldsPreserved
+    };
+  }
+
+  /**
+   * Stage 4: add newly created leads to HaloPSA lists by configurable criteria.
+   * Rules come from workflow.list_assignment.rules, else the recommended list structure.
+   */
+  async processListAssignments(createdLeads) {
+    const results = { total: 0, assignments: [], unresolved_lists: [], errors: [] };
+    if (createdLeads.length === 0) return results;
+
+    const rules = this.workflowConfig.list_assignment?.rules || DEFAULT_LIST_RULES;
+    const listIds = await this.resolveListIds(rules, results.unresolved_lists);
+
+    for (const created of createdLeads) {
+      for (const rule of rules) {
+        const listId = listIds.get(rule);
+        if (!listId || !this.matchesListCriteria(created.lead_data, rule.when || {})) continue;
+
+        try {
+          await this.halo.lists.addItem(listId, {
+            ticket_id: created.lead_id,
+            added_by: 'B2B Integration',
+            notes: `Auto-assigned: ${rule.description || rule.list || `list ${listId}`}`
+          });
+          results.assignments.push({ lead_id: created.lead_id, list_id: listId });
+          results.total++;
+        } catch (error) {
+          this.logger.error(`[Lists] Failed to add lead #${created.lead_id} to list ${listId}`, { error: error.message });
+          results.errors.push({ lead_id: created.lead_id, list_id: listId, error: error.message });
+        }
+      }
+    }
+
+    this.logger.info(`[Lists] Made ${results.total} list assignments for ${createdLeads.length} new leads`);
+    return results;
+  }
+
+  /**
+   * Map each rule to a list ID; rules may name a list instead of giving its ID
+   */
+  async resolveListIds(rules, unresolved) {
+    const resolved = new Map();
+    const byName = rules.some(rule => !rule.list_id)
+      ? new Map((await this.halo.lists.all()).map(list => [list.name?.toLowerCase(), list.id]))
+      : new Map();
+
+    for (const rule of rules) {
+      const listId = rule.list_id || byName.get(rule.list?.toLowerCase());
+      if (listId) {
+        resolved.set(rule, listId);
+      } else {
+        unresolved.push(rule.list);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Every criterion present on the rule must match
+   */
+  matchesListCriteria(leadData, when) {
+    const sources = leadData.sources || [leadData.source];
+    const employees = Number(leadData.employeeCount) || null;
+    const fitScore = leadData.fitScore ?? null;
+
+    if (when.sources && !when.sources.some(source => sources.includes(source))) return false;
+    if (when.industries && !when.industries.some(i => i.toLowerCase() === (leadData.industry || '').toLowerCase())) return false;
+    if (when.min_employees !== undefined && (employees === null || employees < when.min_employees)) return false;
+    if (when.max_employees !== undefined && (employees === null || employees > when.max_employees)) return false;
+    if (when.min_fit_score !== undefined && (fitScore === null || fitScore < when.min_fit_score)) return false;
+    if (when.max_fit_score !== undefined && (fitScore === null || fitScore > when.max_fit_score)) return false;
+    if (when.do_not_contact !== undefined && Boolean(leadData.doNotContact) !== when.do_not_contact) return false;
+    return true;
+  }
+
+  /**
+   * Stage 7: push Do Not Contact flags and contact corrections made in HaloPSA back to
+   * the sources each lead came from. Only leads updated since the last run are read.
+   */
+  async processBiDirectionalSync() {
+    const synced = [];
+    const cursor = this.bidirectionalCursor;
+    await cursor.begin();
+
+    const since = cursor.since(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+    // HaloPSA date filter: datesearch names the date column, startdate its lower bound
+    const leads = await this.halo.leads.all({ datesearch: 'lastupdate', startdate: since });
+    let failed = false;
+
+    for (const lead of leads) {
+      cursor.observe(lead.lastupdatedate || lead.last_update);
+      const sources = await this.getFeedbackTargets(lead);
+      if (sources.length === 0) {
+        // No source to notify, but other sources must still not re-create the contact
+        if (this.isDoNotContact(lead)) await this.suppressLead(lead);
+        continue;
+      }
+
+      try {
+        if (this.isDoNotContact(lead) && !(await this.stateStore.get(DNC_SYNC_NAMESPACE, String(lead.id)))) {
+          synced.push(...(await this.syncDoNotContact(lead, sources)));
+          continue;
+        }
+
+        const corrections = await this.detectCorrections(lead);
+        if (Object.keys(corrections).length > 0) {
+          for (const source of sources) {
+            synced.push(await this.pushCorrections(source, lead, corrections));
+          }
+          await this.saveLeadSnapshot(lead.id, this.getSnapshotFields(lead));
+        }
+      } catch (error) {
+        failed = true;
+        this.logger.error(`[Bi-Directional Sync] Lead #${lead.id} failed`, { error: error.response?.data || error.message });
+        synced.push({ lead_id: lead.id, success: false, error: error.message });
+      }
+    }
+
+    // Hold the cursor on failure so the lead is read again next poll
+    if (!failed) await cursor.commit();
+
+    this.logger.info(`[Bi-Directional Sync] Pushed ${synced.filter(s => s.success).length} updates back to sources`);
+    return synced;
+  }
+
+  /**
+   * Suppress a lead in every source it came from, once; recorded on the lead as a note. Apollo
+   * is told through the shared suppression list, like every other suppressed contact.
+   */
+  async syncDoNotContact(lead, sources) {
+    const synced = [];
+    const direct = sources.filter(s => s.source !== 'apollo');
+    for (const source of direct) {
+      synced.push(await this.pushDoNotContact(source, lead));
+    }
+    await this.suppressLead(lead, direct.map(s => s.source));
+    if (direct.length < sources.length) {
+      synced.push(await this.pushApolloSuppression(lead));
+    }
+    await this.stateStore.set(DNC_SYNC_NAMESPACE, String(lead.id), { synced_at: new Date().toISOString(), sources: sources.map(s => s.source) });
+    await this.halo.addTicketNote(lead.id, `DNC suppression synced to: ${sources.map(s => s.source).join(', ')}`);
+    return synced;
+  }
+
+  /**
+   * Webhook gateway handler for HaloPSA's own webhooks (tickets.updated,
+   * tickets.custom_field_changed, opportunities.updated): a rep setting CF_105, changing a
+   * lead or prospect status, or marking an opportunity won or lost is pushed to every source
+   * holding the contact. Throwing leaves the event in the inbox for a retry.
+   */
+  async handleHaloWebhook(payload) {
+    const change = readHaloChange(payload, { dnc_field_id: this.customFieldMappings.lead.CF_105_do_not_contact });
+    if (!change.entity_id) return { processed: false, reason: 'no entity_id' };
+
+    const entityType = await this.resolveWebhookEntityType(change);
+    if (!entityType) return { processed: false, reason: 'not a lead, prospect or opportunity' };
+
+    const statusKey = change.status ? this.workflow.getStatusKey(entityType, change.status.to) : null;
+    const doNotContact = change.do_not_contact || (entityType === 'lead' && statusKey === 'do_not_contact');
+    // Opportunities only report their outcome back to the sources
+    const feedbackStatus = entityType === 'opportunity' && !['won', 'lost'].includes(statusKey) ? null : statusKey;
+
+    if (!doNotContact && !feedbackStatus) {
+      return { processed: false, entity_type: entityType, entity_id: change.entity_id, reason: 'no synced changes' };
+    }
+
+    const lead = await this.getOriginatingLead(entityType, change.entity_id);
+    const sources = lead ? await this.getFeedbackTargets(lead) : [];
+    const synced = [];
+
+    if (doNotContact && sources.length > 0 && !(await this.stateStore.get(DNC_SYNC_NAMESPACE, String(lead.id)))) {
+      synced.push(...(await this.syncDoNotContact(lead, sources)));
+    } else if (doNotContact && lead) {
+      await this.suppressLead(lead);
+    }
+    if (feedbackStatus && statusKey !== 'do_not_contact') {
+      for (const source of sources) {
+        synced.push(await this.pushStatusFeedback(source, lead, {
+          entity_type: entityType,
+          entity_id: change.entity_id,
+          status: feedbackStatus
+        }));
+      }
+    }
+
+    this.logger.info(`[HaloPSA Webhook] ${entityType} #${change.entity_id}: pushed ${synced.length} updates to ${sources.map(s => s.source).join(', ') || 'no sources'}`);
+    return { processed: true, entity_type: entityType, entity_id: change.entity_id, lead_id: lead?.id ?? null, synced };
+  }
+
+  /**
+   * lead, prospect or opportunity; tickets whose payload omits the type are looked up
+   */
+  async resolveWebhookEntityType(change) {
+    if (change.entity_type === 'opportunity') return 'opportunity';
+    if (change.ticket_type) return change.ticket_type;
+
+    let ticketTypeId = change.tickettype_id;
+    if (ticketTypeId === null) {
+      const ticket = await this.getLinkedEntity('lead', change.entity_id);
+      ticketTypeId = ticket?.tickettype_id ?? null;
+    }
+    if (ticketTypeId === null) return null;
+    return ['lead', 'prospect'].find(type => {
+      const typeId = this.workflow.getTicketTypeId(type) || this.workflowConfig[`${type}_ticket_type_id`];
+      return typeId !== undefined && typeId !== null && Number(typeId) === Number(ticketTypeId);
+    }) || null;
+  }
+
+  /**
+   * The lead a prospect or opportunity was promoted from; its sources are the ones to notify
+   */
+  async getOriginatingLead(entityType, entityId) {
+    const [origin] = await this.crosswalk.getLineage(entityType, entityId);
+    if (origin.entity_type !== 'lead') return null;
+    return this.getLinkedEntity('lead', origin.halo_id);
+  }
+
+  /**
+   * Put a Do Not Contact lead's email and phone on the shared suppression list
+   */
+  async suppressLead(lead, syncedTo = []) {
+    return this.suppression.add({ email: lead.user_email, phone: lead.phonenumber }, {
+      reason: 'Do Not Contact set in HaloPSA',
+      source: 'halopsa',
+      synced_to: syncedTo
+    });
+  }
+
+  /**
+   * Push pending suppression entries to Apollo now rather than at the end of the poll; one that
+   * fails stays pending and is retried by syncSuppressionList()
+   */
+  async pushApolloSuppression(lead) {
+    const email = normalizeSuppressionValue('email', lead.user_email);
+    if (!email) {
+      return { lead_id: lead.id, source: 'apollo', type: 'do_not_contact', success: false, reason: 'lead has no email' };
+    }
+    const summary = await this.suppression.syncProviders({ apollo: this.apolloClient });
+    const failure = summary.errors.find(error => error.value === email);
+    return {
+      lead_id: lead.id,
+      source: 'apollo',
+      type: 'do_not_contact',
+      success: !failure,
+      ...(failure && { error: failure.error })
+    };
+  }
+
+  /**
+   * Push new suppression entries to Apollo and Outreach and pull Outreach opt-outs back in
+   */
+  async syncSuppressionList() {
+    const summary = await this.suppression.syncProviders({
+      apollo: this.apolloClient,
+      outreach: this.outreachClient
+    });
+    for (const failure of summary.errors) {
+      this.logger.error(`[Suppression] ${failure.provider} sync failed${failure.value ? ` for ${failure.value}` : ''}`, { error: failure.error });
+    }
+    return summary;
+  }
+
+  /**
+   * Right to be forgotten: find a data subject in HaloPSA and local state, anonymise or delete
+   * them, ask every source that supplied them to erase them, scrub logs and the webhook inbox,
+   * and record a chained audit entry. The email stays on the suppression list so the subject
+   * is not imported again.
+   * @param {object} subject - { email, phone }
+   * @param {object} [options] - { mode: "anonymise" | "delete", reference, requested_by, dry_run }
+   */
+  async eraseDataSubject(subject, options = {}) {
+    if (!this.gdpr.right_to_be_forgotten) {
+      throw new Error('Erasure requests are disabled (gdpr_config.right_to_be_forgotten is false)');
+    }
+    const email = String(subject?.email || '').trim().toLowerCase();
+    if (!email.includes('@')) {
+      throw new Error('An erasure request needs the data subject\'s email');
+    }
+    const mode = options.mode || this.gdpr.erasure_mode;
+    if (!['anonymise', 'delete'].includes(mode)) {
+      throw new Error(`Unknown erasure mode: ${mode}`);
+    }
+
+    const located = await this.locateDataSubject(email);
+    const plan = {
+      subject: subjectId(email),
+      mode,
+      records: located.records.map(({ entity_type: entityType, id }) => ({ entity_type: entityType, id })),
+      sources: located.sources.map(ref => ref.source)
+    };
+    if (options.dry_run) return { dry_run: true, ...plan };
+
+    const haloRecords = [];
+    for (const entry of located.records) {
+      haloRecords.push(await this.eraseHaloRecord(entry, mode, options.reference));
+    }
+
+    const sources = [];
+    for (const target of located.sources) {
+      try {
+        sources.push(await this.pushErasure(target, email, options.reference));
+      } catch (error) {
+        this.logger.error(`[GDPR] Erasure request to ${target.source} failed`, { error: error.response?.data || error.message });
+        sources.push({ source: target.source, status: 'failed', error: error.message });
+      }
+    }
+
+    await this.forgetDataSubjectState(located);
+    await this.suppression.add({ email }, { reason: 'GDPR erasure request', source: 'gdpr' });
+    const phones = [subject.phone, ...located.records.map(entry => entry.record.phonenumber)];
+    const filesScrubbed = await scrubFiles(this.gdpr.scrub_paths, [email, ...phones]);
+
+    const complete = [...haloRecords, ...sources].every(result => result.status !== 'failed');
+    const audit = await this.auditLog.append('erasure', {
+      ...plan,
+      reference: options.reference || null,
+      requested_by: options.requested_by || null,
+      complete,
+      records: haloRecords,
+      sources,
+      files_scrubbed: filesScrubbed.length
+    });
+
+    this.logger.info(`[GDPR] Erased data subject ${plan.subject} (${haloRecords.length} HaloPSA records, ${sources.length} sources)`);
+    return { ...plan, complete, records: haloRecords, sources, files_scrubbed: filesScrubbed, audit_seq: audit.seq, audit_hash: audit.hash };
+  }
+
+  /**
+   * Gateway handler for erasure requests: { email, phone, reference, requested_by, mode }
+   */
+  async handleErasureRequest(payload, context = {}) {
+    return this.eraseDataSubject({ email: payload.email, phone: payload.phone }, {
+      mode: payload.mode,
+      reference: payload.reference || context.request_id,
+      requested_by: payload.requested_by
+    });
+  }
+
+  /**
+   * Every HaloPSA record holding the email: tickets (leads, prospects), opportunities and
+   * contacts, plus anything on their crosswalk lineage. Resolves with
+   * { records: [{ entity_type, id, record }], sources: [{ source, source_id }] }
+   */
+  async locateDataSubject(email) {
+    const found = new Map();
+    const add = (entityType, record) => {
+      if (record?.id !== undefined) found.set(`${entityType}:${record.id}`, { entity_type: entityType, id: record.id, record });
+    };
+    const matches = value => String(value || '').trim().toLowerCase() === email;
+
+    for (const ticket of await this.halo.tickets.all({ search: email })) {
+      if (matches(ticket.user_email)) add(this.getTicketEntityType(ticket), ticket);
+    }
+    for (const opportunity of await this.halo.opportunities.all({ search: email })) {
+      if (matches(opportunity.user_email)) add('opportunity', opportunity);
+    }
+    for (const user of await this.halo.users.all({ search: email })) {
+      if (matches(user.emailaddress)) add('contact', user);
+    }
+
+    // Promoted records whose copy of the email was edited away are still on the lineage
+    const roots = [...found.values()].filter(entry => entry.entity_type !== 'contact');
+    const emailLink = await this.crosswalk.findBySource('email', email);
+    if (emailLink) roots.push({ entity_type: emailLink.entity_type, id: emailLink.halo_id });
+    for (const root of roots) {
+      for (const step of await this.crosswalk.getLineage(root.entity_type, root.id)) {
+        if (found.has(`${step.entity_type}:${step.halo_id}`)) continue;
+        add(step.entity_type, await this.getLinkedEntity(step.entity_type, step.halo_id));
+      }
+    }
+
+    const sources = new Map();
+    for (const entry of found.values()) {
+      if (entry.entity_type === 'contact') continue;
+      for (const ref of await this.crosswalk.getSources(entry.entity_type, entry.id)) {
+        if (this.getSourceClients()[ref.source]) sources.set(`${ref.source}:${ref.source_id}`, ref);
+      }
+    }
+
+    return { records: [...found.values()], sources: [...sources.values()] };
+  }
+
+  getTicketEntityType(ticket) {
+    if (ticket.tickettype_id === this.halo.leads.ticketTypeId) return 'lead';
+    if (ticket.tickettype_id === this.halo.prospects.ticketTypeId) return 'prospect';
+    return 'ticket';
+  }
+
+  async eraseHaloRecord(entry, mode, reference) {
+    const resource = entry.entity_type === 'contact' ? this.halo.users : (this.getWorkflowResource(entry.entity_type) || this.halo.tickets);
+    const result = { entity_type: entry.entity_type, id: entry.id };
+
+    try {
+      if (mode === 'delete') {
+        await resource.delete(entry.id);
+      } else {
+        await resource.update(entry.id, this.getAnonymisedFields(entry.entity_type, reference));
+      }
+      return { ...result, status: mode === 'delete' ? 'deleted' : 'anonymised' };
+    } catch (error) {
+      if (error.response?.status === 404) return { ...result, status: 'not_found' };
+      this.logger.error(`[GDPR] Could not erase ${entry.entity_type} #${entry.id}`, { error: error.response?.data || error.message });
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Changes that strip personal data from a record while keeping it for reporting
+   */
+  getAnonymisedFields(entityType, reference) {
+    const label = `Erased data subject${reference ? ` (${reference})` : ''}`;
+    if (entityType === 'contact') {
+      return { name: label, firstname: '', surname: '', emailaddress: '', phonenumber: '', mobilenumber: '', linkedinurl: '' };
+    }
+
+    const fields = { summary: label, details: label, user_name: '', user_email: '', phonenumber: '' };
+    if (entityType === 'lead') {
+      // Everything but the lead source and the Do Not Contact flag describes the person or their enrichment
+      fields.customfields = Object.entries(this.customFieldMappings.lead)
+        .filter(([name]) => !['CF_101_lead_source', 'CF_105_do_not_contact'].includes(name))
+        .map(([, id]) => ({ id, value: '' }));
+    }
+    return fields;
+  }
+
+  async pushErasure(target, email, reference) {
+    const endpoint = this.getFeedbackEndpoints(target.source).erasure;
+    if (!endpoint) {
+      this.logger.warn(`[GDPR] No erasure endpoint configured for ${target.source}; request erasure of record ${target.source_id} there directly`);
+      return { source: target.source, status: 'not_configured' };
+    }
+    const params = target.source === 'hunter' ? { api_key: this.b2bConfigs.hunter.api_key } : undefined;
+
+    await this.callSource(target.source, () =>
+      this.getSourceClients()[target.source].post(endpoint, {
+        record_id: target.source_id,
+        email,
+        reason: 'GDPR Article 17 erasure request',
+        request_reference: reference || null,
+        source: 'HaloPSA_Integration'
+      }, { params })
+    );
+    return { source: target.source, status: 'requested' };
+  }
+
+  /**
+   * Drop crosswalk links, snapshots, engagement history, enrichment ages and source record hashes
+   */
+  async forgetDataSubjectState(located) {
+    const engagement = new EngagementTracker(this.stateStore);
+    for (const entry of located.records) {
+      if (entry.entity_type === 'contact') continue;
+      await this.crosswalk.unlinkEntity(entry.entity_type, entry.id);
+      if (entry.entity_type === 'lead') {
+        await this.stateStore.delete(LEAD_SNAPSHOT_NAMESPACE, String(entry.id));
+        await this.stateStore.delete(DNC_SYNC_NAMESPACE, String(entry.id));
+        await this.stateStore.delete(ENRICHMENT_AGE_NAMESPACE, String(entry.id));
+        await engagement.forget(entry.id);
+      }
+    }
+    for (const ref of located.sources) {
+      const cursor = this.cursors[ref.source];
+      if (cursor) await this.stateStore.delete(cursor.hashNamespace, String(ref.source_id));
+    }
+  }
+
+  /**
+   * Remember when each source last enriched a lead, for the retention purge
+   */
+  async recordEnrichment(leadId, sources) {
+    if (sources.length === 0) return;
+    const enrichedAt = (await this.stateStore.get(ENRICHMENT_AGE_NAMESPACE, String(leadId))) || {};
+    const now = new Date().toISOString();
+    for (const source of sources) {
+      enrichedAt[source] = now;
+    }
+    await this.stateStore.set(ENRICHMENT_AGE_NAMESPACE, String(leadId), enrichedAt);
+  }
+
+  /**
+   * Retention period for a source: its own gdpr_config.retention_period_days, else gdpr_config's
+   */
+  getRetentionDays(source) {
+    return this.b2bConfigs[source]?.gdpr_config?.retention_period_days ?? this.gdpr.retention_period_days;
+  }
+
+  async runRetentionPurge(now = Date.now()) {
+    const lastRun = await this.stateStore.get(RETENTION_PURGE_NAMESPACE, 'last_run');
+    if (lastRun && now - Date.parse(lastRun.at) < this.gdpr.purge_interval_hours * 60 * 60 * 1000) {
+      return { skipped: true, last_run_at: lastRun.at };
+    }
+
+    const summary = await this.purgeExpiredEnrichment(now);
+    await this.stateStore.set(RETENTION_PURGE_NAMESPACE, 'last_run', { at: new Date(now).toISOString(), leads_purged: summary.leads_purged });
+    return summary;
+  }
+
+  /**
+   * Clear the enrichment fields (CF_102-104, CF_106-115) of every lead with enrichment from a
+   * source older than that source's retention period. Imported contact details and the
+   * lead's workflow state are left alone.
+   */
+  async purgeExpiredEnrichment(now = Date.now()) {
+    const fieldNames = [
+      'CF_102_services_offered',
+      'CF_103_growth_signals',
+      'CF_104_project_pipelines',
+      ...Object.keys(this.getEnrichmentValues({}))
+    ];
+    const cleared = fieldNames
+      .filter(name => this.customFieldMappings.lead[name] !== undefined)
+      .map(name => ({ id: this.customFieldMappings.lead[name], value: '' }));
+    const purged = [];
+    const errors = [];
+
+    for (const [leadId, enrichedAt] of Object.entries(await this.stateStore.list(ENRICHMENT_AGE_NAMESPACE))) {
+      const expired = Object.keys(enrichedAt)
+        .filter(source => Date.parse(enrichedAt[source]) < retentionCutoff(this.getRetentionDays(source), now));
+      if (expired.length === 0) continue;
+
+      try {
+        await this.halo.updateTicketCustomFields(leadId, cleared);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          errors.push({ lead_id: leadId, error: error.message });
+          continue;
+        }
+      }
+      await this.stateStore.delete(ENRICHMENT_AGE_NAMESPACE, leadId);
+      purged.push({ lead_id: leadId, expired_sources: expired });
+    }
+
+    if (purged.length > 0) {
+      await this.auditLog.append('retention_purge', { leads: purged, fields_cleared: fieldNames });
+      this.logger.info(`[GDPR] Cleared expired enrichment on ${purged.length} leads`);
+    }
+    for (const failure of errors) {
+      this.logger.error(`[GDPR] Retention purge failed for lead #${failure.lead_id}`, { error: failure.error });
+    }
+    return { leads_purged: purged.length, errors };
+  }
+
+  isDoNotContact(lead) {
+    // Pipelines without a do_not_contact status rely on CF_105 alone
+    const dncStatusId = this.workflow.getStatusId('lead', 'do_not_contact');
+    return (dncStatusId !== null && Number(lead.status_id) === Number(dncStatusId)) ||
+      this.isTruthyFieldValue(this.getCustomFieldValueById(lead, this.customFieldMappings.lead.CF_105_do_not_contact));
   }
 
   /**
-   * Fetch data from Apollo.io
+   * Source records behind a lead (from the crosswalk, else its CF_101 lead source)
    */
-  async fetchApolloData() {
-    try {
-      const searchParams = {
-        q_person_emails_exist: true,
-        sort_by_field: 'person_created_at',
-        sort_ascending: false,
-        page: 1,
-        per_page: 50
-      };
+  async getFeedbackTargets(lead) {
+    const refs = (await this.crosswalk.getSources('lead', lead.id))
+      .filter(ref => this.getSourceClients()[ref.source]);
+    if (refs.length > 0) return refs;
 
-      const response = await this.apolloClient.post('/mixed_people/search', searchParams);
-      console.log(`[Apollo] Fetched ${response.data.people?.length || 0} persons`);
-      return response.data.people || [];
-    } catch (error) {
-      console.error('[Apollo] API error:', error.response?.data || error.message);
-      return [];
-    }
+    const leadSource = String(this.getCustomFieldValueById(lead, this.customFieldMappings.lead.CF_101_lead_source) || '').toLowerCase();
+    const source = Object.keys(SOURCE_LABELS).find(key => SOURCE_LABELS[key].toLowerCase() === leadSource || key === leadSource);
+    return source ? [{ source, source_id: lead.user_email }] : [];
   }
 
   /**
-   * Fetch ZoomInfo data
+   * Contact fields changed in HaloPSA since import: { field: { from, to } }
    */
-  async fetchZoomInfoData() {
-    try {
-      console.log('[ZoomInfo] Fetching contact data...');
-      const searchParams = {
-        query: {
-          person: {
-            hasEmail: true,
-            titleIncludesAnyOf: ['CTO', 'IT Director', 'Technology Manager', 'Systems Administrator']
-          },
-          company: {
-            employeeCountMin: this.workflowConfig.filters.min_employees,
-            employeeCountMax: this.workflowConfig.filters.max_employees,
-            industryIncludesAnyOf: this.workflowConfig.filters.target_industries
-          }
-        },
-        outputFields: ['person.firstName', 'person.lastName', 'person.email', 'person.jobTitle', 'person.phone', 'company.name', 'company.website', 'company.industry', 'company.employees', 'company.revenue']
-      };
-      
-      const response = await this.zoomInfoClient.post('/lookup/person', searchParams);
-      console.log(`[ZoomInfo] Fetched ${response.data.results?.length || 0} contacts`);
-      return response.data.results || [];
-    } catch (error) {
-      console.error('[ZoomInfo] API error:', error.response?.data || error.message);
-      return [];
+  async detectCorrections(lead) {
+    const snapshot = await this.stateStore.get(LEAD_SNAPSHOT_NAMESPACE, String(lead.id));
+    if (!snapshot) return {};
+
+    const current = this.getSnapshotFields(lead);
+    const corrections = {};
+    for (const [field, value] of Object.entries(current)) {
+      if (value && snapshot[field] !== undefined && value !== snapshot[field]) {
+        corrections[field] = { from: snapshot[field], to: value };
+      }
     }
+    return corrections;
   }
 
-  /**
-   * Fetch Hunter.io data
-   */
-  async fetchHunterData() {
-    try {
-      console.log('[Hunter] Fetching email data...');
-      const domains = this.workflowConfig.filters.target_domains || [];
-      const results = [];
-      
-      for (const domain of domains) {
-        const response = await this.hunterClient.get('/v2/domain-search', {
-          params: {
-            domain: domain,
-            api_key: this.b2bConfigs.hunter.api_key,
-            limit: 50
-          }
-        });
-        
-        if (response.data.data && response.data.data.emails) {
-          results.push(...response.data.data.emails);
-        }
-      }
-      
-      console.log(`[Hunter] Fetched ${results.length} email records`);
-      return results;
-    } catch (error) {
-      console.error('[Hunter] API error:', error.response?.data || error.message);
-      return [];
+  getSnapshotFields(lead) {
+    return {
+      user_email: lead.user_email,
+      phonenumber: lead.phonenumber,
+      user_name: lead.user_name
+    };
+  }
+
+  async saveLeadSnapshot(leadId, fields) {
+    await this.stateStore.set(LEAD_SNAPSHOT_NAMESPACE, String(leadId), fields);
+  }
+
+  async pushDoNotContact(target, lead) {
+    const endpoints = this.getFeedbackEndpoints(target.source);
+    const email = lead.user_email || target.source_id;
+    const reason = 'Opted out via HaloPSA workflow';
+    const payloads = {
+      zoominfo: { emails: [email], suppression_reason: reason, source: 'HaloPSA_Integration' },
+      hunter: null
+    };
+    const params = target.source === 'hunter' ? { api_key: this.b2bConfigs.hunter.api_key, email, reason } : undefined;
+
+    await this.callSource(target.source, () =>
+      this.getSourceClients()[target.source].post(endpoints.suppression, payloads[target.source], { params })
+    );
+    return { lead_id: lead.id, source: target.source, type: 'do_not_contact', success: true };
+  }
+
+  async pushCorrections(target, lead, corrections) {
+    const endpoints = this.getFeedbackEndpoints(target.source);
+    if (!endpoints.corrections) {
+      return { lead_id: lead.id, source: target.source, type: 'correction', success: false, reason: 'no corrections endpoint configured' };
     }
+    const params = target.source === 'hunter' ? { api_key: this.b2bConfigs.hunter.api_key } : undefined;
+
+    await this.callSource(target.source, () =>
+      this.getSourceClients()[target.source].post(endpoints.corrections, {
+        record_id: target.source_id,
+        corrections: Object.fromEntries(
+          Object.entries(corrections).map(([field, change]) => [CORRECTION_FIELD_NAMES[field], change])
+        ),
+        source: 'HaloPSA_Integration',
+        halo_ticket_id: lead.id
+      }, { params })
+    );
+    return { lead_id: lead.id, source: target.source, type: 'correction', fields: Object.keys(corrections), success: true };
   }
 
   /**
-   * Process leads with smart update logic (create new or update existing)
+   * Report a status change or opportunity outcome to a source, so its scoring learns from it
    */
-  async processLeadsWithSmartUpdate(deduplicatedLeads) {
-    console.log(`[Enhanced CRM] Processing ${deduplicatedLeads.length} leads with smart update logic...`);
-    
-    const results = {
-      processed: deduplicatedLeads.length,
-      created: [],
-      updated: [],
-      preserved: [],
-      errors: []
-    };
-    
-    for (const leadData of deduplicatedLeads) {
-      try {
-        const result = await this.processLeadImport(leadData);
-        
-        switch (result.action) {
-          case 'created':
-            results.created.push(result);
-            break;
-          case 'updated':
-            results.updated.push(result);
-            break;
-          case 'preserved':
-            results.preserved.push(result);
-            break;
-          default:
-            results.errors.push(result);
-        }
-        
-      } catch (error) {
-        console.error(`[Enhanced CRM] Failed to process lead ${leadData.email}:`, error);
-        results.errors.push({
-          email: leadData.email,
-          error: error.message
-        });
-      }
+  async pushStatusFeedback(target, lead, change) {
+    const endpoints = this.getFeedbackEndpoints(target.source);
+    if (!endpoints.feedback) {
+      return { lead_id: lead.id, source: target.source, type: 'status', success: false, reason: 'no feedback endpoint configured' };
     }
-    
-    console.log(`[Enhanced CRM] Lead processing complete: ${results.created.length} created, ${results.updated.length} updated, ${results.preserved.length} preserved`);
-    return results;
+    const params = target.source === 'hunter' ? { api_key: this.b2bConfigs.hunter.api_key } : undefined;
+
+    await this.callSource(target.source, () =>
+      this.getSourceClients()[target.source].post(endpoints.feedback, {
+        record_id: target.source_id,
+        email: lead.user_email,
+        stage: change.entity_type,
+        outcome: change.status,
+        source: 'HaloPSA_Integration',
+        halo_ticket_id: lead.id,
+        halo_entity_id: change.entity_id,
+        changed_at: new Date().toISOString()
+      }, { params })
+    );
+    return { lead_id: lead.id, source: target.source, type: 'status', stage: change.entity_type, outcome: change.status, success: true };
+  }
+
+  getFeedbackEndpoints(source) {
+    return { ...DEFAULT_FEEDBACK_ENDPOINTS[source], ...this.b2bConfigs[source].feedback_endpoints };
   }
 
   /**
@@ -446,7 +1671,7 @@ class EnhancedCustomCRMWorkflowIntegrator {
     for (const person of apolloPersons) {
       try {
         // Check if lead already exists (deduplication by email)
-        const existingLead = await this.findExistingLead(person.email);
+        const existingLead = await this.findExistingLead(person.email, [{ source: 'apollo', source_id: person.id }]);
         
         if (existingLead) {
           // Update existing lead with enriched data
@@ -456,6 +1681,12 @@ class EnhancedCustomCRMWorkflowIntegrator {
             lead: updatedLead,
             status: updatedLead.status 
           });
+        } else if (await this.suppression.check({
+          email: person.email,
+          phone: person.phone_numbers?.[0]?.sanitized_number,
+          website: person.organization?.website_url
+        })) {
+          results.push({ action: 'suppressed', person: person.id });
         } else {
           // Create new lead
           const newLead = await this.createLeadFromApollo(person);
@@ -466,7 +1697,7 @@ class EnhancedCustomCRMWorkflowIntegrator {
           });
         }
       } catch (error) {
-        console.error(`[Lead Creation] Error processing Apollo person ${person.id}:`, error.message);
+        this.logger.error(`[Lead Creation] Error processing Apollo person ${person.id}`, { error: error.message });
         results.push({ 
           action: 'error', 
           person: person.id, 
@@ -491,20 +1722,19 @@ class EnhancedCustomCRMWorkflowIntegrator {
     const ticketData = {
       summary: `Lead: ${apolloPerson.first_name} ${apolloPerson.last_name} - ${apolloPerson.organization?.name}`,
       details: this.buildLeadDetails(apolloPerson),
-      tickettype_id: this.workflowConfig.lead_ticket_type_id,
-      status_id: this.getStatusId('lead', 'new_lead'),
+      status_id: this.workflow.requireStatusId('lead', 'new_lead'),
       client_id: clientId,
       priority_id: 4, // Normal priority
       ...leadData.standardFields,
       customfields: leadData.customFields
     };
 
-    const response = await this.haloClient.post('/api/Tickets', {
-      tickets: [ticketData]
-    });
+    const lead = await this.halo.leads.create(ticketData);
+    await this.linkLeadSources(lead.id, apolloPerson.email, [{ source: 'apollo', source_id: apolloPerson.id }]);
+    await this.recordEnrichment(lead.id, ['apollo']);
     
-    console.log(`[Lead] Created lead #${response.data.tickets[0].id} for ${apolloPerson.first_name} ${apolloPerson.last_name}`);
-    return response.data.tickets[0];
+    this.logger.info(`[Lead] Created lead #${lead.id} from Apollo person ${apolloPerson.id}`);
+    return lead;
   }
 
   /**
@@ -525,86 +1755,239 @@ class EnhancedCustomCRMWorkflowIntegrator {
       lead_source: 'apollo_io'
     };
 
-    const customFields = [
-      {
-        id: 101, // CF_101_lead_source
-        name: 'CF_101_lead_source',
-        value: 'apollo_io'
-      },
-      {
-        id: 102, // CF_102_services_offered
-        name: 'CF_102_services_offered',
-        value: org.business_description || ''
-      },
-      {
-        id: 103, // CF_103_growth_signals
-        name: 'CF_103_growth_signals',
-        value: this.extractGrowthSignals(org)
-      },
-      {
-        id: 104, // CF_104_project_pipelines
-        name: 'CF_104_project_pipelines',
-        value: this.extractProjectPipelines(apolloPerson)
-      },
-      {
-        id: 105, // CF_105_do_not_contact
-        name: 'CF_105_do_not_contact',
-        value: apolloPerson.do_not_contact || false
-      }
-    ];
+    const customFields = this.customFields.toCustomFields({
+      CF_101_lead_source: 'apollo_io',
+      CF_102_services_offered: org.business_description || '',
+      CF_103_growth_signals: this.extractGrowthSignals(org),
+      CF_104_project_pipelines: this.extractProjectPipelines(apolloPerson),
+      CF_105_do_not_contact: apolloPerson.do_not_contact || false,
+      ...this.getConsentValues({
+        ...this.getSourceConsent('apollo', apolloPerson),
+        country: apolloPerson.country || org.country
+      })
+    });
 
     return { standardFields, customFields };
   }
 
   /**
-   * Process Lead to Prospect conversions
+   * Check configured status IDs against HaloPSA once per process (GET /api/Status)
    */
-  async processLeadToProspectConversions() {
-    try {
-      // Find leads with status "engaged" that haven't been converted
-      const engagedLeads = await this.haloClient.get('/api/Tickets', {
-        params: {
-          tickettype_id: this.workflowConfig.lead_ticket_type_id,
-          status_id: this.getStatusId('lead', 'engaged'),
-          pageinate: true,
-          page_size: 50
+  async validateWorkflow() {
+    if (!this.workflowValidation) {
+      this.workflowValidation = this.halo.statuses.all()
+        .then(statuses => {
+          const warnings = this.workflow.validateAgainstHalo(statuses);
+          warnings.forEach(warning => this.logger.warn(`[Workflow] ${warning}`));
+          return warnings;
+        })
+        .catch(error => {
+          this.workflowValidation = null; // Re-check next poll
+          throw error;
+        });
+    }
+    return this.workflowValidation;
+  }
+
+  /**
+   * Run every configured transition for records sitting in a status that has one
+   */
+  async processWorkflowTransitions() {
+    const results = [];
+
+    for (const entityType of ['lead', 'prospect', 'opportunity']) {
+      const resource = this.getWorkflowResource(entityType);
+
+      for (const statusId of this.workflow.getActiveStatusIds(entityType)) {
+        // Load every page up front: a transition moves the record out of this status filter
+        const records = await resource.all({ status_id: statusId });
+
+        for (const record of records) {
+          try {
+            const { transition } = this.workflow.nextTransition(entityType, record, (r, field) => this.getWorkflowField(r, field));
+            if (!transition) continue;
+
+            const result = await this.applyTransition(transition, record);
+            if (result) results.push(result);
+          } catch (error) {
+            this.logger.error(`[Workflow] Error transitioning ${entityType} ${record.id}`, { error: error.message });
+          }
         }
+      }
+    }
+
+    this.logger.info(`[Workflow] Applied ${results.length} transitions`);
+    return results;
+  }
+
+  async applyTransition(transition, record) {
+    const fromType = transition.entity_type;
+    const toType = transition.to.entity_type;
+    let target;
+
+    if (fromType === toType) {
+      target = await this.getWorkflowResource(fromType).update(record.id, {
+        status_id: this.workflow.getStatusId(toType, transition.to.status)
       });
+      target = { ...record, ...target };
+    } else if (toType === 'prospect') {
+      // Crosswalk lineage: never convert the same lead twice
+      if (await this.findProspectByLeadId(record.id)) return null;
+      target = await this.convertLeadToProspect(record, transition);
+    } else {
+      if (await this.findOpportunityByProspectId(record.id)) return null;
+      target = await this.promoteProspectToOpportunity(record, transition);
+    }
 
-      const conversions = [];
-      
-      for (const lead of engagedLeads.data.tickets || []) {
-        try {
-          // Check if already converted
-          const existingProspect = await this.findProspectByLeadId(lead.id);
-          if (!existingProspect) {
-            const prospect = await this.convertLeadToProspect(lead);
-            conversions.push(prospect);
+    await this.runSideEffects(transition.side_effects, toType, target.id);
+
+    return {
+      transition: transition.name,
+      from_entity_type: fromType,
+      from_id: record.id,
+      entity_type: toType,
+      id: target.id,
+      status: transition.to.status
+    };
+  }
+
+  /**
+   * Side effects declared on a transition, applied to the record it produced
+   */
+  async runSideEffects(sideEffects, entityType, recordId) {
+    for (const effect of sideEffects) {
+      switch (effect.type) {
+        case 'add_note':
+          await this.halo.addTicketNote(recordId, effect.text, effect.outcome);
+          break;
+        case 'set_custom_fields':
+          await this.getWorkflowResource(entityType).update(recordId, {
+            // Logical names are resolved and coerced; anything else is taken as a raw field ID
+            customfields: Object.entries(effect.fields)
+              .filter(([name]) => !this.customFields.catalog[name] || this.customFields.id(name) !== undefined)
+              .map(([name, value]) => (this.customFields.catalog[name]
+                ? { id: this.customFields.id(name), value: this.customFields.coerce(name, value) }
+                : { id: Number(name), value }))
+          });
+          break;
+        case 'add_to_list':
+          await this.halo.lists.addItem(effect.list_id, {
+            ticket_id: recordId,
+            added_by: 'B2B Integration',
+            notes: effect.notes || 'Auto-assigned by workflow transition'
+          });
+          break;
+        case 'add_to_sequence':
+          await this.addToSequence(effect, entityType, recordId);
+          break;
+        default:
+          this.logger.warn(`[Workflow] Unknown side effect type: ${effect.type}`);
+      }
+    }
+  }
+
+  /**
+   * Enrol a record's contact in an Outreach or Apollo sequence, but only with a valid lawful
+   * basis and when they are neither Do Not Contact nor suppressed; refusals are noted on the record
+   */
+  async addToSequence(effect, entityType, recordId) {
+    const record = await this.getWorkflowResource(entityType).get(recordId);
+    const check = await this.checkOutreachEligibility(entityType, record);
+    if (!check.eligible) {
+      this.logger.warn(`[Consent] Not adding ${entityType} #${recordId} to ${effect.provider} sequence ${effect.sequence_id}: ${check.reason}`);
+      await this.halo.addTicketNote(recordId, `Not added to ${effect.provider} sequence ${effect.sequence_id}: ${check.reason}`, 'Consent Check');
+      return { added: false, reason: check.reason };
+    }
+
+    const [firstName, ...lastName] = String(record.user_name || '').trim().split(/\s+/);
+    const contact = { email: record.user_email, first_name: firstName || '', last_name: lastName.join(' ') };
+
+    if (effect.provider === 'apollo') {
+      await this.callSource('apollo', async () => {
+        const { data } = await this.apolloClient.post('/contacts', { ...contact, run_dedupe: true });
+        await this.apolloClient.post(`/emailer_campaigns/${effect.sequence_id}/add_contact_ids`, {
+          emailer_campaign_id: effect.sequence_id,
+          contact_ids: [data.contact.id],
+          send_email_from_email_account_id: effect.mailbox_id || this.b2bConfigs.apollo.email_account_id
+        });
+      });
+    } else if (effect.provider === 'outreach') {
+      if (!this.outreachClient) throw new Error('add_to_sequence with provider outreach needs an outreach config');
+      const prospectId = await this.findOrCreateOutreachProspect(contact);
+      await this.outreachClient.post('/sequenceStates', {
+        data: {
+          type: 'sequenceState',
+          relationships: {
+            prospect: { data: { type: 'prospect', id: prospectId } },
+            sequence: { data: { type: 'sequence', id: effect.sequence_id } },
+            mailbox: { data: { type: 'mailbox', id: effect.mailbox_id || this.outreachConfig.mailbox_id } }
           }
-        } catch (error) {
-          console.error(`[Prospect Conversion] Error converting lead ${lead.id}:`, error.message);
         }
-      }
+      });
+    } else {
+      throw new Error(`Unknown sequence provider: ${effect.provider}`);
+    }
 
-      console.log(`[Workflow] Converted ${conversions.length} leads to prospects`);
-      return conversions;
-    } catch (error) {
-      console.error('[Prospect Conversion] Error:', error.message);
-      return [];
+    this.logger.info(`[Workflow] Added ${entityType} #${recordId} to ${effect.provider} sequence ${effect.sequence_id}`);
+    return { added: true };
+  }
+
+  /**
+   * { eligible, reason }: an email, no Do Not Contact flag, not suppressed, and a lawful basis
+   * the consent policy accepts. Prospects and opportunities inherit the lead's consent fields;
+   * the originating lead is read when they are missing.
+   */
+  async checkOutreachEligibility(entityType, record) {
+    if (!record.user_email) return { eligible: false, reason: 'no email address' };
+    if (this.isTruthyFieldValue(this.getCustomFieldValueById(record, this.customFieldMappings.lead.CF_105_do_not_contact))) {
+      return { eligible: false, reason: 'Do Not Contact' };
+    }
+    const suppressed = await this.suppression.check({ email: record.user_email, phone: record.phonenumber });
+    if (suppressed) return { eligible: false, reason: `${suppressed.type} ${suppressed.value} is on the suppression list` };
+
+    let consent = this.consentPolicy.fromCustomFields(record.customfields, this.customFieldMappings.lead);
+    if (!consent.lawful_basis && entityType !== 'lead') {
+      const lead = await this.getOriginatingLead(entityType, record.id);
+      if (lead) consent = this.consentPolicy.fromCustomFields(lead.customfields, this.customFieldMappings.lead);
     }
+    const result = this.consentPolicy.evaluate(consent);
+    return { eligible: result.valid, reason: result.reason };
+  }
+
+  async findOrCreateOutreachProspect(contact) {
+    const { data } = await this.outreachClient.get('/prospects', { params: { 'filter[emails]': contact.email } });
+    if (data.data?.[0]) return data.data[0].id;
+
+    const created = await this.outreachClient.post('/prospects', {
+      data: {
+        type: 'prospect',
+        attributes: { emails: [contact.email], firstName: contact.first_name, lastName: contact.last_name }
+      }
+    });
+    return created.data.data.id;
+  }
+
+  getWorkflowResource(entityType) {
+    return { lead: this.halo.leads, prospect: this.halo.prospects, opportunity: this.halo.opportunities }[entityType];
+  }
+
+  /**
+   * Guard field lookup: custom field by resolved ID or name, then the record property
+   */
+  getWorkflowField(record, field) {
+    return this.customFields.valueOf(record, field) ?? record[field];
   }
 
   /**
    * Convert Lead to Prospect
    */
-  async convertLeadToProspect(lead) {
+  async convertLeadToProspect(lead, transition = this.workflow.getTransitions('lead').find(t => t.to.entity_type === 'prospect')) {
     const leadCustomFields = this.extractCustomFieldValues(lead);
     
     const prospectData = {
       summary: `Prospect: ${leadCustomFields.person_name} - ${leadCustomFields.company_name}`,
       details: `Converted from Lead #${lead.id} on ${new Date().toISOString()}\\n\\n${lead.details}`,
-      tickettype_id: this.workflowConfig.prospect_ticket_type_id,
-      status_id: this.getStatusId('prospect', 'new_prospect'),
+      status_id: this.workflow.requireStatusId('prospect', transition?.to.status || 'new_prospect'),
       client_id: lead.client_id,
       priority_id: 3, // Higher priority than leads
       
@@ -617,104 +2000,37 @@ class EnhancedCustomCRMWorkflowIntegrator {
       // Add prospect-specific custom fields
       customfields: [
         ...lead.customfields, // Inherit all lead custom fields
-        {
-          id: 201,
-          name: 'CF_201_pain_points',
-          value: '' // To be filled during qualification calls
-        },
-        {
-          id: 202,
-          name: 'CF_202_qualified_services',
-          value: ''
-        },
-        {
-          id: 203,
-          name: 'CF_203_decision_maker',
-          value: leadCustomFields.person_name // Default to primary contact
-        },
-        {
-          id: 204,
-          name: 'CF_204_budget_range',
-          value: ''
-        },
-        {
-          id: 205,
-          name: 'CF_205_timeframe',
-          value: ''
-        },
-        {
-          id: 206,
-          name: 'CF_206_fit_score',
-          value: '50' // Default middle score
-        },
-        {
-          id: 207,
-          name: 'CF_207_promoted_from_lead',
-          value: lead.id.toString()
-        }
+        ...this.customFields.toCustomFields({
+          CF_201_pain_points: '', // To be filled during qualification calls
+          CF_202_qualified_services: '',
+          CF_203_decision_maker: leadCustomFields.person_name, // Default to primary contact
+          CF_204_budget_range: '',
+          CF_205_timeframe: '',
+          // Carry the lead's fit score; default middle score for leads imported before scoring
+          CF_206_fit_score: this.customFields.valueOf(lead, 'CF_114_lead_fit_score') || 50,
+          CF_207_promoted_from_lead: lead.id
+        })
       ]
     };
 
-    const response = await this.haloClient.post('/api/Tickets', {
-      tickets: [prospectData]
-    });
+    const prospect = await this.halo.prospects.create(prospectData);
+    // Record lineage before anything else can fail, so a retry never converts twice
+    await this.crosswalk.linkPromotion('lead', lead.id, 'prospect', prospect.id);
 
     // Update original lead to mark as converted
-    await this.haloClient.post(`/api/Tickets/${lead.id}`, {
-      status_id: this.getStatusId('lead', 'converted_to_prospect'),
-      details: `${lead.details}\\n\\n[CONVERTED] Promoted to Prospect #${response.data.tickets[0].id} on ${new Date().toISOString()}`
+    await this.halo.tickets.update(lead.id, {
+      ...(this.sourceStatusId('lead', transition) !== null && { status_id: this.sourceStatusId('lead', transition) }),
+      details: `${lead.details}\\n\\n[CONVERTED] Promoted to Prospect #${prospect.id} on ${new Date().toISOString()}`
     });
 
-    console.log(`[Prospect] Converted lead #${lead.id} to prospect #${response.data.tickets[0].id}`);
-    return response.data.tickets[0];
-  }
-
-  /**
-   * Process Prospect to Opportunity promotions
-   */
-  async processProspectToOpportunityPromotions() {
-    try {
-      // Find qualified prospects with high fit scores
-      const qualifiedProspects = await this.haloClient.get('/api/Tickets', {
-        params: {
-          tickettype_id: this.workflowConfig.prospect_ticket_type_id,
-          status_id: this.getStatusId('prospect', 'qualified'),
-          pageinate: true,
-          page_size: 50
-        }
-      });
-
-      const promotions = [];
-      
-      for (const prospect of qualifiedProspects.data.tickets || []) {
-        try {
-          const fitScore = this.getCustomFieldValue(prospect, 'CF_206_fit_score');
-          
-          // Promote if fit score >= 70 and has required qualification data
-          if (parseInt(fitScore) >= 70 && this.hasRequiredQualificationData(prospect)) {
-            const existingOpportunity = await this.findOpportunityByProspectId(prospect.id);
-            if (!existingOpportunity) {
-              const opportunity = await this.promoteProspectToOpportunity(prospect);
-              promotions.push(opportunity);
-            }
-          }
-        } catch (error) {
-          console.error(`[Opportunity Promotion] Error promoting prospect ${prospect.id}:`, error.message);
-        }
-      }
-
-      console.log(`[Workflow] Promoted ${promotions.length} prospects to opportunities`);
-      return promotions;
-    } catch (error) {
-      console.error('[Opportunity Promotion] Error:', error.message);
-      return [];
-    }
+    this.logger.info(`[Prospect] Converted lead #${lead.id} to prospect #${prospect.id}`);
+    return prospect;
   }
 
   /**
    * Promote Prospect to Opportunity
    */
-  async promoteProspectToOpportunity(prospect) {
+  async promoteProspectToOpportunity(prospect, transition = this.workflow.getTransitions('prospect').find(t => t.to.entity_type === 'opportunity')) {
     const prospectCustomFields = this.extractCustomFieldValues(prospect);
     
     // Calculate initial opportunity value based on company size and industry
@@ -728,53 +2044,34 @@ class EnhancedCustomCRMWorkflowIntegrator {
       opportunity_value: estimatedValue,
       probability_percent: 25, // Starting probability
       expected_close_date: this.calculateExpectedCloseDate(),
-      status: 'new_opportunity',
+      status_id: this.workflow.requireStatusId('opportunity', transition?.to.status || 'new_opportunity'),
       
       // Client/Contact association
       client_id: prospect.client_id,
       contact_id: prospect.user_id,
       
       // Custom fields for opportunity tracking
-      customfields: [
-        {
-          id: 301,
-          name: 'CF_301_products_services',
-          value: prospectCustomFields.CF_202_qualified_services || ''
-        },
-        {
-          id: 302,
-          name: 'CF_302_quotes_proposals',
-          value: ''
-        },
-        {
-          id: 303,
-          name: 'CF_303_competitors',
-          value: ''
-        },
-        {
-          id: 304,
-          name: 'CF_304_win_loss_reason',
-          value: ''
-        },
-        {
-          id: 305,
-          name: 'CF_305_promoted_from_prospect',
-          value: prospect.id.toString()
-        }
-      ]
+      customfields: this.customFields.toCustomFields({
+        CF_301_products_services: prospectCustomFields.CF_202_qualified_services || '',
+        CF_302_quotes_proposals: '',
+        CF_303_competitors: '',
+        CF_304_win_loss_reason: '',
+        CF_305_promoted_from_prospect: prospect.id
+      })
     };
 
     // Create via HaloPSA Opportunities API
-    const response = await this.haloClient.post('/api/Opportunities', opportunityData);
+    const opportunity = await this.halo.opportunities.create(opportunityData);
+    await this.crosswalk.linkPromotion('prospect', prospect.id, 'opportunity', opportunity.id);
 
     // Update prospect to mark as promoted
-    await this.haloClient.post(`/api/Tickets/${prospect.id}`, {
-      status_id: this.getStatusId('prospect', 'promoted_to_opportunity'),
-      details: `${prospect.details}\\n\\n[PROMOTED] Promoted to Opportunity #${response.data.id} on ${new Date().toISOString()}`
+    await this.halo.tickets.update(prospect.id, {
+      ...(this.sourceStatusId('prospect', transition) !== null && { status_id: this.sourceStatusId('prospect', transition) }),
+      details: `${prospect.details}\\n\\n[PROMOTED] Promoted to Opportunity #${opportunity.id} on ${new Date().toISOString()}`
     });
 
-    console.log(`[Opportunity] Promoted prospect #${prospect.id} to opportunity #${response.data.id} (Value: $${estimatedValue})`);
-    return response.data;
+    this.logger.info(`[Opportunity] Promoted prospect #${prospect.id} to opportunity #${opportunity.id} (Value: $${estimatedValue})`);
+    return opportunity;
   }
 
   // ===============================
@@ -782,44 +2079,57 @@ class EnhancedCustomCRMWorkflowIntegrator {
   // ===============================
 
   /**
-   * Initialize status mappings for workflow progression
+   * Status a promoted record moves to, or null to leave its status alone
    */
-  initializeStatusMappings() {
-    return {
-      lead: {
-        'new_lead': 1,
-        'researching': 2,
-        'contacted': 3,
-        'engaged': 4,
-        'no_interest': 5,
-        'do_not_contact': 6,
-        'invalid_data': 7,
-        'converted_to_prospect': 8
-      },
-      prospect: {
-        'new_prospect': 10,
-        'prospecting': 11,
-        'qualified': 12,
-        'disqualified': 13,
-        'promoted_to_opportunity': 14
-      },
-      opportunity: {
-        'new_opportunity': 20,
-        'progressing': 21,
-        'negotiation': 22,
-        'won': 23,
-        'lost': 24
+  sourceStatusId(entityType, transition) {
+    return transition?.source_status ? this.workflow.getStatusId(entityType, transition.source_status) : null;
+  }
+
+  /**
+   * Resolver for the catalog plus workflow_settings.custom_fields; a configured ID wins over a
+   * match by name in HaloPSA's field metadata
+   */
+  initializeCustomFields() {
+    const catalog = { ...WORKFLOW_CUSTOM_FIELDS };
+    const overrides = {};
+    // custom_fields belongs in workflow_settings; earlier configs put it directly under workflow
+    const configured = this.workflowConfig.workflow_settings?.custom_fields || this.workflowConfig.custom_fields || {};
+    for (const entity of ['lead', 'prospect', 'opportunity']) {
+      for (const field of configured[`${entity}_fields`] || []) {
+        catalog[field.name] = { type: field.type, ...catalog[field.name], label: field.label, entity };
+        overrides[field.name] = { id: field.id, type: field.type };
       }
-    };
+    }
+    return new CustomFieldResolver(this.halo, catalog, {
+      overrides,
+      fail_on_missing: configured.fail_on_missing,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Map the custom field catalog onto the tenant's field IDs once per process; missing fields are
+   * logged (or stop the poll with custom_fields.fail_on_missing)
+   */
+  async resolveCustomFields() {
+    const { missing } = await this.customFields.load();
+    this.customFieldMappings = this.customFields.mappings();
+    return missing;
+  }
+
+  getCustomFieldValueById(entity, fieldId) {
+    return entity.customfields?.find(cf => cf.id === fieldId)?.value;
   }
 
-  getStatusId(entityType, statusName) {
-    return this.statusMappings[entityType]?.[statusName] || 1;
+  isTruthyFieldValue(value) {
+    return value === true || value === 1 || ['true', '1', 'yes'].includes(String(value).toLowerCase());
   }
 
+  /**
+   * Custom field value by logical name; HaloPSA returns its own field names, so this goes by resolved ID
+   */
   getCustomFieldValue(entity, fieldName) {
-    const field = entity.customfields?.find(cf => cf.name === fieldName);
-    return field?.value || '';
+    return this.customFields.valueOf(entity, fieldName) || '';
   }
 
   extractCustomFieldValues(entity) {
@@ -827,6 +2137,11 @@ class EnhancedCustomCRMWorkflowIntegrator {
     entity.customfields?.forEach(cf => {
       values[cf.name] = cf.value;
     });
+    // Logical names (CF_202_qualified_services) as well as the names HaloPSA returned
+    for (const name of Object.keys(this.customFields.catalog)) {
+      const value = this.customFields.valueOf(entity, name);
+      if (value !== undefined) values[name] = value;
+    }
     // Also add standard field access
     values.person_name = entity.summary?.split(' - ')[0]?.replace('Lead: ', '').replace('Prospect: ', '') || '';
     values.company_name = entity.summary?.split(' - ')[1] || '';
@@ -889,20 +2204,13 @@ LEAD QUALIFICATION STATUS:
     return pipelines.join('; ') || 'No project signals detected';
   }
 
-  hasRequiredQualificationData(prospect) {
-    const requiredFields = ['CF_201_pain_points', 'CF_204_budget_range', 'CF_205_timeframe'];
-    return requiredFields.every(field => {
-      const value = this.getCustomFieldValue(prospect, field);
-      return value && value.trim().length > 0;
-    });
-  }
-
   calculateOpportunityValue(prospect) {
-    const companySize = parseInt(this.getCustomFieldValue(prospect, 'CF_206_fit_score')) || 50;
-    const baseValue = companySize < 30 ? 10000 : companySize < 70 ? 25000 : 50000;
+    // Company size from the employee range inherited from the lead (CF_108), not the fit score
+    const employeeRange = this.getCustomFieldValueById(prospect, this.customFieldMappings.lead.CF_108_employee_count_range);
+    const baseValue = { '1-49': 10000, '50-499': 25000, '500+': 50000 }[employeeRange] || 25000;
     
     // Adjust based on services offered
-    const services = this.getCustomFieldValue(prospect, 'CF_202_qualified_services').toLowerCase();
+    const services = String(this.getCustomFieldValue(prospect, 'CF_202_qualified_services')).toLowerCase();
     let multiplier = 1;
     if (services.includes('managed') || services.includes('support')) multiplier *= 1.5;
     if (services.includes('cloud') || services.includes('migration')) multiplier *= 1.3;
@@ -934,65 +2242,102 @@ LEAD QUALIFICATION STATUS:
   }
 
   // Additional methods for finding entities, authentication, etc.
-  async findExistingLead(email) {
-    // Implementation for finding existing leads by email
+  async findExistingLead(email, sourceRefs = []) {
+    // Crosswalk first: source IDs and email mappings survive edits to the ticket
+    const refs = email ? [...sourceRefs, { source: 'email', source_id: email }] : sourceRefs;
+    for (const ref of refs) {
+      const link = await this.crosswalk.findBySource(ref.source, ref.source_id);
+      if (link?.entity_type === 'lead') {
+        const lead = await this.getLinkedEntity('lead', link.halo_id);
+        if (lead) return lead;
+      }
+    }
+
+    // Leads created before the crosswalk existed: search once and remember the match
     try {
-      const response = await this.haloClient.get('/api/Tickets', {
-        params: {
-          search: email,
-          tickettype_id: this.workflowConfig.lead_ticket_type_id
-        }
-      });
-      return response.data.tickets?.[0] || null;
+      const lead = email ? await this.halo.leads.find({ search: email }, t =>
+        t.user_email?.toLowerCase() === email.toLowerCase()
+      ) : null;
+      if (lead) await this.linkLeadSources(lead.id, email, sourceRefs);
+      return lead;
     } catch (error) {
       return null;
     }
   }
 
   async findProspectByLeadId(leadId) {
-    // Implementation for finding prospects converted from specific lead
+    const link = await this.crosswalk.getPromotedTo('lead', leadId);
+    if (link) {
+      return this.getLinkedEntity('prospect', link.halo_id);
+    }
+
+    // Conversions made before the crosswalk existed are only recorded in ticket details
     try {
-      const response = await this.haloClient.get('/api/Tickets', {
-        params: {
-          search: `Lead #${leadId}`,
-          tickettype_id: this.workflowConfig.prospect_ticket_type_id
-        }
-      });
-      return response.data.tickets?.find(t => 
-        t.details.includes(`Lead #${leadId}`)
-      ) || null;
+      const prospect = await this.halo.prospects.find({ search: `Lead #${leadId}` }, t =>
+        t.details?.includes(`Lead #${leadId}`)
+      );
+      if (prospect) await this.crosswalk.linkPromotion('lead', leadId, 'prospect', prospect.id);
+      return prospect;
     } catch (error) {
       return null;
     }
   }
 
   async findOpportunityByProspectId(prospectId) {
-    // Implementation for finding opportunities promoted from specific prospect
+    const link = await this.crosswalk.getPromotedTo('prospect', prospectId);
+    if (link) {
+      return this.getLinkedEntity('opportunity', link.halo_id);
+    }
+
+    // Promotions made before the crosswalk existed are only recorded in the description
     try {
-      const response = await this.haloClient.get('/api/Opportunities', {
-        params: {
-          search: `Prospect #${prospectId}`
-        }
-      });
-      return response.data.opportunities?.find(o => 
-        o.description.includes(`Prospect #${prospectId}`)
-      ) || null;
+      const opportunity = await this.halo.opportunities.find({ search: `Prospect #${prospectId}` }, o =>
+        o.description?.includes(`Prospect #${prospectId}`)
+      );
+      if (opportunity) await this.crosswalk.linkPromotion('prospect', prospectId, 'opportunity', opportunity.id);
+      return opportunity;
     } catch (error) {
       return null;
     }
   }
 
+  /**
+   * Remember which source records and email a lead came from
+   */
+  async linkLeadSources(leadId, email, sourceRefs = []) {
+    for (const ref of sourceRefs) {
+      await this.crosswalk.linkSource(ref.source, ref.source_id, 'lead', leadId);
+    }
+    if (email) {
+      await this.crosswalk.linkSource('email', email, 'lead', leadId);
+    }
+  }
+
+  /**
+   * Load the HaloPSA record behind a crosswalk entry; entries for deleted records are dropped
+   */
+  async getLinkedEntity(entityType, haloId) {
+    const resource = entityType === 'opportunity' ? this.halo.opportunities : this.halo.tickets;
+    try {
+      return await resource.get(haloId);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        await this.crosswalk.unlinkEntity(entityType, haloId);
+        return null;
+      }
+      throw error;
+    }
+  }
+
   async ensureOrganizationExists(apolloOrg) {
     if (!apolloOrg?.name) return null;
     
     // Check if organization exists
     try {
-      const existing = await this.haloClient.get('/api/Client', {
-        params: { search: apolloOrg.name }
-      });
+      const existing = await this.halo.clients.list({ search: apolloOrg.name });
       
-      if (existing.data.clients?.length > 0) {
-        return existing.data.clients[0].id;
+      if (existing.records.length > 0) {
+        return existing.records[0].id;
       }
       
       // Create new organization
@@ -1004,36 +2349,26 @@ LEAD QUALIFICATION STATUS:
         notes: `Created from Apollo.io import: ${apolloOrg.business_description || ''}`
       };
       
-      const created = await this.haloClient.post('/api/Client', {
-        clients: [orgData]
-      });
+      const created = await this.halo.clients.create(orgData);
       
-      return created.data.clients[0].id;
+      return created.id;
     } catch (error) {
-      console.error('[Organization] Error creating organization:', error.message);
+      this.logger.error('[Organization] Error creating organization', { error: error.message });
       return null;
     }
   }
 
   async authenticateHalo() {
-    // OAuth 2.0 authentication implementation
-    // This would implement the full OAuth flow for HaloPSA
-    // For now, assume token is obtained and set client
-    this.haloClient = axios.create({
-      baseURL: this.haloConfig.base_url,
-      headers: {
-        'Authorization': `Bearer ${this.haloConfig.access_token}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    // Fail the poll up front on bad credentials; the client refreshes the token itself afterwards
+    await this.haloClient.getAccessToken();
   }
 
   async syncCallRecords() {
     // Placeholder for call record synchronization
     // Would sync call data from phone systems or other sources
-    console.log('[Call Records] Sync completed (placeholder)');
+    this.logger.info('[Call Records] Sync completed (placeholder)');
     return [];
   }
 }
 
-module.exports = CustomCRMWorkflowIntegrator;
\ No newline at end of file
+module.exports = EnhancedCustomCRMWorkflowIntegrator;
\ No newline at end of file
@@ -7,6 +7,7 @@
  * - Smart deduplication and data merging
  * - Bi-directional synchronization (DNC, engagement, corrections)
  * - Intent signal processing and lead scoring
+ * - Time-decayed engagement scoring with per-lead score history
  * - Comprehensive error handling and logging
  * 
  * @version 2.0.0
@@ -14,11 +15,101 @@
  */
 
 const axios = require('axios');
-const crypto = require('crypto');
-const winston = require('winston');
+const HaloApiClient = require('./lib/halo-api-client');
+const { HaloEntityApi } = require('./lib/halo-entities');
+const { defaultRateLimiter } = require('./lib/rate-limiter');
+const { createStateStore } = require('./lib/state-store');
+const Crosswalk = require('./lib/crosswalk');
+const { ScoringEngine } = require('./lib/scoring-engine');
+const EngagementTracker = require('./lib/engagement-tracker');
+const { createWebhookVerifier, WebhookSignatureError } = require('./lib/webhook-signature');
+const { readHaloChange } = require('./lib/halo-webhook-events');
+const { SuppressionList } = require('./lib/suppression-list');
+const { createLogger, withCorrelationId } = require('./lib/logger');
+const { validateConfig, LOGGING_SCHEMA } = require('./lib/config-schemas');
+const { adaptConfig } = require('./lib/config-loader');
+const { CustomFieldResolver } = require('./lib/custom-fields');
+const { pickFields } = require('./lib/custom-field-catalog');
+const { WorkflowEngine } = require('./lib/workflow-engine');
+
+// HaloPSA status ID -> outcome reported to Apollo, for the default Lead/Prospect/Opportunity
+// pipeline (lib/workflow-engine.js); override with halopsa.feedbackStatuses
+const DEFAULT_FEEDBACK_STATUSES = {
+    4: 'engaged',
+    5: 'no_interest',
+    12: 'qualified',
+    13: 'disqualified',
+    23: 'won',
+    24: 'lost'
+};
+const DEFAULT_DO_NOT_CONTACT_STATUS = 6;
+
+// Apollo organization ID -> lead ticket IDs, for intent signals that name only the company
+const COMPANY_LEADS_NAMESPACE = 'apollo:company-leads';
+
+// Lead custom fields this integrator writes, from the shared catalog; set IDs with
+// halopsa.customFields (lib/custom-fields.js)
+const APOLLO_FIELD_NAMES = [
+    'CF_101_lead_source', 'CF_105_do_not_contact', 'CF_106_technology_stack', 'CF_109_management_level',
+    'CF_114_lead_fit_score', 'CF_115_score_breakdown', 'CF_120_confidence_score', 'CF_121_company_size',
+    'CF_122_industry', 'CF_123_funding_status', 'CF_124_intent_strength', 'CF_125_engagement_score',
+    'CF_126_data_freshness', 'CF_127_contact_reachability'
+];
+
+// Names and numbers this integrator used before the shared catalog; still accepted in
+// halopsa.customFields and halopsa.refreshableFields, and matched against HaloPSA field names
+const LEGACY_FIELD_NAMES = {
+    CF_101_source_platform: 'CF_101_lead_source',
+    CF_102_confidence_score: 'CF_120_confidence_score',
+    CF_103_company_size: 'CF_121_company_size',
+    CF_104_industry: 'CF_122_industry',
+    CF_106_contact_seniority: 'CF_109_management_level',
+    CF_107_technologies_used: 'CF_106_technology_stack',
+    CF_108_funding_status: 'CF_123_funding_status',
+    CF_109_intent_strength: 'CF_124_intent_strength',
+    CF_110_lead_fit_score: 'CF_114_lead_fit_score',
+    CF_111_engagement_score: 'CF_125_engagement_score',
+    CF_112_data_freshness: 'CF_126_data_freshness',
+    CF_113_contact_reachability: 'CF_127_contact_reachability'
+};
+
+/**
+ * A field reference from config in the shared catalog's terms: a legacy name, or a number from
+ * the legacy numbering (110 was the fit score), becomes the current name
+ */
+function currentFieldRef(ref) {
+    if (LEGACY_FIELD_NAMES[ref]) return LEGACY_FIELD_NAMES[ref];
+    const legacy = Object.keys(LEGACY_FIELD_NAMES).find(name => name.startsWith(`CF_${ref}_`));
+    return legacy ? LEGACY_FIELD_NAMES[legacy] : ref;
+}
+
+function apolloFieldCatalog() {
+    const catalog = pickFields(APOLLO_FIELD_NAMES);
+    for (const [legacyName, name] of Object.entries(LEGACY_FIELD_NAMES)) {
+        catalog[name].aliases = [...(catalog[name].aliases || []), legacyName];
+    }
+    return catalog;
+}
+
+/**
+ * Current name -> its ID in the legacy numbering, written to until HaloPSA's field metadata has
+ * been read: in the shared catalog 106 and 109 are other fields and 120-127 are new
+ */
+function legacyFieldIds() {
+    return Object.fromEntries(Object.entries(LEGACY_FIELD_NAMES)
+        .map(([legacyName, name]) => [name, Number(legacyName.match(/^CF_(\d+)_/)[1])]));
+}
+
+// Config blocks checked against schemas/ before anything is built
+const CONFIG_SCHEMAS = {
+    scoring: 'custom-crm-workflow-config#/properties/scoring',
+    logging: LOGGING_SCHEMA
+};
 
 class EnhancedApolloHaloIntegrator {
     constructor(config) {
+        config = adaptConfig(config, 'enhanced-apollo');
+        validateConfig(config, CONFIG_SCHEMAS, 'Enhanced Apollo integrator');
         this.config = config;
         this.logger = this.setupLogger();
         this.rateLimiter = this.setupRateLimiter();
@@ -33,40 +124,93 @@ class EnhancedApolloHaloIntegrator {
             }
         });
 
-        this.haloClient = axios.create({
-            baseURL: config.halopsa.baseUrl,
-            headers: {
-                'Authorization': `Bearer ${config.halopsa.accessToken}`,
-                'Content-Type': 'application/json'
+        this.rateLimiter.configure('apollo', config.apollo.rateLimits, this.tenantKey);
+        this.rateLimiter.attach(this.apolloClient, 'apollo', this.tenantKey);
+
+        this.haloClient = new HaloApiClient({
+            base_url: config.halopsa.baseUrl,
+            client_id: config.halopsa.clientId,
+            client_secret: config.halopsa.clientSecret,
+            tenant: config.halopsa.tenant,
+            rate_limiting: config.halopsa.rateLimiting,
+            rate_limiter: this.rateLimiter,
+            rate_limit_key: config.tenant_id
+        });
+        // Lead -> Prospect promotion follows halopsa.entityTypes (workflow_settings.entity_types layout), else the default pipeline
+        this.workflow = WorkflowEngine.fromConfig({ workflow_settings: { entity_types: config.halopsa.entityTypes } });
+        // Only this tenant's throttling; Apollo and HaloPSA may use different keys
+        for (const key of new Set([this.tenantKey, this.haloClient.rateLimitKey])) {
+            this.rateLimiter.onTenant(key, 'enhanced-apollo-halo', {
+                throttled: info => this.logger.warn('Rate limit hit, pausing requests', info),
+                backpressure: info => this.logger.debug('Waiting for rate limit slot', info)
+            });
+        }
+        this.halo = new HaloEntityApi(this.haloClient, {
+            lead_ticket_type_id: config.halopsa.leadTicketTypeId || this.workflow.getTicketTypeId('lead'),
+            prospect_ticket_type_id: config.halopsa.prospectTicketTypeId || this.workflow.getTicketTypeId('prospect')
+        });
+        const overrides = Object.entries(config.halopsa.customFields || {}).map(([ref, id]) => [currentFieldRef(ref), id]);
+        this.customFields = new CustomFieldResolver(this.halo, apolloFieldCatalog(), {
+            overrides: Object.fromEntries(overrides),
+            fallback_ids: legacyFieldIds(),
+            fail_on_missing: config.halopsa.failOnMissingCustomFields,
+            logger: this.logger
+        });
+        // Fails fast in production when no webhook secret is configured
+        this.webhookVerifier = createWebhookVerifier('apollo', {
+            secret: config.apollo.webhookSecret,
+            allow_unsigned: config.apollo.allowUnsignedWebhooks
+        });
+
+        const stateStore = createStateStore(config.stateStore, config.tenant_id);
+        this.stateStore = stateStore;
+        this.crosswalk = new Crosswalk(stateStore);
+        // Shared Do-Not-Contact list checked before a lead is created
+        this.suppression = new SuppressionList(stateStore, config.suppression);
+        this.scoring = ScoringEngine.fromConfig(config.scoring);
+
+        // Engagement events decay over time; points per event default to the engagement model's count factors
+        this.engagementDecay = config.scoring?.engagement_decay || {};
+        this.engagement = new EngagementTracker(stateStore, {
+            ...this.engagementDecay,
+            event_points: {
+                ...this.getEngagementEventPoints(),
+                ...this.engagementDecay.event_points
             }
         });
     }
 
+    /**
+     * Shared JSON-lines logger (lib/logger.js); emails, phones and API keys are masked per config.logging
+     */
     setupLogger() {
-        return winston.createLogger({
-            level: this.config.logLevel || 'info',
-            format: winston.format.combine(
-                winston.format.timestamp(),
-                winston.format.errors({ stack: true }),
-                winston.format.json()
-            ),
-            transports: [
-                new winston.transports.File({ filename: 'apollo-halo-integration.log' }),
-                new winston.transports.Console()
-            ]
+        return createLogger({
+            level: this.config.logLevel,
+            ...this.config.logging,
+            service: 'enhanced-apollo-halo',
+            tenant: this.config.tenant_id
         });
     }
 
     setupRateLimiter() {
-        // Simple rate limiter implementation
-        return {
-            apollo: { requests: 0, resetTime: Date.now() + 60000 },
-            halo: { requests: 0, resetTime: Date.now() + 60000 }
-        };
+        // Shared limiter: Apollo and HaloPSA quotas apply per API key, not per integrator instance
+        const rateLimiter = this.config.rateLimiter || defaultRateLimiter;
+        this.tenantKey = this.config.tenant_id || this.config.halopsa.tenant || 'default';
+        return rateLimiter;
+    }
+
+    /**
+     * Map the custom field catalog onto the tenant's field IDs once per process; missing fields
+     * are logged (or thrown with halopsa.failOnMissingCustomFields)
+     */
+    async resolveCustomFields() {
+        const { missing } = await this.customFields.load();
+        return missing;
     }
 
     /**
-     * Process Apollo webhook with enhanced person enrichment data
+     * Process Apollo webhook with enhanced person enrichment data.
+     * Mount behind express.json({ verify: captureRawBody }) so the signature is checked on the raw body.
      */
     async processApolloWebhook(req, res) {
         try {
@@ -75,35 +219,86 @@ class EnhancedApolloHaloIntegrator {
                 return res.status(401).json({ error: 'Invalid signature' });
             }
 
-            const { event_type, data } = req.body;
-            
-            this.logger.info('Processing Apollo webhook', { 
-                event_type, 
-                person_id: data.person?.id,
-                organization: data.organization?.name 
-            });
-
-            switch (event_type) {
-                case 'person_enriched':
-                    await this.handlePersonEnriched(data);
-                    break;
-                case 'engagement_updated':
-                    await this.handleEngagementUpdated(data);
-                    break;
-                case 'intent_signals_detected':
-                    await this.handleIntentSignals(data);
-                    break;
-                default:
-                    this.logger.warn('Unhandled event type', { event_type });
-            }
+            await withCorrelationId(req.headers['x-request-id'], () => this.handleWebhookEvent(req.body));
 
             res.status(200).json({ status: 'processed' });
         } catch (error) {
-            this.logger.error('Webhook processing failed', error);
+            this.logger.error('Webhook processing failed', { error: error.message, stack: error.stack });
             res.status(500).json({ error: 'Processing failed' });
         }
     }
 
+    /**
+     * Dispatch an already verified Apollo webhook payload (used directly by the webhook gateway)
+     */
+    async handleWebhookEvent(payload) {
+        const { event_type, data } = payload;
+        await this.resolveCustomFields();
+        
+        this.logger.info('Processing Apollo webhook', { 
+            event_type, 
+            person_id: data?.person?.id,
+            organization: data?.organization?.name 
+        });
+
+        switch (event_type) {
+            case 'person_enriched':
+                await this.handlePersonEnriched(data);
+                break;
+            case 'engagement_updated':
+                await this.handleEngagementUpdated(data);
+                break;
+            case 'intent_signals_detected':
+                await this.handleIntentSignals(data);
+                break;
+            default:
+                this.logger.warn('Unhandled event type', { event_type });
+                return { processed: false, reason: 'unhandled_event_type' };
+        }
+        return { processed: true, event_type };
+    }
+
+    /**
+     * Webhook gateway handler for HaloPSA's own webhooks (tickets.updated,
+     * tickets.custom_field_changed, opportunities.updated). A lead flagged Do Not Contact is
+     * suppressed in Apollo; a status in halopsa.feedbackStatuses is sent as engagement feedback.
+     */
+    async handleHaloWebhook(payload) {
+        const change = readHaloChange(payload);
+        if (!change.entity_id) return { processed: false, reason: 'no entity_id' };
+
+        const entityType = change.entity_type === 'opportunity' ? 'opportunity' : change.ticket_type || 'lead';
+        const feedbackStatuses = this.config.halopsa.feedbackStatuses || DEFAULT_FEEDBACK_STATUSES;
+        const dncStatus = this.config.halopsa.doNotContactStatus ?? DEFAULT_DO_NOT_CONTACT_STATUS;
+        const doNotContact = change.do_not_contact || (entityType === 'lead' && Number(change.status?.to) === Number(dncStatus));
+        const outcome = change.status ? feedbackStatuses[change.status.to] : null;
+
+        if (!doNotContact && !outcome) return { processed: false, reason: 'no synced changes' };
+
+        // Prospects and opportunities carry the Apollo link on the lead they were promoted from
+        const [origin] = await this.crosswalk.getLineage(entityType, change.entity_id);
+        const sources = origin.entity_type === 'lead' ? await this.crosswalk.getSources('lead', origin.halo_id) : [];
+        const apolloId = sources.find(ref => ref.source === 'apollo')?.source_id;
+        const email = sources.find(ref => ref.source === 'email')?.source_id || payload.data?.contact_email;
+
+        if (!apolloId && !email) {
+            return { processed: false, reason: 'not an Apollo contact' };
+        }
+
+        const synced = [];
+        if (doNotContact && email) {
+            await this.syncDNCToApollo(origin.halo_id, email, 'Do Not Contact set in HaloPSA');
+            await this.suppression.add({ email }, { reason: 'Do Not Contact set in HaloPSA', source: 'halopsa', synced_to: ['apollo'] });
+            synced.push('do_not_contact');
+        }
+        if (outcome && !doNotContact && apolloId) {
+            await this.sendEngagementFeedbackToApollo({ apollo_id: apolloId, halo_lead_id: origin.halo_id }, outcome);
+            synced.push(outcome);
+        }
+
+        return { processed: synced.length > 0, entity_type: entityType, entity_id: change.entity_id, lead_id: origin.halo_id, synced };
+    }
+
     /**
      * Handle enriched person data with comprehensive field mapping
      */
@@ -111,7 +306,7 @@ class EnhancedApolloHaloIntegrator {
         const { person, organization } = data;
         
         // Check for existing lead to avoid duplicates
-        const existingLead = await this.findExistingLead(person.email);
+        const existingLead = await this.findExistingLead(person.email, person.id);
         
         if (existingLead && !this.shouldUpdateExistingLead(existingLead)) {
             this.logger.info('Skipping update for manually worked lead', { 
@@ -121,13 +316,33 @@ class EnhancedApolloHaloIntegrator {
             return;
         }
 
+        if (!existingLead) {
+            const suppressed = await this.suppression.check({
+                email: person.email,
+                phone: person.phone_numbers?.[0]?.sanitized_number,
+                website: organization?.website_url
+            });
+            if (suppressed) {
+                this.logger.info('Skipping suppressed contact', { email: person.email, match: suppressed.type });
+                return;
+            }
+        }
+
         const leadData = await this.mapApolloToHaloLead(person, organization);
         
         if (existingLead) {
             await this.updateHaloLead(existingLead.id, leadData);
+            await this.indexCompanyLead(organization?.id, existingLead.id);
         } else {
             const newLead = await this.createHaloLead(leadData);
+            await this.crosswalk.linkSource('apollo', person.id, 'lead', newLead.id);
+            await this.crosswalk.linkSource('email', person.email, 'lead', newLead.id);
+            await this.indexCompanyLead(organization?.id, newLead.id);
             await this.assignToList(newLead.id, leadData);
+            // Seed the counters so later engagement updates only record what is new
+            if (person.engagement_metrics) {
+                await this.trackEngagement(newLead.id, person.engagement_metrics, 'person_enriched');
+            }
         }
     }
 
@@ -135,93 +350,71 @@ class EnhancedApolloHaloIntegrator {
      * Map Apollo enriched data to HaloPSA custom fields
      */
     async mapApolloToHaloLead(person, organization) {
-        // Calculate lead fit score based on multiple factors
-        const fitScore = this.calculateLeadFitScore(person, organization);
-        
-        // Calculate engagement score from Apollo metrics
-        const engagementScore = this.calculateEngagementScore(person.engagement_metrics || {});
+        // Score with the configured models; the breakdown is written alongside the scores
+        const fit = this.scoring.score('fit_score', { person, organization });
+        const engagement = this.scoring.score('engagement', { engagement: person.engagement_metrics || {} });
 
         return {
             summary: `${person.first_name} ${person.last_name} - ${organization?.name || 'Unknown Company'}`,
             details: this.generateLeadDescription(person, organization),
             user_email: person.email,
             user_name: `${person.first_name} ${person.last_name}`,
-            ticket_type_id: 1, // Lead type
             status_id: this.config.halopsa.defaultLeadStatus,
-            customfields: [
-                { id: 101, value: 'Apollo.io' }, // CF_101_source_platform
-                { id: 102, value: person.confidence_score || 0 }, // CF_102_confidence_score
-                { id: 103, value: organization?.estimated_num_employees || 'Unknown' }, // CF_103_company_size
-                { id: 104, value: organization?.industry || 'Unknown' }, // CF_104_industry
-                { id: 105, value: false }, // CF_105_do_not_contact
-                { id: 106, value: person.seniority || 'Unknown' }, // CF_106_contact_seniority
-                { id: 107, value: JSON.stringify(organization?.technologies || []) }, // CF_107_technologies_used
-                { id: 108, value: this.getFundingStatus(organization?.funding_events) }, // CF_108_funding_status
-                { id: 109, value: organization?.intent_strength || 'Unknown' }, // CF_109_intent_strength
-                { id: 110, value: fitScore }, // CF_110_lead_fit_score
-                { id: 111, value: engagementScore }, // CF_111_engagement_score
-                { id: 112, value: new Date().toISOString().split('T')[0] }, // CF_112_data_freshness
-                { id: 113, value: this.getContactReachability(person) } // CF_113_contact_reachability
-            ]
+            customfields: this.customFields.toCustomFields({
+                CF_101_lead_source: 'Apollo.io',
+                CF_120_confidence_score: person.confidence_score || 0,
+                CF_121_company_size: organization?.estimated_num_employees,
+                CF_122_industry: organization?.industry || 'Unknown',
+                CF_105_do_not_contact: false,
+                CF_109_management_level: person.seniority || 'Unknown',
+                CF_106_technology_stack: JSON.stringify(organization?.technologies || []),
+                CF_123_funding_status: this.getFundingStatus(organization?.funding_events),
+                CF_124_intent_strength: organization?.intent_strength || 'Unknown',
+                CF_114_lead_fit_score: fit.score,
+                CF_125_engagement_score: engagement.score,
+                CF_126_data_freshness: new Date(),
+                CF_127_contact_reachability: this.getContactReachability(person),
+                CF_115_score_breakdown: this.scoring.formatBreakdown(fit, engagement)
+            })
         };
     }
 
     /**
-     * Calculate lead fit score based on ICP criteria
+     * Calculate lead fit score based on ICP criteria (scoring model `fit_score`)
      */
     calculateLeadFitScore(person, organization) {
-        let score = 0;
-        const weights = this.config.scoring.weights;
-
-        // Company size scoring
-        if (organization?.estimated_num_employees) {
-            const size = organization.estimated_num_employees;
-            if (size >= 50 && size <= 1000) score += weights.company_size * 30;
-            else if (size > 1000) score += weights.company_size * 20;
-            else score += weights.company_size * 10;
-        }
-
-        // Industry scoring
-        if (organization?.industry) {
-            const targetIndustries = this.config.scoring.target_industries || [];
-            if (targetIndustries.includes(organization.industry)) {
-                score += weights.industry * 25;
-            }
-        }
-
-        // Seniority scoring
-        if (person.seniority) {
-            const targetSeniorities = ['senior', 'director', 'vp', 'c-level'];
-            if (targetSeniorities.includes(person.seniority.toLowerCase())) {
-                score += weights.seniority * 20;
-            }
-        }
-
-        // Intent signals scoring
-        if (organization?.intent_strength) {
-            switch (organization.intent_strength.toLowerCase()) {
-                case 'high': score += weights.intent * 25; break;
-                case 'medium': score += weights.intent * 15; break;
-                case 'low': score += weights.intent * 5; break;
-            }
-        }
-
-        return Math.min(score, 100);
+        return this.scoring.score('fit_score', { person, organization }).score;
     }
 
     /**
-     * Calculate engagement score from Apollo metrics
+     * Calculate engagement score from Apollo metrics (scoring model `engagement`)
      */
     calculateEngagementScore(metrics) {
-        let score = 0;
-        
-        score += (metrics.emails_opened || 0) * 2;
-        score += (metrics.emails_clicked || 0) * 5;
-        score += (metrics.emails_replied || 0) * 10;
-        score += (metrics.calls_connected || 0) * 15;
-        score += (metrics.meetings_scheduled || 0) * 25;
-        
-        return Math.min(score, 100);
+        return this.scoring.score('engagement', { engagement: metrics || {} }).score;
+    }
+
+    /**
+     * Re-score a lead from the enrichment already stored on it (CF_109, CF_121, CF_122, CF_124)
+     * and write the new fit score and breakdown
+     */
+    async recalculateLeadFitScore(lead) {
+        const ticket = lead.customfields ? lead : await this.halo.tickets.get(lead.id);
+        const field = name => this.customFields.valueOf(ticket, name);
+
+        const fit = this.scoring.score('fit_score', {
+            person: { seniority: field('CF_109_management_level') },
+            organization: {
+                estimated_num_employees: field('CF_121_company_size'),
+                industry: field('CF_122_industry'),
+                intent_strength: field('CF_124_intent_strength')
+            }
+        });
+
+        await this.halo.updateTicketCustomFields(ticket.id, this.customFields.toCustomFields({
+            CF_114_lead_fit_score: fit.score,
+            CF_115_score_breakdown: this.scoring.formatBreakdown(fit)
+        }));
+        return fit.score;
     }
 
     /**
@@ -273,14 +466,137 @@ class EnhancedApolloHaloIntegrator {
             return;
         }
 
-        const engagementScore = this.calculateEngagementScore(data.engagement_metrics);
-        
-        await this.updateCustomField(existingLead.id, 111, engagementScore);
+        const { score: engagementScore } = await this.trackEngagement(
+            existingLead.id,
+            data.engagement_metrics,
+            'engagement_updated',
+            data.occurred_at || data.timestamp
+        );
         
         // Check if lead should be promoted to prospect
-        if (engagementScore >= 50 && existingLead.ticket_type_id === 1) {
-            await this.promoteLeadToProspect(existingLead.id, engagementScore);
+        const promoteThreshold = this.engagementDecay.promote_threshold ?? 50;
+        if (engagementScore >= promoteThreshold && existingLead.tickettype_id === this.halo.leads.ticketTypeId) {
+            await this.promoteLeadToProspect(existingLead, engagementScore);
+        }
+    }
+
+    /**
+     * Promote an engaged lead along the workflow's Lead -> Prospect transition: create the
+     * prospect with the lead's contact and custom fields, record the lineage and move the lead
+     * to the transition's source status. A lead already promoted is left alone.
+     */
+    async promoteLeadToProspect(lead, engagementScore) {
+        const promoted = await this.crosswalk.getPromotedTo('lead', lead.id);
+        if (promoted) return promoted;
+
+        const transition = this.workflow.getTransitions('lead').find(t => t.to.entity_type === 'prospect');
+        const prospect = await this.halo.prospects.create({
+            summary: `Prospect: ${lead.summary}`,
+            details: `Promoted from Lead #${lead.id} on ${new Date().toISOString()} (engagement score ${engagementScore})\n\n${lead.details || ''}`,
+            status_id: this.workflow.getStatusId('prospect', transition?.to.status || 'new_prospect'),
+            client_id: lead.client_id,
+            user_email: lead.user_email,
+            user_name: lead.user_name,
+            customfields: lead.customfields || []
+        });
+        // Record lineage before anything else can fail, so a retry never promotes twice
+        await this.crosswalk.linkPromotion('lead', lead.id, 'prospect', prospect.id);
+
+        const sourceStatusId = transition?.source_status && this.workflow.getStatusId('lead', transition.source_status);
+        if (sourceStatusId) {
+            await this.halo.tickets.update(lead.id, { status_id: sourceStatusId });
+        }
+        await this.halo.addTicketNote(lead.id,
+            `Promoted to Prospect #${prospect.id}: engagement score ${engagementScore} reached the promote threshold`,
+            'Engagement Promotion'
+        );
+
+        this.logger.info('Lead promoted to prospect', { leadId: lead.id, prospectId: prospect.id, engagementScore });
+        return { entity_type: 'prospect', halo_id: prospect.id };
+    }
+
+    /**
+     * Record the increase in Apollo's cumulative counters as engagement events, rescore with
+     * decay and write CF_125 when the score moved
+     */
+    async trackEngagement(leadId, metrics, reason, occurredAt = new Date()) {
+        await this.engagement.recordCounters(leadId, metrics || {}, occurredAt);
+        const result = await this.engagement.rescore(leadId, reason);
+
+        if (result.change !== 0) {
+            await this.updateCustomField(leadId, 'CF_125_engagement_score', result.score);
+        }
+        return result;
+    }
+
+    getEngagementEventPoints() {
+        const model = this.scoring.models.engagement;
+        const points = {};
+        for (const factor of model?.factors || []) {
+            if (factor.type === 'count') {
+                points[factor.field.split('.').pop()] = factor.points_per * (factor.weight ?? 1);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Rescore every tracked lead so engagement decays even when no new events arrive;
+     * leads that drop below the cold threshold are demoted. Run from the webhook gateway's
+     * `schedules` block.
+     */
+    async recomputeEngagementScores() {
+        const summary = { rescored: 0, demoted: 0, errors: 0 };
+        await this.resolveCustomFields();
+
+        for (const result of await this.engagement.recomputeAll()) {
+            if (result.change === 0) continue;
+            const leadId = Number(result.lead_id);
+
+            try {
+                // Converted leads keep their history, but the prospect is no longer scored here
+                if (await this.crosswalk.getPromotedTo('lead', leadId)) continue;
+
+                await this.updateCustomField(leadId, 'CF_125_engagement_score', result.score);
+                summary.rescored++;
+
+                if (result.went_cold) {
+                    await this.demoteColdLead(leadId, result);
+                    summary.demoted++;
+                }
+            } catch (error) {
+                summary.errors++;
+                this.logger.error('Failed to apply recomputed engagement score', { leadId, error: error.message });
+            }
+        }
+
+        this.logger.info('Engagement scores recomputed', summary);
+        return summary;
+    }
+
+    async demoteColdLead(leadId, result) {
+        const threshold = this.engagement.options.cold_threshold;
+        const coldStatusId = this.engagementDecay.cold_status_id;
+
+        if (coldStatusId) {
+            await this.halo.tickets.update(leadId, { status_id: coldStatusId });
         }
+        await this.halo.addTicketNote(leadId,
+            `Engagement went cold: score decayed from ${result.previous} to ${result.score} (threshold ${threshold})`,
+            'Engagement Decay'
+        );
+        this.logger.info('Lead demoted after engagement decay', { leadId, score: result.score, previous: result.previous });
+    }
+
+    /**
+     * Score history for a lead plus its trend over the last `days`
+     */
+    async getEngagementHistory(leadId, days = 30) {
+        return {
+            lead_id: leadId,
+            history: await this.engagement.getHistory(leadId),
+            trend: await this.engagement.getTrend(leadId, days)
+        };
     }
 
     /**
@@ -293,12 +609,49 @@ class EnhancedApolloHaloIntegrator {
         const companyLeads = await this.findLeadsByCompany(company_id);
         
         for (const lead of companyLeads) {
-            await this.updateCustomField(lead.id, 109, intent_strength);
+            await this.updateCustomField(lead.id, 'CF_124_intent_strength', intent_strength);
             
             // Recalculate fit score with new intent data
-            const newFitScore = await this.recalculateLeadFitScore(lead.id);
-            await this.updateCustomField(lead.id, 110, newFitScore);
+            await this.recalculateLeadFitScore({ id: lead.id });
+        }
+    }
+
+    /**
+     * Remember which leads belong to an Apollo organization (handlePersonEnriched)
+     */
+    async indexCompanyLead(companyId, leadId) {
+        if (!companyId) return;
+        const leadIds = (await this.stateStore.get(COMPANY_LEADS_NAMESPACE, String(companyId))) || [];
+        if (!leadIds.includes(leadId)) {
+            await this.stateStore.set(COMPANY_LEADS_NAMESPACE, String(companyId), [...leadIds, leadId]);
+        }
+    }
+
+    /**
+     * Leads created or enriched for an Apollo organization that are still leads in HaloPSA;
+     * deleted tickets are dropped from the index
+     */
+    async findLeadsByCompany(companyId) {
+        if (!companyId) return [];
+        const leadIds = (await this.stateStore.get(COMPANY_LEADS_NAMESPACE, String(companyId))) || [];
+        const leads = [];
+        const kept = [];
+
+        for (const leadId of leadIds) {
+            try {
+                const lead = await this.halo.tickets.get(leadId);
+                kept.push(leadId);
+                // Promoted leads are scored as prospects from here on
+                if (!(await this.crosswalk.getPromotedTo('lead', leadId))) leads.push(lead);
+            } catch (error) {
+                if (error.response?.status !== 404) throw error;
+            }
+        }
+
+        if (kept.length !== leadIds.length) {
+            await this.stateStore.set(COMPANY_LEADS_NAMESPACE, String(companyId), kept);
         }
+        return leads;
     }
 
     /**
@@ -339,27 +692,34 @@ class EnhancedApolloHaloIntegrator {
                 outcome 
             });
         } catch (error) {
-            this.logger.error('Failed to send engagement feedback', error);
+            this.logger.error('Failed to send engagement feedback', { apollo_id: contactData.apollo_id, error: error.message });
         }
     }
 
     /**
-     * Find existing lead by email with deduplication check
+     * Find existing lead via the crosswalk (Apollo ID, then email), falling back to an email search
      */
-    async findExistingLead(email) {
+    async findExistingLead(email, apolloId = null) {
         try {
-            const response = await this.haloClient.get('/tickets', {
-                params: {
-                    search: email,
-                    ticket_type: 1, // Leads only
-                    pageinate: false
+            const link = await this.crosswalk.findBySource('apollo', apolloId) ||
+                (email && await this.crosswalk.findBySource('email', email));
+            if (link?.entity_type === 'lead') {
+                try {
+                    return await this.halo.tickets.get(link.halo_id);
+                } catch (error) {
+                    if (error.response?.status !== 404) throw error;
+                    await this.crosswalk.unlinkEntity('lead', link.halo_id);
                 }
-            });
+            }
 
-            const leads = response.data.tickets || [];
-            return leads.find(lead => 
-                lead.user_email?.toLowerCase() === email.toLowerCase()
+            const lead = await this.halo.leads.find({ search: email }, t =>
+                t.user_email?.toLowerCase() === email.toLowerCase()
             );
+            if (lead) {
+                await this.crosswalk.linkSource('apollo', apolloId, 'lead', lead.id);
+                await this.crosswalk.linkSource('email', email, 'lead', lead.id);
+            }
+            return lead;
         } catch (error) {
             this.logger.error('Failed to find existing lead', { email, error: error.message });
             return null;
@@ -376,8 +736,7 @@ class EnhancedApolloHaloIntegrator {
         }
 
         // Don't update if DNC flag is set
-        const dncField = lead.customfields?.find(cf => cf.id === 105);
-        if (dncField?.value === true) {
+        if (this.customFields.coerce('CF_105_do_not_contact', this.customFields.valueOf(lead, 'CF_105_do_not_contact'))) {
             return false;
         }
 
@@ -394,11 +753,11 @@ class EnhancedApolloHaloIntegrator {
      */
     async createHaloLead(leadData) {
         try {
-            const response = await this.haloClient.post('/tickets', leadData);
-            this.logger.info('Created new lead', { id: response.data.id, email: leadData.user_email });
-            return response.data;
+            const lead = await this.halo.leads.create(leadData);
+            this.logger.info('Created new lead', { id: lead.id, email: leadData.user_email });
+            return lead;
         } catch (error) {
-            this.logger.error('Failed to create lead', { leadData, error: error.message });
+            this.logger.error('Failed to create lead', { email: leadData.user_email, error: error.message });
             throw error;
         }
     }
@@ -408,22 +767,33 @@ class EnhancedApolloHaloIntegrator {
      */
     async updateHaloLead(leadId, leadData) {
         try {
-            // Only update fields that should be refreshed
+            // Only update fields that should be refreshed (listed by name or catalog ID)
+            const refreshable = this.config.halopsa.refreshableFields.map(ref => this.customFields.idOf(currentFieldRef(ref)));
             const updateData = {
-                customfields: leadData.customfields.filter(cf => 
-                    this.config.halopsa.refreshableFields.includes(cf.id)
-                )
+                customfields: leadData.customfields.filter(cf => refreshable.includes(cf.id))
             };
 
-            const response = await this.haloClient.post(`/tickets/${leadId}`, updateData);
+            const lead = await this.halo.tickets.update(leadId, updateData);
             this.logger.info('Updated existing lead', { id: leadId });
-            return response.data;
+            return lead;
         } catch (error) {
             this.logger.error('Failed to update lead', { leadId, error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Set a single custom field, by logical name, on an existing lead
+     */
+    async updateCustomField(leadId, fieldName, value) {
+        try {
+            await this.halo.updateTicketCustomFields(leadId, this.customFields.toCustomFields({ [fieldName]: value }));
+        } catch (error) {
+            this.logger.error('Failed to update custom field', { leadId, fieldName, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Assign lead to appropriate list based on criteria
      */
@@ -432,9 +802,10 @@ class EnhancedApolloHaloIntegrator {
             const listId = this.determineListAssignment(leadData);
             
             if (listId) {
-                await this.haloClient.post(`/tickets/${leadId}/lists`, {
-                    list_id: listId,
-                    reason: 'Auto-assigned based on lead criteria'
+                await this.halo.lists.addItem(listId, {
+                    ticket_id: leadId,
+                    added_by: 'B2B Integration',
+                    notes: 'Auto-assigned based on lead criteria'
                 });
 
                 this.logger.info('Lead assigned to list', { leadId, listId });
@@ -448,10 +819,9 @@ class EnhancedApolloHaloIntegrator {
      * Determine appropriate list assignment
      */
     determineListAssignment(leadData) {
-        const customFields = leadData.customfields;
-        const companySize = customFields.find(cf => cf.id === 103)?.value;
-        const industry = customFields.find(cf => cf.id === 104)?.value;
-        const fitScore = customFields.find(cf => cf.id === 110)?.value;
+        const companySize = this.customFields.valueOf(leadData, 'CF_121_company_size');
+        const industry = this.customFields.valueOf(leadData, 'CF_122_industry');
+        const fitScore = this.customFields.valueOf(leadData, 'CF_114_lead_fit_score');
 
         // Enterprise list for large companies with high fit scores
         if (this.isLargeCompany(companySize) && fitScore >= 80) {
@@ -474,22 +844,17 @@ class EnhancedApolloHaloIntegrator {
     }
 
     /**
-     * Verify Apollo webhook signature
+     * Verify Apollo webhook signature (HMAC of the raw body in X-Apollo-Signature)
      */
     verifyWebhookSignature(req) {
-        if (!this.config.apollo.webhookSecret) {
-            return true; // Skip verification if no secret configured
+        try {
+            this.webhookVerifier.verify(req.rawBody, req.headers);
+            return true;
+        } catch (error) {
+            if (!(error instanceof WebhookSignatureError)) throw error;
+            this.logger.warn('Apollo webhook signature rejected', { reason: error.reason });
+            return false;
         }
-
-        const signature = req.headers['x-apollo-signature'];
-        const payload = JSON.stringify(req.body);
-        
-        const expectedSignature = crypto
-            .createHmac('sha256', this.config.apollo.webhookSecret)
-            .update(payload)
-            .digest('hex');
-
-        return signature === expectedSignature;
     }
 
     /**
@@ -0,0 +1,110 @@
+/**
+ * GDPR CLI
+ * Erasure requests, retention purges and audit log checks for the workflow integrator.
+ *
+ * Usage:
+ *   node gdpr-cli.js erase <email> [--phone <phone>] [--mode anonymise|delete] [--reference <ref>] [--requested-by <name>] [--dry-run]
+ *   node gdpr-cli.js purge                 (runs now, whatever purge_interval_hours says)
+ *   node gdpr-cli.js audit verify
+ *   node gdpr-cli.js audit list
+ *
+ * --config <file> is the integrator config, or a gateway config whose integrators.workflow
+ * (or --integrator <name>) entry is used. `audit` only needs --audit-log <path> or
+ * gdpr_config.audit_log_path from --config.
+ */
+
+const { loadGatewayConfig } = require('./webhook-gateway');
+const { GdprAuditLog, resolveGdprConfig } = require('./lib/gdpr');
+const { loadConfig, adaptConfig } = require('./lib/config-loader');
+
+const VALUE_FLAGS = ['--config', '--integrator', '--phone', '--mode', '--reference', '--requested-by', '--audit-log'];
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_FLAGS.includes(argv[i])) {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      args['dry-run'] = true;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function usage() {
+  console.error('Usage: node gdpr-cli.js <erase <email>|purge|audit verify|audit list> [--config <file>] [--integrator <name>] [--phone <phone>] [--mode anonymise|delete] [--reference <ref>] [--requested-by <name>] [--dry-run] [--audit-log <path>]');
+  process.exit(1);
+}
+
+function loadIntegratorConfig(args) {
+  if (!args.config) return null;
+  const config = loadGatewayConfig(args.config);
+  if (!config.integrators) return config;
+
+  const name = args.integrator || 'workflow';
+  if (!config.integrators[name]) throw new Error(`integrator "${name}" is not configured in ${args.config}`);
+  return config.integrators[name].config || loadConfig({ file: config.config_file });
+}
+
+function createIntegrator(config) {
+  if (!config) throw new Error('--config is required');
+  const Integrator = require('./custom-crm-workflow-integrator');
+  return new Integrator(config);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, target] = args.positional;
+  if (!command) usage();
+  const config = loadIntegratorConfig(args);
+
+  switch (command) {
+    case 'erase': {
+      if (!target) usage();
+      const result = await createIntegrator(config).eraseDataSubject({ email: target, phone: args.phone }, {
+        mode: args.mode,
+        reference: args.reference,
+        requested_by: args['requested-by'],
+        dry_run: args['dry-run']
+      });
+      console.log(JSON.stringify(result, null, 2));
+      if (result.complete === false) process.exit(2);
+      break;
+    }
+
+    case 'purge': {
+      const result = await createIntegrator(config).purgeExpiredEnrichment();
+      console.log(JSON.stringify(result, null, 2));
+      if (result.errors.length > 0) process.exit(2);
+      break;
+    }
+
+    case 'audit': {
+      const gdpr = resolveGdprConfig(adaptConfig(config, 'workflow')?.gdpr_config);
+      const auditLog = new GdprAuditLog(args['audit-log'] || gdpr.audit_log_path);
+
+      if (target === 'verify') {
+        const result = await auditLog.verify();
+        console.log(JSON.stringify(result, null, 2));
+        if (!result.valid) process.exit(2);
+      } else if (target === 'list') {
+        for (const entry of await auditLog.entries()) {
+          console.log([entry.seq, entry.at, entry.action, entry.subject || '', entry.reference || ''].join('  ').trim());
+        }
+      } else {
+        usage();
+      }
+      break;
+    }
+
+    default:
+      usage();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -4,38 +4,99 @@
  */
 
 const axios = require('axios');
+const HaloApiClient = require('./lib/halo-api-client');
+const { HaloEntityApi } = require('./lib/halo-entities');
+const { defaultRateLimiter } = require('./lib/rate-limiter');
+const { createStateStore } = require('./lib/state-store');
+const { SyncCursor } = require('./lib/sync-cursor');
+const { SuppressionList } = require('./lib/suppression-list');
+const { createLogger, withCorrelationId } = require('./lib/logger');
+const { validateConfig, LOGGING_SCHEMA } = require('./lib/config-schemas');
+const { adaptConfig } = require('./lib/config-loader');
+
+const INITIAL_LOOKBACK_HOURS = 24;
 
 class KlueHaloIntegrator {
   constructor(config) {
+    config = adaptConfig(config, 'klue');
+    validateConfig(config, { '': 'klue-config', logging: LOGGING_SCHEMA }, 'Klue integrator');
     this.klueToken = config.authentication.api_token;
     this.klueOrgId = config.authentication.organization_id;
-    this.haloBaseUrl = config.halo_base_url;
-    this.haloApiKey = config.halo_api_key;
+    this.rateLimiter = config.rate_limiter || defaultRateLimiter;
+    const tenantKey = config.tenant_id || config.halo_tenant;
+
+    this.klueClient = axios.create({
+      baseURL: 'https://api.klue.com/v1',
+      headers: {
+        'Authorization': `Bearer ${this.klueToken}`,
+        'X-Organization-ID': this.klueOrgId
+      }
+    });
+    this.rateLimiter.configure('klue', config.authentication.rate_limit, tenantKey);
+    this.rateLimiter.attach(this.klueClient, 'klue', tenantKey);
+
+    this.haloClient = new HaloApiClient({
+      base_url: config.halo_base_url,
+      client_id: config.halo_client_id,
+      client_secret: config.halo_client_secret,
+      tenant: config.halo_tenant,
+      rate_limiter: this.rateLimiter,
+      rate_limit_key: config.tenant_id
+    });
+    this.halo = new HaloEntityApi(this.haloClient, {
+      lead_ticket_type_id: config.halo_lead_ticket_type_id
+    });
     this.fieldMappings = config.field_mappings;
-    this.conversationFilters = config.conversation_filters;
+    // Every filter is optional; without any, every conversation is synced
+    this.conversationFilters = config.conversation_filters || {};
+
+    // Resume from the last successful poll instead of a fixed look-back window
+    this.stateStore = createStateStore(config.state_store, config.tenant_id);
+    this.cursor = new SyncCursor(this.stateStore, 'klue', 'conversations');
+    // Shared Do-Not-Contact list checked before a lead is created
+    this.suppression = new SuppressionList(this.stateStore, config.suppression);
+    this.initialLookbackHours = config.initial_lookback_hours || INITIAL_LOOKBACK_HOURS;
+    this.logger = createLogger({ ...config.logging, service: 'klue', tenant: config.tenant_id });
   }
 
   /**
-   * Poll Klue API for new conversation intelligence
+   * Poll Klue API for new conversation intelligence; one correlation_id per poll
    */
   async pollConversations() {
+    return withCorrelationId(null, () => this.runConversationPoll());
+  }
+
+  async runConversationPoll() {
     try {
-      const conversations = await this.fetchKlueConversations();
+      await this.cursor.begin();
+      const since = this.cursor.since(
+        new Date(Date.now() - this.initialLookbackHours * 60 * 60 * 1000).toISOString()
+      );
+      const fetched = await this.fetchKlueConversations(since);
+      const conversations = await this.cursor.filterChanged(fetched);
       const results = [];
 
       for (const conversation of conversations) {
+        this.cursor.observe(conversation.updated_at || conversation.updatedAt || conversation.created_at);
         const result = await this.processConversation(conversation);
         results.push(result);
       }
 
+      // Errored conversations stay un-hashed and the cursor holds still, so they are retried next poll
+      const errored = new Set(results.filter(r => r.error).map(r => String(r.conversation_id)));
+      this.cursor.discard((conversation, id) => errored.has(id));
+      const cursor = await this.cursor.commit(errored.size > 0 ? since : null);
+
       return {
         processed: results.length,
         successful: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
+        unchanged: fetched.length - conversations.length,
+        cursor,
         details: results
       };
     } catch (error) {
-      console.error('Error polling Klue conversations:', error);
+      this.logger.error('Error polling Klue conversations', { error: error.message, stack: error.stack });
       throw error;
     }
   }
@@ -52,6 +113,9 @@ class KlueHaloIntegrator {
 
       // Find or create lead/prospect in HaloPSA
       const haloRecord = await this.findOrCreateHaloRecord(conversationData);
+      if (haloRecord.action === 'suppressed') {
+        return { success: false, reason: 'suppressed', conversation_id: conversationData.id };
+      }
 
       // Update with conversation intelligence
       await this.updateWithConversationData(haloRecord, conversationData);
@@ -63,7 +127,7 @@ class KlueHaloIntegrator {
         action: haloRecord.action
       };
     } catch (error) {
-      console.error(`Error processing conversation ${conversationData.id}:`, error);
+      this.logger.error(`Error processing conversation ${conversationData.id}`, { error: error.message, stack: error.stack });
       return {
         success: false,
         conversation_id: conversationData.id,
@@ -128,6 +192,16 @@ class KlueHaloIntegrator {
       }
     }
 
+    const suppressed = await this.suppression.check({
+      email: conversation.contact?.email,
+      phone: conversation.contact?.phone,
+      website: conversation.company?.website || conversation.company?.domain
+    });
+    if (suppressed) {
+      this.logger.info(`[Klue] Not creating lead for suppressed contact (${suppressed.type} ${suppressed.value})`);
+      return { action: 'suppressed' };
+    }
+
     // Create new lead
     const leadData = this.mapConversationToLead(conversation);
     const newLead = await this.createHaloLead(leadData);
@@ -138,50 +212,54 @@ class KlueHaloIntegrator {
    * Update HaloPSA record with conversation data
    */
   async updateWithConversationData(haloRecord, conversation) {
-    const updateData = {
-      conversation_topics: conversation.topics,
-      buyer_stage: conversation.buyerJourney?.stage,
-      engagement_score: conversation.engagement_score,
-      intent_signals: conversation.intent_signals,
-      pain_points: conversation.painPoints,
-      last_conversation_update: new Date().toISOString()
-    };
+    const note = this.buildConversationNote(conversation);
 
     if (haloRecord.type === 'lead') {
-      await this.updateHaloLead(haloRecord.id, updateData);
+      await this.halo.addTicketNote(haloRecord.id, note, 'Klue Conversation');
     } else if (haloRecord.type === 'contact') {
-      await this.updateHaloContact(haloRecord.id, updateData);
+      await this.halo.appendNotes('users', haloRecord.id, note);
     }
   }
 
+  /**
+   * Summarise conversation intelligence as a HaloPSA note
+   */
+  buildConversationNote(conversation) {
+    return [
+      `Klue conversation ${conversation.id} - ${new Date().toISOString()}`,
+      `Topics: ${[].concat(conversation.topics || []).join(', ') || 'None'}`,
+      `Buyer stage: ${conversation.buyerJourney?.stage || 'Unknown'}`,
+      `Engagement score: ${conversation.engagement_score ?? 'Unknown'}`,
+      `Intent signals: ${[].concat(conversation.intent_signals || []).join(', ') || 'None'}`,
+      `Pain points: ${[].concat(conversation.painPoints || []).join(', ') || 'None'}`
+    ].join('\n');
+  }
+
   /**
    * Map Klue conversation to HaloPSA lead
    */
   mapConversationToLead(conversation) {
+    const name = conversation.contact ? `${conversation.contact.firstName} ${conversation.contact.lastName}` : 'Unknown Contact';
+
     return {
-      name: conversation.contact ? `${conversation.contact.firstName} ${conversation.contact.lastName}` : 'Unknown Contact',
-      email: conversation.contact?.email,
-      company: conversation.company?.name,
-      job_title: conversation.contact?.jobTitle,
-      conversation_topics: conversation.topics,
-      buyer_stage: conversation.buyerJourney?.stage,
-      engagement_score: conversation.engagement_score,
-      source: 'Klue Conversation Intelligence',
-      created_date: new Date().toISOString()
+      summary: `${name} - ${conversation.company?.name || 'Unknown Company'}`,
+      details: `Lead Source: Klue Conversation Intelligence\n\n` +
+        `Job Title: ${conversation.contact?.jobTitle || 'Not specified'}\n\n` +
+        this.buildConversationNote(conversation),
+      user_email: conversation.contact?.email,
+      user_name: name,
+      category_1: 'Lead',
+      category_2: 'Klue'
     };
   }
 
   /**
    * Fetch conversations from Klue API
    */
-  async fetchKlueConversations() {
-    const response = await axios.get('https://api.klue.com/v1/conversations', {
-      headers: {
-        'Authorization': `Bearer ${this.klueToken}`,
-        'X-Organization-ID': this.klueOrgId
-      },
+  async fetchKlueConversations(since) {
+    const response = await this.klueClient.get('/conversations', {
       params: {
-        since: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), // Last 24 hours
+        since,
         min_engagement_score: this.conversationFilters.minimum_engagement_score || 0
       }
     });
@@ -193,40 +271,24 @@ class KlueHaloIntegrator {
    * HaloPSA API helper methods
    */
   async findContactByEmail(email) {
-    const response = await axios.get(`${this.haloBaseUrl}/contact`, {
-      params: { email },
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data.length > 0 ? { ...response.data[0], type: 'contact' } : null;
+    const contact = await this.halo.users.find({ search: email }, user =>
+      user.emailaddress?.toLowerCase() === email.toLowerCase()
+    );
+    return contact ? { ...contact, type: 'contact' } : null;
   }
 
   async findCompanyByName(name) {
-    const response = await axios.get(`${this.haloBaseUrl}/company`, {
-      params: { search: name },
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data.length > 0 ? { ...response.data[0], type: 'company' } : null;
+    const { records } = await this.halo.clients.list({ search: name });
+    return records.length > 0 ? { ...records[0], type: 'company' } : null;
   }
 
   async createHaloLead(leadData) {
-    const response = await axios.post(`${this.haloBaseUrl}/lead`, leadData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return { ...response.data, type: 'lead' };
+    const lead = await this.halo.leads.create(leadData);
+    return { ...lead, type: 'lead' };
   }
 
   async updateHaloLead(leadId, updateData) {
-    const response = await axios.put(`${this.haloBaseUrl}/lead/${leadId}`, updateData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
-  }
-
-  async updateHaloContact(contactId, updateData) {
-    const response = await axios.put(`${this.haloBaseUrl}/contact/${contactId}`, updateData, {
-      headers: { 'Authorization': `Bearer ${this.haloApiKey}` }
-    });
-    return response.data;
+    return this.halo.tickets.update(leadId, updateData);
   }
 }
 
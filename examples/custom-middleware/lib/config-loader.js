@@ -0,0 +1,357 @@
+/**
+ * Config Loader
+ * Builds one normalized config - the snake_case layout of schemas/environment-config.json - from
+ * these layers, each overriding the one before:
+ *   1. `default` values in environment-config.json
+ *   2. a JSON config file: options.file, else HALO_CONFIG_FILE, else examples/config/environment.json
+ *      when it exists
+ *   3. environment variables, named as in examples/.env.example (ENV_VARS below)
+ *   4. <VAR>_FILE - the variable's value read from a file, for Docker and Kubernetes secret mounts
+ * The merged config is validated against environment-config.json (lib/config-schemas.js) before
+ * it is returned.
+ *
+ * Every integrator accepts a loaded config: its constructor maps it onto its own key style with
+ * adaptConfig(). Settings only one integrator uses go under `integrator_settings.<name>`, written
+ * in that integrator's style, e.g. integrator_settings["enhanced-apollo"].halopsa.lists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateConfig, ConfigValidationError, DEFAULT_SCHEMA_DIR } = require('./config-schemas');
+
+const DEFAULT_CONFIG_FILE = path.resolve(__dirname, '../../config/environment.json');
+const SCHEMA_FILE = path.join(DEFAULT_SCHEMA_DIR, 'environment-config.json');
+
+// Marks configs built here, so integrators know to adapt them
+const LOADED = Symbol('loadedConfig');
+
+const ENV_VARS = {
+  ENVIRONMENT: 'environment',
+
+  HALOPSA_TENANT_URL: 'halopsa.tenant_url',
+  HALOPSA_TENANT: 'halopsa.tenant',
+  HALOPSA_CLIENT_ID: 'halopsa.client_id',
+  HALOPSA_CLIENT_SECRET: 'halopsa.client_secret',
+  HALOPSA_REDIRECT_URI: 'halopsa.redirect_uri',
+  HALOPSA_WEBHOOK_SECRET: 'halopsa.webhook_secret',
+  HALOPSA_LEAD_TICKET_TYPE_ID: 'halopsa.lead_ticket_type_id',
+  HALOPSA_FIELD_APOLLO_ID: 'halopsa.custom_fields.apollo_id',
+  HALOPSA_FIELD_ZOOMINFO_ID: 'halopsa.custom_fields.zoominfo_id',
+  HALOPSA_FIELD_DATA_SOURCE: 'halopsa.custom_fields.data_source',
+  HALOPSA_FIELD_ENRICHMENT_DATE: 'halopsa.custom_fields.enrichment_date',
+  HALOPSA_FIELD_QUALITY_SCORE: 'halopsa.custom_fields.data_quality_score',
+  HALOPSA_FIELD_CONFIDENCE_SCORE: 'halopsa.custom_fields.confidence_score',
+
+  APOLLO_API_KEY: 'b2b_sources.apollo.api_key',
+  APOLLO_WEBHOOK_SECRET: 'b2b_sources.apollo.webhook_secret',
+  APOLLO_RATE_LIMIT_PER_MINUTE: 'b2b_sources.apollo.rate_limit_per_minute',
+  ZOOMINFO_USERNAME: 'b2b_sources.zoominfo.username',
+  ZOOMINFO_PASSWORD: 'b2b_sources.zoominfo.password',
+  ZOOMINFO_ACCESS_TOKEN: 'b2b_sources.zoominfo.access_token',
+  ZOOMINFO_WEBHOOK_SECRET: 'b2b_sources.zoominfo.webhook_secret',
+  ZOOMINFO_RATE_LIMIT_PER_HOUR: 'b2b_sources.zoominfo.rate_limit_per_hour',
+  HUNTER_API_KEY: 'b2b_sources.hunter.api_key',
+  HUNTER_WEBHOOK_SECRET: 'b2b_sources.hunter.webhook_secret',
+  HUNTER_RATE_LIMIT_PER_SECOND: 'b2b_sources.hunter.rate_limit_per_second',
+  UPLEAD_API_KEY: 'b2b_sources.uplead.api_key',
+  UPLEAD_RATE_LIMIT_PER_MINUTE: 'b2b_sources.uplead.rate_limit_per_minute',
+  LUSHA_API_KEY: 'b2b_sources.lusha.api_key',
+  LUSHA_RATE_LIMIT_PER_MINUTE: 'b2b_sources.lusha.rate_limit_per_minute',
+  CRAYON_API_KEY: 'b2b_sources.crayon.api_key',
+  CRAYON_WEBHOOK_SECRET: 'b2b_sources.crayon.webhook_secret',
+  KLUE_API_TOKEN: 'b2b_sources.klue.api_token',
+  KLUE_ORGANIZATION_ID: 'b2b_sources.klue.organization_id',
+
+  HALO_INTEGRATOR_ENABLED: 'integration_settings.halo_integrator.enabled',
+  HALO_INTEGRATOR_POLL_INTERVAL: 'integration_settings.halo_integrator.poll_interval_minutes',
+  HALO_INTEGRATOR_API_ENDPOINT: 'integration_settings.halo_integrator.api_endpoint',
+  HALO_INTEGRATOR_AUTH_TOKEN: 'integration_settings.halo_integrator.auth_token',
+  HALO_INTEGRATOR_TIMEOUT: 'integration_settings.halo_integrator.timeout_seconds',
+  HALO_INTEGRATOR_RETRIES: 'integration_settings.halo_integrator.retry_attempts',
+  WEBHOOKS_ENABLED: 'integration_settings.webhooks.enabled',
+  WEBHOOKS_BASE_URL: 'integration_settings.webhooks.base_url',
+  WEBHOOKS_AUTH_TOKEN: 'integration_settings.webhooks.auth_token',
+  WEBHOOKS_RATE_LIMIT: 'integration_settings.webhooks.rate_limit_per_minute',
+  MIN_CONFIDENCE_SCORE: 'integration_settings.data_quality.minimum_confidence_score',
+  VERIFY_EMAILS: 'integration_settings.data_quality.verify_emails',
+  DEDUPLICATE_CONTACTS: 'integration_settings.data_quality.deduplicate_contacts',
+  SIMILARITY_THRESHOLD: 'integration_settings.data_quality.similarity_threshold',
+  MAX_RETRIES: 'integration_settings.error_handling.max_retries',
+  RETRY_DELAY_SECONDS: 'integration_settings.error_handling.retry_delay_seconds',
+  DEAD_LETTER_QUEUE: 'integration_settings.error_handling.dead_letter_queue',
+  ALERT_EMAIL: 'integration_settings.error_handling.alert_email',
+  ALERT_WEBHOOK: 'integration_settings.error_handling.alert_webhook',
+
+  STATE_STORE_TYPE: 'state_store.type',
+  STATE_STORE_PATH: 'state_store.path',
+
+  LOG_LEVEL: 'logging.level',
+  LOG_FILE_PATH: 'logging.file_path',
+  LOG_MAX_FILE_SIZE: 'logging.max_file_size',
+  LOG_MAX_FILES: 'logging.max_files',
+  LOG_JSON_FORMAT: 'logging.json_format',
+
+  HEALTH_CHECK_INTERVAL: 'monitoring.health_check_interval',
+  METRICS_ENABLED: 'monitoring.metrics_enabled',
+  METRICS_PORT: 'monitoring.metrics_port',
+  PROMETHEUS_ENDPOINT: 'monitoring.prometheus_endpoint',
+
+  ENCRYPTION_KEY: 'security.encryption_key',
+  ALLOWED_IPS: 'security.allowed_ips',
+  CORS_ORIGINS: 'security.cors_origins',
+  RATE_LIMIT_WINDOW: 'security.rate_limit_window'
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Copy of target with source merged in; objects merge key by key, anything else is replaced
+ */
+function deepMerge(target, source) {
+  if (!isObject(source)) return source === undefined ? target : source;
+  const merged = { ...(isObject(target) ? target : {}) };
+  for (const [key, value] of Object.entries(source)) {
+    merged[key] = deepMerge(merged[key], value);
+  }
+  return merged;
+}
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function schemaAt(schema, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => node?.properties?.[key], schema);
+}
+
+/**
+ * The `default` of every property, nested as the config is
+ */
+function schemaDefaults(schema) {
+  const defaults = {};
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (property.default !== undefined) {
+      defaults[key] = JSON.parse(JSON.stringify(property.default));
+    } else if (property.properties) {
+      const nested = schemaDefaults(property);
+      if (Object.keys(nested).length > 0) defaults[key] = nested;
+    }
+  }
+  return defaults;
+}
+
+/**
+ * An environment string as the type the schema declares; throws a readable message otherwise
+ */
+function coerce(value, property = {}) {
+  const types = [].concat(property.type || 'string');
+  if (types.includes('boolean')) {
+    if (TRUE_VALUES.includes(value.toLowerCase())) return true;
+    if (FALSE_VALUES.includes(value.toLowerCase())) return false;
+    throw new Error('must be true or false');
+  }
+  if (types.includes('integer') || types.includes('number')) {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) throw new Error('must be a number');
+    if (types.includes('integer') && !types.includes('number') && !Number.isInteger(number)) {
+      throw new Error('must be an integer');
+    }
+    return number;
+  }
+  if (types.includes('array')) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Config values from environment variables and <VAR>_FILE secret files
+ */
+function readEnvironment(env, schema) {
+  const config = {};
+  const problems = [];
+
+  for (const [name, dottedPath] of Object.entries(ENV_VARS)) {
+    const secretFile = env[`${name}_FILE`];
+    if (secretFile && env[name] !== undefined) {
+      problems.push({ path: name, message: `set either ${name} or ${name}_FILE, not both` });
+      continue;
+    }
+
+    let value = env[name];
+    if (secretFile) {
+      try {
+        value = fs.readFileSync(path.resolve(secretFile), 'utf8').replace(/\r?\n$/, '');
+      } catch (error) {
+        problems.push({ path: `${name}_FILE`, message: `cannot read ${secretFile}: ${error.code || error.message}` });
+        continue;
+      }
+    }
+    if (value === undefined || value === '') continue;
+
+    try {
+      setPath(config, dottedPath, coerce(value, schemaAt(schema, dottedPath)));
+    } catch (error) {
+      problems.push({ path: secretFile ? `${name}_FILE` : name, message: error.message });
+    }
+  }
+
+  if (problems.length > 0) throw new ConfigValidationError('integration', problems);
+  return config;
+}
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalized config from schema defaults, a config file, environment variables and secret files
+ * @param {object} [options] - { file, env (default process.env), validate (default true) }
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+
+  // A file that was asked for must exist; the default one is optional
+  const requested = options.file || env.HALO_CONFIG_FILE;
+  const file = requested ? path.resolve(requested) : DEFAULT_CONFIG_FILE;
+  const fromFile = requested || fs.existsSync(file) ? readConfigFile(file) : {};
+
+  const config = [fromFile, readEnvironment(env, schema)].reduce(deepMerge, schemaDefaults(schema));
+  if (options.validate !== false) {
+    validateConfig(config, { '': 'environment-config' }, 'integration');
+  }
+
+  Object.defineProperty(config, LOADED, { value: true });
+  return config;
+}
+
+function isLoadedConfig(config) {
+  return Boolean(config?.[LOADED]);
+}
+
+/**
+ * config with overrides merged over it (e.g. one tenant's settings); a loaded config stays loaded
+ */
+function mergeConfig(config, overrides) {
+  const merged = deepMerge(config, overrides);
+  if (isLoadedConfig(config)) Object.defineProperty(merged, LOADED, { value: true });
+  return merged;
+}
+
+function haloConnection(halopsa = {}) {
+  return {
+    halo_base_url: halopsa.tenant_url,
+    halo_client_id: halopsa.client_id,
+    halo_client_secret: halopsa.client_secret,
+    halo_tenant: halopsa.tenant,
+    halo_lead_ticket_type_id: halopsa.lead_ticket_type_id
+  };
+}
+
+// Normalized config -> the layout each integrator's constructor reads
+const ADAPTERS = {
+  'apollo-halo': config => config,
+
+  'enhanced-apollo': ({ halopsa = {}, b2b_sources: sources = {}, ...config }) => ({
+    apollo: {
+      apiKey: sources.apollo?.api_key,
+      webhookSecret: sources.apollo?.webhook_secret,
+      rateLimits: { requests_per_minute: sources.apollo?.rate_limit_per_minute }
+    },
+    halopsa: {
+      baseUrl: halopsa.tenant_url,
+      clientId: halopsa.client_id,
+      clientSecret: halopsa.client_secret,
+      tenant: halopsa.tenant,
+      leadTicketTypeId: halopsa.lead_ticket_type_id
+    },
+    stateStore: config.state_store,
+    suppression: config.suppression,
+    logging: config.logging
+  }),
+
+  workflow: ({ halopsa = {}, b2b_sources: sources = {}, ...config }) => ({
+    apollo: {
+      base_url: 'https://api.apollo.io/v1',
+      api_key: sources.apollo?.api_key,
+      rate_limits: { requests_per_minute: sources.apollo?.rate_limit_per_minute }
+    },
+    zoominfo: {
+      base_url: 'https://api.zoominfo.com',
+      access_token: sources.zoominfo?.access_token,
+      rate_limits: { requests_per_hour: sources.zoominfo?.rate_limit_per_hour }
+    },
+    hunter: {
+      base_url: 'https://api.hunter.io',
+      api_key: sources.hunter?.api_key,
+      rate_limits: { requests_per_second: sources.hunter?.rate_limit_per_second }
+    },
+    halo: {
+      base_url: halopsa.tenant_url,
+      client_id: halopsa.client_id,
+      client_secret: halopsa.client_secret,
+      tenant: halopsa.tenant
+    },
+    state_store: config.state_store,
+    suppression: config.suppression,
+    logging: config.logging
+  }),
+
+  crayon: ({ halopsa, b2b_sources: sources = {}, ...config }) => ({
+    authentication: { api_key: sources.crayon?.api_key },
+    ...haloConnection(halopsa),
+    webhook_config: { secret: sources.crayon?.webhook_secret },
+    field_mappings: {},
+    state_store: config.state_store,
+    suppression: config.suppression,
+    logging: config.logging
+  }),
+
+  klue: ({ halopsa, b2b_sources: sources = {}, ...config }) => ({
+    authentication: { api_token: sources.klue?.api_token, organization_id: sources.klue?.organization_id },
+    ...haloConnection(halopsa),
+    field_mappings: {},
+    conversation_filters: {},
+    state_store: config.state_store,
+    suppression: config.suppression,
+    logging: config.logging
+  })
+};
+
+/**
+ * A loaded config in the named integrator's layout, with its integrator_settings merged over;
+ * any other config is returned as given
+ */
+function adaptConfig(config, integrator) {
+  if (!isLoadedConfig(config)) return config;
+  if (!ADAPTERS[integrator]) throw new Error(`No config adapter for integrator "${integrator}"`);
+  const adapted = ADAPTERS[integrator](config);
+  if (config.tenant_id) adapted.tenant_id = config.tenant_id;
+  return deepMerge(adapted, config.integrator_settings?.[integrator]);
+}
+
+module.exports = {
+  loadConfig,
+  adaptConfig,
+  isLoadedConfig,
+  mergeConfig,
+  schemaDefaults,
+  ENV_VARS,
+  DEFAULT_CONFIG_FILE
+};
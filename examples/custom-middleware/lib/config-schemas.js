@@ -0,0 +1,137 @@
+/**
+ * Config Schemas
+ * Compiles every schemas/*-config.json (draft-07) once per process and checks integrator
+ * configs against them before the integrator is built, so a bad config stops startup with
+ * the offending paths instead of surfacing as a TypeError mid-poll or mid-webhook.
+ *
+ * Schemas are named after their file ("crayon-config"); "<name>#<JSON pointer>" selects part
+ * of one, e.g. "environment-config#/properties/logging".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { formatErrors } = require('./webhook-schemas');
+
+const DEFAULT_SCHEMA_DIR = path.resolve(__dirname, '../../../schemas');
+const LOGGING_SCHEMA = 'environment-config#/properties/logging';
+
+class ConfigValidationError extends Error {
+  /**
+   * @param {string} label - what was being configured, e.g. "Crayon integrator"
+   * @param {Array} problems - [{ path, message }]
+   */
+  constructor(label, problems) {
+    super(`Invalid ${label} configuration:\n- ${problems.map(problem => `${problem.path}: ${problem.message}`).join('\n- ')}`);
+    this.name = 'ConfigValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * "/scoring/models/0/weight" under "config" -> "config.scoring.models[0].weight"
+ */
+function toConfigPath(prefix, pointer) {
+  return pointer.split('/').slice(1).filter(Boolean).reduce((result, segment) => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (/^\d+$/.test(key)) return `${result}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${result}.${key}` : `${result}[${JSON.stringify(key)}]`;
+  }, prefix);
+}
+
+class ConfigSchemaRegistry {
+  /**
+   * @param {string} [dir] - directory holding the *-config.json schemas
+   */
+  constructor(dir = DEFAULT_SCHEMA_DIR) {
+    this.ajv = new Ajv({ allErrors: true, strict: false, logger: false });
+    addFormats(this.ajv);
+    // In these schemas "id" annotates a HaloPSA custom field ID, not a draft-04 schema ID
+    this.ajv.removeKeyword('id');
+    this.validators = {};
+
+    const problems = [];
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('-config.json')).sort()) {
+      const name = path.basename(file, '.json');
+      try {
+        this.ajv.addSchema(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), name);
+        this.validators[name] = this.ajv.getSchema(name);
+      } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new Error(`Config schemas in ${dir} failed to compile:\n- ${problems.join('\n- ')}`);
+    }
+  }
+
+  /**
+   * Registry for the repository's schemas/ directory, compiled on first use
+   */
+  static shared() {
+    if (!ConfigSchemaRegistry.instance) ConfigSchemaRegistry.instance = new ConfigSchemaRegistry();
+    return ConfigSchemaRegistry.instance;
+  }
+
+  names() {
+    return Object.keys(this.validators);
+  }
+
+  validator(ref) {
+    if (!this.validators[ref]) {
+      const validate = this.ajv.getSchema(ref);
+      if (!validate) throw new Error(`Unknown config schema: ${ref}`);
+      this.validators[ref] = validate;
+    }
+    return this.validators[ref];
+  }
+
+  /**
+   * Problems as [{ path, message }], with paths written from `prefix` ("config.scoring.weights")
+   */
+  validate(ref, value, prefix = 'config') {
+    const validate = this.validator(ref);
+    if (validate(value)) return [];
+    return formatErrors(validate.errors).map(error => ({
+      path: toConfigPath(prefix, error.path),
+      message: error.message
+    }));
+  }
+
+  /**
+   * Check config sections against schemas, e.g. { '': 'crayon-config', 'workflow.scoring': ... }
+   * ('' is the whole config, dots reach into nested blocks). Sections the config leaves out are
+   * skipped so the integrator's defaults apply. Throws a ConfigValidationError listing every problem.
+   */
+  assertValid(config, sections, label) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new ConfigValidationError(label, [{ path: 'config', message: 'must be an object' }]);
+    }
+
+    const problems = [];
+    for (const [section, ref] of Object.entries(sections)) {
+      const keys = section ? section.split('.') : [];
+      const value = keys.reduce((parent, key) => parent?.[key], config);
+      if (value === undefined) continue;
+      problems.push(...this.validate(ref, value, toConfigPath('config', keys.map(key => `/${key}`).join(''))));
+    }
+    if (problems.length > 0) throw new ConfigValidationError(label, problems);
+    return config;
+  }
+}
+
+/**
+ * assertValid() against the shared registry
+ */
+function validateConfig(config, sections, label) {
+  return ConfigSchemaRegistry.shared().assertValid(config, sections, label);
+}
+
+module.exports = {
+  ConfigSchemaRegistry,
+  ConfigValidationError,
+  validateConfig,
+  LOGGING_SCHEMA,
+  DEFAULT_SCHEMA_DIR
+};
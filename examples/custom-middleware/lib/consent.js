@@ -0,0 +1,172 @@
+/**
+ * Consent and Lawful Basis
+ * Every imported person carries where they came from and why we may process them:
+ *   { source, lawful_basis, timestamp, jurisdiction }
+ * stored in the lead custom fields CF_116-119. The jurisdiction is derived from the person's
+ * (else their company's) country: "EU", "EEA", "UK", "CH", or the ISO country code elsewhere.
+ *
+ * ConsentPolicy decides whether a record is good enough for outreach (the `consent` config block):
+ *   allowed_bases          { <jurisdiction> | default: [lawful bases] }
+ *                          (default: consent or legitimate_interest everywhere)
+ *   consent_max_age_days   consent older than this no longer counts (default: no limit)
+ *   require_jurisdiction   treat an unknown country as invalid (default false)
+ */
+
+// GDPR Art. 6(1)
+const LAWFUL_BASES = ['consent', 'contract', 'legal_obligation', 'vital_interests', 'public_task', 'legitimate_interest'];
+
+const CONSENT_FIELDS = {
+  CF_116_consent_source: 116,
+  CF_117_lawful_basis: 117,
+  CF_118_consent_timestamp: 118,
+  CF_119_consent_jurisdiction: 119
+};
+
+const DEFAULT_CONSENT_POLICY = {
+  allowed_bases: { default: ['consent', 'legitimate_interest'] },
+  consent_max_age_days: null,
+  require_jurisdiction: false
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EU_COUNTRIES = {
+  AT: 'austria', BE: 'belgium', BG: 'bulgaria', HR: 'croatia', CY: 'cyprus', CZ: 'czech republic',
+  DK: 'denmark', EE: 'estonia', FI: 'finland', FR: 'france', DE: 'germany', GR: 'greece',
+  HU: 'hungary', IE: 'ireland', IT: 'italy', LV: 'latvia', LT: 'lithuania', LU: 'luxembourg',
+  MT: 'malta', NL: 'netherlands', PL: 'poland', PT: 'portugal', RO: 'romania', SK: 'slovakia',
+  SI: 'slovenia', ES: 'spain', SE: 'sweden'
+};
+const EEA_COUNTRIES = { IS: 'iceland', LI: 'liechtenstein', NO: 'norway' };
+const OTHER_COUNTRIES = {
+  GB: 'united kingdom', CH: 'switzerland', US: 'united states', CA: 'canada', AU: 'australia',
+  NZ: 'new zealand', IN: 'india', SG: 'singapore', JP: 'japan', BR: 'brazil', ZA: 'south africa'
+};
+const COUNTRY_ALIASES = {
+  uk: 'GB', 'great britain': 'GB', england: 'GB', scotland: 'GB', wales: 'GB', 'northern ireland': 'GB',
+  usa: 'US', 'united states of america': 'US', czechia: 'CZ', 'the netherlands': 'NL', holland: 'NL'
+};
+
+const COUNTRY_CODES = {};
+for (const table of [EU_COUNTRIES, EEA_COUNTRIES, OTHER_COUNTRIES]) {
+  for (const [code, name] of Object.entries(table)) COUNTRY_CODES[name] = code;
+}
+Object.assign(COUNTRY_CODES, COUNTRY_ALIASES);
+
+/**
+ * ISO 3166-1 alpha-2 code for a country code or English name, or null
+ */
+function countryCode(country) {
+  if (!country) return null;
+  const text = String(country).trim();
+  if (/^[a-z]{2}$/i.test(text)) return text.toUpperCase() === 'UK' ? 'GB' : text.toUpperCase();
+  return COUNTRY_CODES[text.toLowerCase()] || null;
+}
+
+function jurisdictionFor(country) {
+  const code = countryCode(country);
+  if (!code) return null;
+  if (EU_COUNTRIES[code]) return 'EU';
+  if (EEA_COUNTRIES[code]) return 'EEA';
+  if (code === 'GB') return 'UK';
+  return code;
+}
+
+class ConsentPolicy {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_CONSENT_POLICY,
+      ...options,
+      allowed_bases: { ...DEFAULT_CONSENT_POLICY.allowed_bases, ...options.allowed_bases }
+    };
+
+    for (const [jurisdiction, bases] of Object.entries(this.options.allowed_bases)) {
+      const unknown = [].concat(bases).filter(basis => !LAWFUL_BASES.includes(basis));
+      if (unknown.length > 0) {
+        throw new Error(`consent.allowed_bases.${jurisdiction}: unknown lawful basis ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Consent metadata for an imported person
+   * @param {object} details - { source, lawful_basis, consented_at, country }
+   */
+  record(details = {}) {
+    const basis = details.lawful_basis ? String(details.lawful_basis).trim().toLowerCase() : null;
+    // Other bases are recorded as of import; consent is only as good as the source's own timestamp
+    const timestamp = details.consented_at ? new Date(details.consented_at) : (basis && basis !== 'consent' ? new Date() : null);
+    return {
+      source: details.source || null,
+      lawful_basis: basis,
+      timestamp: timestamp && !Number.isNaN(timestamp.getTime()) ? timestamp.toISOString() : null,
+      jurisdiction: jurisdictionFor(details.country)
+    };
+  }
+
+  /**
+   * { valid, reason } for outreach; reason says what is missing when invalid
+   */
+  evaluate(consent, now = Date.now()) {
+    if (!consent?.lawful_basis) return { valid: false, reason: 'no lawful basis recorded' };
+    if (!LAWFUL_BASES.includes(consent.lawful_basis)) {
+      return { valid: false, reason: `unknown lawful basis "${consent.lawful_basis}"` };
+    }
+    if (!consent.jurisdiction && this.options.require_jurisdiction) {
+      return { valid: false, reason: 'jurisdiction unknown' };
+    }
+
+    const allowed = [].concat(this.options.allowed_bases[consent.jurisdiction] || this.options.allowed_bases.default || []);
+    if (!allowed.includes(consent.lawful_basis)) {
+      return { valid: false, reason: `${consent.lawful_basis} is not accepted in ${consent.jurisdiction || 'unknown jurisdiction'}` };
+    }
+
+    if (consent.lawful_basis === 'consent') {
+      const givenAt = Date.parse(consent.timestamp);
+      if (Number.isNaN(givenAt)) return { valid: false, reason: 'consent has no timestamp' };
+      const maxAge = this.options.consent_max_age_days;
+      if (maxAge && now - givenAt > maxAge * DAY_MS) {
+        return { valid: false, reason: `consent is older than ${maxAge} days` };
+      }
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Consent as HaloPSA custom field values; `fieldIds` overrides CONSENT_FIELDS
+   */
+  toCustomFields(consent, fieldIds = CONSENT_FIELDS) {
+    const values = {
+      CF_116_consent_source: consent.source,
+      CF_117_lawful_basis: consent.lawful_basis,
+      CF_118_consent_timestamp: consent.timestamp,
+      CF_119_consent_jurisdiction: consent.jurisdiction
+    };
+    return Object.entries(values).map(([name, value]) => ({ id: fieldIds[name], name, value: value ?? '' }));
+  }
+
+  /**
+   * Read consent back from a record's custom fields (by ID)
+   */
+  fromCustomFields(customfields = [], fieldIds = CONSENT_FIELDS) {
+    const value = name => {
+      const field = customfields.find(cf => Number(cf.id) === Number(fieldIds[name]));
+      return field?.value === '' || field?.value === undefined ? null : field.value;
+    };
+    return {
+      source: value('CF_116_consent_source'),
+      lawful_basis: value('CF_117_lawful_basis'),
+      timestamp: value('CF_118_consent_timestamp'),
+      jurisdiction: value('CF_119_consent_jurisdiction')
+    };
+  }
+}
+
+module.exports = {
+  ConsentPolicy,
+  jurisdictionFor,
+  countryCode,
+  LAWFUL_BASES,
+  CONSENT_FIELDS
+};
@@ -0,0 +1,151 @@
+/**
+ * External-ID Crosswalk
+ * Persistent mapping between B2B source records and HaloPSA entities, plus the
+ * Lead -> Prospect -> Opportunity lineage, kept in a lib/state-store store:
+ *   crosswalk:sources  "<source>:<source_id>"      -> { entity_type, halo_id, linked_at }
+ *   crosswalk:entities "<entity_type>:<halo_id>"   -> { sources, promoted_from, promoted_to }
+ *
+ * Lookups no longer depend on free text in ticket details, so editing a ticket
+ * cannot break lineage or trigger a second conversion.
+ */
+
+const SOURCE_NAMESPACE = 'crosswalk:sources';
+const ENTITY_NAMESPACE = 'crosswalk:entities';
+
+function sourceKey(source, sourceId) {
+  return `${source}:${String(sourceId).toLowerCase()}`;
+}
+
+function entityKey(entityType, haloId) {
+  return `${entityType}:${haloId}`;
+}
+
+class Crosswalk {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async getEntity(entityType, haloId) {
+    return (await this.store.get(ENTITY_NAMESPACE, entityKey(entityType, haloId))) || {
+      sources: [],
+      promoted_from: null,
+      promoted_to: null
+    };
+  }
+
+  async saveEntity(entityType, haloId, entry) {
+    await this.store.set(ENTITY_NAMESPACE, entityKey(entityType, haloId), entry);
+  }
+
+  /**
+   * Record that a source record (e.g. apollo person 5f2...) lives in HaloPSA as entityType #haloId.
+   * Re-linking a source record moves it to the new entity.
+   */
+  async linkSource(source, sourceId, entityType, haloId) {
+    if (sourceId === undefined || sourceId === null || sourceId === '') return;
+
+    const key = sourceKey(source, sourceId);
+    const previous = await this.store.get(SOURCE_NAMESPACE, key);
+    if (previous && (previous.entity_type !== entityType || previous.halo_id !== haloId)) {
+      const oldEntity = await this.getEntity(previous.entity_type, previous.halo_id);
+      oldEntity.sources = oldEntity.sources.filter(s => sourceKey(s.source, s.source_id) !== key);
+      await this.saveEntity(previous.entity_type, previous.halo_id, oldEntity);
+    }
+
+    await this.store.set(SOURCE_NAMESPACE, key, {
+      entity_type: entityType,
+      halo_id: haloId,
+      linked_at: new Date().toISOString()
+    });
+
+    const entity = await this.getEntity(entityType, haloId);
+    if (!entity.sources.some(s => sourceKey(s.source, s.source_id) === key)) {
+      entity.sources.push({ source, source_id: String(sourceId) });
+      await this.saveEntity(entityType, haloId, entity);
+    }
+  }
+
+  /**
+   * HaloPSA entity for a source record: { entity_type, halo_id, linked_at } or null
+   */
+  async findBySource(source, sourceId) {
+    if (sourceId === undefined || sourceId === null || sourceId === '') return null;
+    return this.store.get(SOURCE_NAMESPACE, sourceKey(source, sourceId));
+  }
+
+  /**
+   * Source records linked to a HaloPSA entity: [{ source, source_id }]
+   */
+  async getSources(entityType, haloId) {
+    return (await this.getEntity(entityType, haloId)).sources;
+  }
+
+  /**
+   * Record a promotion, e.g. lead #12 -> prospect #40. Source links stay with the original
+   * entity; follow getLineage() to reach the current stage.
+   */
+  async linkPromotion(fromType, fromId, toType, toId) {
+    const from = await this.getEntity(fromType, fromId);
+    from.promoted_to = { entity_type: toType, halo_id: toId, promoted_at: new Date().toISOString() };
+    await this.saveEntity(fromType, fromId, from);
+
+    const to = await this.getEntity(toType, toId);
+    to.promoted_from = { entity_type: fromType, halo_id: fromId };
+    await this.saveEntity(toType, toId, to);
+  }
+
+  async getPromotedTo(entityType, haloId) {
+    return (await this.getEntity(entityType, haloId)).promoted_to;
+  }
+
+  async getPromotedFrom(entityType, haloId) {
+    return (await this.getEntity(entityType, haloId)).promoted_from;
+  }
+
+  /**
+   * Full chain through an entity, oldest first: [{ entity_type, halo_id }, ...]
+   */
+  async getLineage(entityType, haloId) {
+    const chain = [{ entity_type: entityType, halo_id: haloId }];
+    const visited = new Set([entityKey(entityType, haloId)]);
+
+    let current = await this.getPromotedFrom(entityType, haloId);
+    while (current && !visited.has(entityKey(current.entity_type, current.halo_id))) {
+      visited.add(entityKey(current.entity_type, current.halo_id));
+      chain.unshift({ entity_type: current.entity_type, halo_id: current.halo_id });
+      current = await this.getPromotedFrom(current.entity_type, current.halo_id);
+    }
+
+    current = await this.getPromotedTo(entityType, haloId);
+    while (current && !visited.has(entityKey(current.entity_type, current.halo_id))) {
+      visited.add(entityKey(current.entity_type, current.halo_id));
+      chain.push({ entity_type: current.entity_type, halo_id: current.halo_id });
+      current = await this.getPromotedTo(current.entity_type, current.halo_id);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Drop every mapping for an entity, e.g. after it was deleted in HaloPSA
+   */
+  async unlinkEntity(entityType, haloId) {
+    const entity = await this.getEntity(entityType, haloId);
+    for (const { source, source_id: sourceId } of entity.sources) {
+      await this.store.delete(SOURCE_NAMESPACE, sourceKey(source, sourceId));
+    }
+    if (entity.promoted_from) {
+      const parent = await this.getEntity(entity.promoted_from.entity_type, entity.promoted_from.halo_id);
+      parent.promoted_to = null;
+      await this.saveEntity(entity.promoted_from.entity_type, entity.promoted_from.halo_id, parent);
+    }
+    if (entity.promoted_to) {
+      const child = await this.getEntity(entity.promoted_to.entity_type, entity.promoted_to.halo_id);
+      child.promoted_from = null;
+      await this.saveEntity(entity.promoted_to.entity_type, entity.promoted_to.halo_id, child);
+    }
+    await this.store.delete(ENTITY_NAMESPACE, entityKey(entityType, haloId));
+  }
+}
+
+module.exports = Crosswalk;
@@ -0,0 +1,76 @@
+/**
+ * Custom Field Catalog
+ * The HaloPSA custom fields every integrator writes, by logical name, with the documented ID
+ * (docs/custom-crm-configuration.md "Custom Fields") and type. Integrators take the fields they
+ * use from here, so two integrators never assume different fields behind the same ID.
+ *
+ * Lead fields 101-119 are the documented lead fields; 120-127 carry the enhanced Apollo
+ * integrator's enrichment that has no documented field. Prospect fields are 2xx, opportunity
+ * fields 3xx and contact fields 4xx: HaloPSA users have custom fields of their own, so consent
+ * recorded on a contact needs its own set.
+ */
+
+const { CONSENT_FIELDS } = require('./consent');
+
+const CUSTOM_FIELD_CATALOG = {
+  CF_101_lead_source: { id: 101, type: 'string', entity: 'lead' },
+  CF_102_services_offered: { id: 102, type: 'string', entity: 'lead' },
+  CF_103_growth_signals: { id: 103, type: 'string', entity: 'lead' },
+  CF_104_project_pipelines: { id: 104, type: 'string', entity: 'lead' },
+  CF_105_do_not_contact: { id: 105, type: 'boolean', entity: 'lead' },
+  CF_106_technology_stack: { id: 106, type: 'string', entity: 'lead' },
+  CF_107_revenue_range: { id: 107, type: 'string', entity: 'lead' },
+  CF_108_employee_count_range: { id: 108, type: 'string', entity: 'lead' },
+  CF_109_management_level: { id: 109, type: 'string', entity: 'lead' },
+  CF_110_department_function: { id: 110, type: 'string', entity: 'lead' },
+  CF_111_intent_signals: { id: 111, type: 'string', entity: 'lead' },
+  CF_112_company_founded_year: { id: 112, type: 'integer', entity: 'lead' },
+  CF_113_location_hq: { id: 113, type: 'string', entity: 'lead' },
+  CF_114_lead_fit_score: { id: 114, type: 'integer', entity: 'lead' },
+  CF_115_score_breakdown: { id: 115, type: 'string', entity: 'lead' },
+  CF_116_consent_source: { id: CONSENT_FIELDS.CF_116_consent_source, type: 'string', entity: 'lead' },
+  CF_117_lawful_basis: { id: CONSENT_FIELDS.CF_117_lawful_basis, type: 'string', entity: 'lead' },
+  CF_118_consent_timestamp: { id: CONSENT_FIELDS.CF_118_consent_timestamp, type: 'datetime', entity: 'lead' },
+  CF_119_consent_jurisdiction: { id: CONSENT_FIELDS.CF_119_consent_jurisdiction, type: 'string', entity: 'lead' },
+  CF_120_confidence_score: { id: 120, type: 'integer', entity: 'lead' },
+  CF_121_company_size: { id: 121, type: 'integer', entity: 'lead' },
+  CF_122_industry: { id: 122, type: 'string', entity: 'lead' },
+  CF_123_funding_status: { id: 123, type: 'string', entity: 'lead' },
+  CF_124_intent_strength: { id: 124, type: 'string', entity: 'lead' },
+  CF_125_engagement_score: { id: 125, type: 'integer', entity: 'lead' },
+  CF_126_data_freshness: { id: 126, type: 'date', entity: 'lead' },
+  CF_127_contact_reachability: { id: 127, type: 'string', entity: 'lead' },
+  CF_201_pain_points: { id: 201, type: 'string', entity: 'prospect' },
+  CF_202_qualified_services: { id: 202, type: 'string', entity: 'prospect' },
+  CF_203_decision_maker: { id: 203, type: 'string', entity: 'prospect' },
+  CF_204_budget_range: { id: 204, type: 'string', entity: 'prospect' },
+  CF_205_timeframe: { id: 205, type: 'string', entity: 'prospect' },
+  CF_206_fit_score: { id: 206, type: 'integer', entity: 'prospect' },
+  CF_207_promoted_from_lead: { id: 207, type: 'string', entity: 'prospect' },
+  CF_301_products_services: { id: 301, type: 'string', entity: 'opportunity' },
+  CF_302_quotes_proposals: { id: 302, type: 'string', entity: 'opportunity' },
+  CF_303_competitors: { id: 303, type: 'string', entity: 'opportunity' },
+  CF_304_win_loss_reason: { id: 304, type: 'string', entity: 'opportunity' },
+  CF_305_promoted_from_prospect: { id: 305, type: 'string', entity: 'opportunity' },
+  CF_401_contact_consent_source: { id: 401, type: 'string', entity: 'contact' },
+  CF_402_contact_lawful_basis: { id: 402, type: 'string', entity: 'contact' },
+  CF_403_contact_consent_timestamp: { id: 403, type: 'datetime', entity: 'contact' },
+  CF_404_contact_consent_jurisdiction: { id: 404, type: 'string', entity: 'contact' }
+};
+
+/**
+ * The catalog entries for some field names, e.g. the ones one integrator writes
+ */
+function pickFields(names) {
+  const catalog = {};
+  for (const name of names) {
+    if (!CUSTOM_FIELD_CATALOG[name]) throw new Error(`Unknown custom field ${name}`);
+    catalog[name] = { ...CUSTOM_FIELD_CATALOG[name] };
+  }
+  return catalog;
+}
+
+module.exports = {
+  CUSTOM_FIELD_CATALOG,
+  pickFields
+};
@@ -0,0 +1,303 @@
+/**
+ * Custom Field Resolver
+ * Integrators refer to HaloPSA custom fields by logical name ("CF_114_lead_fit_score"); the
+ * resolver maps those names to the tenant's real field IDs and types, read from HaloPSA's field
+ * metadata (GET /api/FieldInfo), and coerces values to the field's type before they are written.
+ *
+ * A catalog lists the fields an integrator uses, with the ID and type it assumes
+ * (lib/custom-field-catalog.js), and any earlier names the field went by:
+ *   { CF_114_lead_fit_score: { id: 114, type: 'integer', entity: 'lead', aliases: [...] }, ... }
+ * A field is found by an ID set in config, else by name ("CFLeadFitScore", label "Lead Fit
+ * Score"), else by its catalog ID when HaloPSA's field there has no name of its own. Fields
+ * found none of these ways are reported as missing and keep their catalog ID, unless a
+ * differently named field has that ID: then they are not written at all. With fail_on_missing,
+ * load() throws instead. When the metadata cannot be read the catalog IDs are used as they
+ * are, or the `fallback_ids` given for fields whose catalog ID a tenant may still use for
+ * something else, and the next load() tries again.
+ */
+
+// HaloPSA FieldInfo `type`; text fields (0) narrow it with `inputtype`
+const HALO_FIELD_TYPES = { 0: 'string', 1: 'string', 2: 'select', 3: 'select', 4: 'date', 5: 'string', 6: 'boolean' };
+const HALO_TEXT_INPUT_TYPES = { 1: 'integer', 2: 'number', 4: 'number' };
+// The other way round, for creating fields (lib/provisioner.js); lists and objects go in memo fields
+const HALO_TYPE_CODES = {
+  string: { type: 0 },
+  integer: { type: 0, inputtype: 1 },
+  number: { type: 0, inputtype: 4 },
+  boolean: { type: 6 },
+  date: { type: 4 },
+  datetime: { type: 4 },
+  select: { type: 2 },
+  array: { type: 1 },
+  object: { type: 1 }
+};
+
+const FIELD_TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'datetime', 'select', 'array', 'object'];
+
+class CustomFieldError extends Error {
+  constructor(missing) {
+    super(`HaloPSA custom fields not found: ${missing.join(', ')}`);
+    this.name = 'CustomFieldError';
+    this.missing = missing;
+  }
+}
+
+/**
+ * "CF_114_lead_fit_score" -> "cf114leadfitscore"
+ */
+function normalize(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Keys a logical name may appear under in HaloPSA: as written, without its number, without "CF"
+ */
+function nameCandidates(name) {
+  const words = String(name).replace(/^CF_?\d*_?/i, '');
+  return [normalize(name), `cf${normalize(words)}`, normalize(words)];
+}
+
+function isTruthy(value) {
+  return value === true || value === 1 || ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+class CustomFieldResolver {
+  /**
+   * @param {object} halo - lib/halo-entities.js HaloEntityApi
+   * @param {object} catalog - { <logical name>: { id, type, entity } }
+   * @param {object} [options] - { overrides: { <name>: id | { id, type } }, fallback_ids: { <name>: id }
+   *   used until metadata has loaded, fail_on_missing, logger }
+   */
+  constructor(halo, catalog, options = {}) {
+    this.halo = halo;
+    this.logger = options.logger || console;
+    this.failOnMissing = options.fail_on_missing || false;
+    this.fallbackIds = options.fallback_ids || {};
+    this.catalog = {};
+    for (const [name, field] of Object.entries(catalog)) {
+      const override = options.overrides?.[name];
+      this.catalog[name] = {
+        ...field,
+        ...(typeof override === 'object' ? override : override !== undefined && { id: override }),
+        configured: override !== undefined
+      };
+    }
+    const unknownTypes = Object.entries(this.catalog).filter(([, field]) => field.type && !FIELD_TYPES.includes(field.type));
+    if (unknownTypes.length > 0) {
+      throw new Error(`Unknown custom field types: ${unknownTypes.map(([name, field]) => `${name} (${field.type})`).join(', ')}`);
+    }
+
+    this.resolved = {};
+    this.missing = [];
+    this.conflicts = {};
+    this.loaded = false;
+    this.loading = null;
+  }
+
+  /**
+   * Read the tenant's field definitions once; resolves with { resolved, missing }
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.halo.fieldInfo.all()
+        .then(definitions => this.resolve(definitions))
+        .catch(error => {
+          if (error instanceof CustomFieldError) throw error;
+          this.loading = null; // Try again next time
+          this.logger.warn(`[CustomFields] Could not read HaloPSA field metadata, using configured IDs: ${error.message}`);
+          return { resolved: this.resolved, missing: this.missing };
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Match every catalog field against HaloPSA's definitions and keep the result
+   */
+  resolve(definitions) {
+    const { resolved, missing, conflicts } = this.match(definitions);
+    this.resolved = resolved;
+    this.missing = missing;
+    this.conflicts = conflicts;
+    this.loaded = true;
+
+    if (this.missing.length > 0) {
+      if (this.failOnMissing) throw new CustomFieldError(this.missing);
+      for (const name of this.missing) {
+        const id = this.catalog[name].id;
+        this.logger.warn(conflicts[name]
+          ? `[CustomFields] ${name} not found in HaloPSA; ID ${id} is "${conflicts[name]}", so ${name} is not written`
+          : `[CustomFields] ${name} not found in HaloPSA, writing to ID ${id}`);
+      }
+    }
+    return { resolved: this.resolved, missing: this.missing };
+  }
+
+  /**
+   * { resolved: { <name>: { id, type, halo_name } }, missing: [names], conflicts: { <name>: HaloPSA
+   * name at its catalog ID } } for a set of definitions
+   */
+  match(definitions) {
+    const byId = new Map(definitions.map(definition => [Number(definition.id), definition]));
+    const byName = new Map();
+    for (const definition of definitions) {
+      for (const key of [normalize(definition.name), normalize(definition.label)]) {
+        if (key && !byName.has(key)) byName.set(key, definition);
+      }
+    }
+
+    const resolved = {};
+    const missing = [];
+    const conflicts = {};
+    for (const [name, field] of Object.entries(this.catalog)) {
+      let definition = field.configured
+        ? byId.get(Number(field.id))
+        : [name, ...(field.aliases || [])].flatMap(nameCandidates).map(key => byName.get(key)).find(Boolean);
+
+      // The catalog ID alone only counts when nothing else is called by it
+      const atCatalogId = !field.configured && !definition && byId.get(Number(field.id));
+      if (atCatalogId) {
+        if (atCatalogId.name || atCatalogId.label) {
+          conflicts[name] = atCatalogId.name || atCatalogId.label;
+        } else {
+          definition = atCatalogId;
+        }
+      }
+
+      if (!definition) {
+        missing.push(name);
+        continue;
+      }
+      resolved[name] = {
+        id: Number(definition.id),
+        type: this.haloType(definition, field.type) || field.type || 'string',
+        halo_name: definition.name
+      };
+    }
+    return { resolved, missing, conflicts };
+  }
+
+  /**
+   * The FieldInfo record that creates a catalog field: "CF_114_lead_fit_score" becomes
+   * CFLeadFitScore, labelled "Lead Fit Score" unless the catalog has a label
+   */
+  haloDefinition(name) {
+    const field = this.catalog[name];
+    const words = String(name).replace(/^CF_?\d*_?/i, '').split('_').filter(Boolean)
+      .map(word => word[0].toUpperCase() + word.slice(1));
+    return {
+      name: `CF${words.join('')}`,
+      label: field.label || words.join(' '),
+      ...HALO_TYPE_CODES[field.type || 'string']
+    };
+  }
+
+  /**
+   * The field's type per HaloPSA; a date field the catalog expects a timestamp in stays a datetime
+   */
+  haloType(definition, catalogType) {
+    const type = HALO_FIELD_TYPES[definition.type];
+    if (type === 'string' && Number(definition.type) === 0) {
+      return HALO_TEXT_INPUT_TYPES[definition.inputtype] || type;
+    }
+    return type === 'date' && catalogType === 'datetime' ? catalogType : type;
+  }
+
+  /**
+   * Field ID for a logical name (the fallback or catalog ID until load() has found the real one);
+   * undefined when that ID belongs to another HaloPSA field
+   */
+  id(name) {
+    if (this.conflicts[name]) return undefined;
+    const field = this.catalog[name];
+    if (!this.loaded && field && !field.configured && this.fallbackIds[name] !== undefined) {
+      return this.fallbackIds[name];
+    }
+    return this.resolved[name]?.id ?? field?.id;
+  }
+
+  type(name) {
+    return this.resolved[name]?.type || this.catalog[name]?.type || 'string';
+  }
+
+  /**
+   * Field ID for a logical name or a catalog ID, e.g. from a list of IDs in older configs
+   */
+  idOf(ref) {
+    if (this.catalog[ref]) return this.id(ref);
+    const name = Object.keys(this.catalog).find(candidate => this.catalog[candidate].id === Number(ref));
+    return name ? this.id(name) : Number(ref);
+  }
+
+  /**
+   * Logical name -> field ID, grouped by the catalog's `entity`; fields that are not written are left out
+   */
+  mappings() {
+    const mappings = {};
+    for (const [name, field] of Object.entries(this.catalog)) {
+      const entity = field.entity || 'default';
+      mappings[entity] = mappings[entity] || {};
+      if (this.id(name) !== undefined) mappings[entity][name] = this.id(name);
+    }
+    return mappings;
+  }
+
+  /**
+   * A value converted to what the field stores; null and undefined become ''
+   */
+  coerce(name, value) {
+    if (value === null || value === undefined) return '';
+
+    switch (this.type(name)) {
+      case 'integer':
+      case 'number': {
+        if (value === '') return '';
+        const number = Number(value);
+        if (!Number.isFinite(number)) return '';
+        return this.type(name) === 'integer' ? Math.round(number) : number;
+      }
+      case 'boolean':
+        return isTruthy(value);
+      case 'date':
+      case 'datetime': {
+        if (value === '') return '';
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        return this.type(name) === 'date' ? date.toISOString().split('T')[0] : date.toISOString();
+      }
+      case 'select':
+        return value;
+      default:
+        if (Array.isArray(value)) return value.join(', ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+  }
+
+  /**
+   * { <logical name>: value } as a HaloPSA customfields array; names without an ID are left out
+   */
+  toCustomFields(values) {
+    return Object.entries(values)
+      .filter(([name]) => this.id(name) !== undefined)
+      .map(([name, value]) => ({ id: this.id(name), name, value: this.coerce(name, value) }));
+  }
+
+  /**
+   * A field's value on a HaloPSA record, found by ID, else by logical or HaloPSA name
+   */
+  valueOf(record, name) {
+    const id = this.id(name);
+    const names = [name, this.resolved[name]?.halo_name].filter(Boolean);
+    const field = record?.customfields?.find(cf => (id !== undefined && Number(cf.id) === Number(id)))
+      || record?.customfields?.find(cf => names.includes(cf.name));
+    return field?.value;
+  }
+}
+
+module.exports = {
+  CustomFieldResolver,
+  CustomFieldError,
+  FIELD_TYPES,
+  HALO_TYPE_CODES
+};
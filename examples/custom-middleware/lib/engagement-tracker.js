@@ -0,0 +1,192 @@
+/**
+ * Time-Decayed Engagement Tracker
+ * Engagement events are stored per lead as a time series and scored with exponential
+ * half-life decay, so a lead that clicked twice a year ago is no longer "hot".
+ * Every rescore is appended to a per-lead score history for trend reporting.
+ *
+ * Kept in a lib/state-store store:
+ *   engagement:events    "<lead id>" -> [{ type, at, count }]
+ *   engagement:counters  "<lead id>" -> last cumulative counters seen from the source
+ *   engagement:history   "<lead id>" -> [{ at, score, previous, reason }]
+ *
+ * Options (the `scoring.engagement_decay` config block):
+ *   half_life_days   days for an event's points to halve (default 30)
+ *   event_points     { <event type>: points } at full strength
+ *   max_score        cap on the decayed total (default 100)
+ *   retention_days   events older than this are pruned (default 365)
+ *   cold_threshold   a lead that falls below this from at or above it has gone cold (default 20)
+ *   history_limit    history entries kept per lead (default 100)
+ */
+
+const EVENTS_NAMESPACE = 'engagement:events';
+const COUNTERS_NAMESPACE = 'engagement:counters';
+const HISTORY_NAMESPACE = 'engagement:history';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  half_life_days: 30,
+  event_points: {
+    emails_opened: 2,
+    emails_clicked: 5,
+    emails_replied: 10,
+    calls_connected: 15,
+    meetings_scheduled: 25
+  },
+  max_score: 100,
+  retention_days: 365,
+  cold_threshold: 20,
+  history_limit: 100
+};
+
+class EngagementTracker {
+  /**
+   * @param {object} store - lib/state-store store
+   * @param {object} [options] - see module comment
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      event_points: { ...DEFAULT_OPTIONS.event_points, ...options.event_points }
+    };
+    if (!(this.options.half_life_days > 0)) {
+      throw new Error('engagement_decay.half_life_days must be greater than 0');
+    }
+  }
+
+  /**
+   * Append events ({ type, at, count }) to a lead's time series
+   */
+  async recordEvents(leadId, events) {
+    const cutoff = Date.now() - this.options.retention_days * DAY_MS;
+    const existing = (await this.store.get(EVENTS_NAMESPACE, String(leadId))) || [];
+    const incoming = events
+      .filter(event => event.type && (event.count ?? 1) > 0)
+      .map(event => ({
+        type: event.type,
+        at: new Date(event.at || Date.now()).toISOString(),
+        count: event.count ?? 1
+      }));
+
+    const series = [...existing, ...incoming]
+      .filter(event => Date.parse(event.at) >= cutoff)
+      .sort((a, b) => a.at.localeCompare(b.at));
+    await this.store.set(EVENTS_NAMESPACE, String(leadId), series);
+    return incoming;
+  }
+
+  /**
+   * Turn cumulative counters (e.g. Apollo engagement_metrics) into events: only the
+   * increase since the last counters seen for this lead is recorded, timestamped `at`.
+   */
+  async recordCounters(leadId, counters = {}, at = new Date()) {
+    const previous = (await this.store.get(COUNTERS_NAMESPACE, String(leadId))) || {};
+    const events = [];
+
+    for (const [type, value] of Object.entries(counters)) {
+      const count = Number(value) || 0;
+      const delta = count - (Number(previous[type]) || 0);
+      if (delta > 0) events.push({ type, at, count: delta });
+    }
+
+    await this.store.set(COUNTERS_NAMESPACE, String(leadId), { ...previous, ...counters });
+    return this.recordEvents(leadId, events);
+  }
+
+  /**
+   * Decayed score as of `now`: { score, by_type: { <type>: points } }
+   */
+  async score(leadId, now = Date.now()) {
+    const series = (await this.store.get(EVENTS_NAMESPACE, String(leadId))) || [];
+    const byType = {};
+    let total = 0;
+
+    for (const event of series) {
+      const points = this.options.event_points[event.type];
+      if (!points) continue;
+      const ageDays = Math.max(0, (now - Date.parse(event.at)) / DAY_MS);
+      const decayed = points * event.count * Math.pow(0.5, ageDays / this.options.half_life_days);
+      byType[event.type] = (byType[event.type] || 0) + decayed;
+      total += decayed;
+    }
+
+    for (const type of Object.keys(byType)) {
+      byType[type] = Math.round(byType[type] * 10) / 10;
+    }
+    return { score: Math.round(Math.min(total, this.options.max_score)), by_type: byType };
+  }
+
+  /**
+   * Rescore one lead and append to its history when the score moved (or on the first score).
+   * Returns { lead_id, score, previous, change, went_cold, by_type }
+   */
+  async rescore(leadId, reason = 'recompute', now = Date.now()) {
+    const { score, by_type: byType } = await this.score(leadId, now);
+    const history = (await this.store.get(HISTORY_NAMESPACE, String(leadId))) || [];
+    const previous = history.length > 0 ? history[history.length - 1].score : null;
+
+    if (previous !== score) {
+      history.push({ at: new Date(now).toISOString(), score, previous, reason });
+      await this.store.set(HISTORY_NAMESPACE, String(leadId), history.slice(-this.options.history_limit));
+    }
+
+    return {
+      lead_id: leadId,
+      score,
+      previous,
+      change: previous === null ? null : score - previous,
+      went_cold: previous !== null && previous >= this.options.cold_threshold && score < this.options.cold_threshold,
+      by_type: byType
+    };
+  }
+
+  /**
+   * Rescore every lead with recorded events; the scheduled decay job
+   */
+  async recomputeAll(now = Date.now()) {
+    const results = [];
+    for (const leadId of Object.keys(await this.store.list(EVENTS_NAMESPACE))) {
+      results.push(await this.rescore(leadId, 'recompute', now));
+    }
+    return results;
+  }
+
+  async getHistory(leadId) {
+    return (await this.store.get(HISTORY_NAMESPACE, String(leadId))) || [];
+  }
+
+  /**
+   * Score change over the last `days`: { score, baseline, change, direction }
+   */
+  async getTrend(leadId, days = 30, now = Date.now()) {
+    const history = await this.getHistory(leadId);
+    if (history.length === 0) return { score: null, baseline: null, change: null, direction: 'unknown' };
+
+    const since = now - days * DAY_MS;
+    const current = history[history.length - 1].score;
+    // Score in effect at the start of the window, else the oldest one inside it
+    const before = history.filter(entry => Date.parse(entry.at) <= since).pop();
+    const baseline = before ? before.score : history[0].score;
+    const change = current - baseline;
+
+    return {
+      score: current,
+      baseline,
+      change,
+      direction: change > 0 ? 'rising' : change < 0 ? 'falling' : 'flat'
+    };
+  }
+
+  /**
+   * Drop everything stored for a lead
+   */
+  async forget(leadId) {
+    await this.store.delete(EVENTS_NAMESPACE, String(leadId));
+    await this.store.delete(COUNTERS_NAMESPACE, String(leadId));
+    await this.store.delete(HISTORY_NAMESPACE, String(leadId));
+  }
+}
+
+module.exports = EngagementTracker;
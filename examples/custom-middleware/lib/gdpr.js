@@ -0,0 +1,177 @@
+/**
+ * GDPR Erasure and Retention Support
+ * The pieces integrators share for right-to-be-forgotten requests and retention purges
+ * (the `gdpr_config` block of schemas/hg-data-config.json, extended):
+ *   right_to_be_forgotten   accept erasure requests (default true)
+ *   retention_period_days   enrichment older than this is purged (default 2555); a source's
+ *                           own gdpr_config.retention_period_days takes precedence
+ *   erasure_mode            "anonymise" (blank personal data, keep the record) or "delete"
+ *   purge_interval_hours    how often the retention purge runs (default 24)
+ *   audit_log_path          hash-chained audit log (default ./data/gdpr-audit.log)
+ *   scrub_paths             log files and directories the subject's identifiers are removed from
+ *
+ * The audit log is append-only JSON lines; every entry carries the hash of the one before it,
+ * so editing or removing an entry breaks verify(). Data subjects are recorded by a hash of
+ * their email, never the email itself.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { stableStringify } = require('./sync-cursor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GENESIS_HASH = '0'.repeat(64);
+const ERASED = '[erased]';
+
+const DEFAULT_GDPR_CONFIG = {
+  right_to_be_forgotten: true,
+  retention_period_days: 2555,
+  erasure_mode: 'anonymise',
+  purge_interval_hours: 24,
+  audit_log_path: './data/gdpr-audit.log',
+  scrub_paths: ['./apollo-halo-integration.log', './data/webhook-inbox']
+};
+
+/**
+ * gdpr_config with defaults; in multi-tenant mode each tenant keeps its own audit log
+ */
+function resolveGdprConfig(options = {}, tenant = null) {
+  const config = { ...DEFAULT_GDPR_CONFIG, ...options };
+  if (tenant && !options?.audit_log_path) config.audit_log_path = `./data/tenants/${tenant}/gdpr-audit.log`;
+  if (!['anonymise', 'delete'].includes(config.erasure_mode)) {
+    throw new Error(`gdpr_config.erasure_mode must be "anonymise" or "delete", got "${config.erasure_mode}"`);
+  }
+  return config;
+}
+
+/**
+ * Stable pseudonym for a data subject, safe to keep in audit entries
+ */
+function subjectId(email) {
+  return `sha256:${crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex')}`;
+}
+
+function retentionCutoff(days, now = Date.now()) {
+  return now - days * DAY_MS;
+}
+
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(`${entry.prev_hash}${stableStringify(entry)}`).digest('hex');
+}
+
+class GdprAuditLog {
+  constructor(filePath = DEFAULT_GDPR_CONFIG.audit_log_path) {
+    this.filePath = path.resolve(filePath);
+    this.head = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async entries() {
+    try {
+      const contents = await fs.promises.readFile(this.filePath, 'utf8');
+      return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry chained to the previous one. Resolves with the stored entry.
+   */
+  append(action, details = {}) {
+    const result = this.writeQueue.catch(() => {}).then(async () => {
+      if (!this.head) {
+        const last = (await this.entries()).pop();
+        this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+      }
+
+      const entry = {
+        seq: this.head.seq + 1,
+        at: new Date().toISOString(),
+        action,
+        ...details,
+        prev_hash: this.head.hash
+      };
+      entry.hash = hashEntry(entry);
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      this.head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    });
+    this.writeQueue = result;
+    return result;
+  }
+
+  /**
+   * Recompute the chain: { valid, entries, head, broken_at } (broken_at is the first bad seq).
+   * Keep `head` somewhere else too if truncation of the newest entries must be detectable.
+   */
+  async verify() {
+    const entries = await this.entries();
+    let prevHash = GENESIS_HASH;
+
+    for (const [index, entry] of entries.entries()) {
+      const { hash, ...rest } = entry;
+      if (entry.seq !== index + 1 || entry.prev_hash !== prevHash || hashEntry(rest) !== hash) {
+        return { valid: false, entries: entries.length, head: null, broken_at: entry.seq ?? index + 1 };
+      }
+      prevHash = hash;
+    }
+    return { valid: true, entries: entries.length, head: prevHash, broken_at: null };
+  }
+}
+
+async function listFiles(target) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(target);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  if (stats.isFile()) return [target];
+  if (!stats.isDirectory()) return [];
+
+  const files = [];
+  for (const name of await fs.promises.readdir(target)) {
+    files.push(...(await listFiles(path.join(target, name))));
+  }
+  return files;
+}
+
+/**
+ * Replace every occurrence of the identifiers (case-insensitive) in the files under `paths`
+ * with "[erased]". Files are rewritten in place so loggers holding them open keep appending.
+ * Resolves with the files that changed.
+ */
+async function scrubFiles(paths = [], identifiers = []) {
+  const values = identifiers.filter(value => value && String(value).trim().length >= 3);
+  if (values.length === 0) return [];
+
+  const pattern = new RegExp(values.map(value => String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+  const changed = [];
+  for (const target of paths) {
+    for (const file of await listFiles(path.resolve(target))) {
+      const contents = await fs.promises.readFile(file, 'utf8');
+      const scrubbed = contents.replace(pattern, ERASED);
+      if (scrubbed !== contents) {
+        await fs.promises.writeFile(file, scrubbed);
+        changed.push(file);
+      }
+    }
+  }
+  return changed;
+}
+
+module.exports = {
+  GdprAuditLog,
+  resolveGdprConfig,
+  subjectId,
+  retentionCutoff,
+  scrubFiles,
+  DEFAULT_GDPR_CONFIG,
+  ERASED
+};
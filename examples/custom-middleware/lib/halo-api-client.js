@@ -0,0 +1,165 @@
+/**
+ * HaloPSA API Client
+ * Shared authenticated HTTP client used by every integrator:
+ * - OAuth2 client-credentials grant against the tenant token URL
+ * - Token caching with refresh ahead of expiry
+ * - Single retry with a fresh token when HaloPSA answers 401
+ * - Per-tenant rate limiting via lib/rate-limiter
+ */
+
+const axios = require('axios');
+const { defaultRateLimiter } = require('./rate-limiter');
+
+// Defaults mirror api_config.authentication.oauth in schemas/halopsa-api-config.json
+const DEFAULT_TOKEN_URL = '/auth/token';
+const DEFAULT_SCOPE = 'all';
+const DEFAULT_REFRESH_MARGIN_SECONDS = 60;
+
+class HaloApiClient {
+  constructor(config) {
+    const oauth = config.authentication?.oauth || config;
+
+    if (!config.base_url) {
+      throw new Error('HaloPSA base_url is required');
+    }
+    if (!oauth.client_id || !oauth.client_secret) {
+      throw new Error('HaloPSA client_id and client_secret are required');
+    }
+
+    // Existing configs use both the tenant root and the /api root as base_url
+    this.baseUrl = config.base_url.replace(/\/+$/, '').replace(/\/api$/i, '');
+    this.apiBaseUrl = `${this.baseUrl}/api`;
+    this.authBaseUrl = (config.auth_base_url || this.baseUrl).replace(/\/+$/, '');
+    this.clientId = oauth.client_id;
+    this.clientSecret = oauth.client_secret;
+    this.tokenUrl = this.resolveUrl(oauth.token_url || DEFAULT_TOKEN_URL);
+    this.scope = oauth.scope || DEFAULT_SCOPE;
+    this.tenant = config.tenant || null; // Only needed for Halo-hosted multi-tenant auth
+    this.refreshMarginMs = (config.token_refresh_margin_seconds ?? DEFAULT_REFRESH_MARGIN_SECONDS) * 1000;
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingTokenRequest = null;
+
+    this.http = axios.create({
+      baseURL: this.apiBaseUrl,
+      timeout: config.timeout_ms || 30000,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    this.http.interceptors.request.use(async (request) => {
+      const token = await this.getAccessToken();
+      request.headers = request.headers || {};
+      request.headers.Authorization = `Bearer ${token}`;
+      return request;
+    });
+
+    this.http.interceptors.response.use(null, async (error) => {
+      const request = error.config;
+
+      // Token revoked or expired early on the server side: refresh once and replay
+      if (error.response?.status === 401 && request && !request._haloAuthRetried) {
+        request._haloAuthRetried = true;
+        this.invalidateToken();
+        return this.http.request(request);
+      }
+
+      throw error;
+    });
+
+    // Every tenant gets its own HaloPSA quota (rate_limiting block of halopsa-api-config.json).
+    // Attached last so requests wait for a slot before the token is read (axios runs
+    // request interceptors in reverse order of registration).
+    this.rateLimiter = config.rate_limiter || defaultRateLimiter;
+    this.rateLimitKey = config.rate_limit_key || this.tenant || new URL(this.baseUrl).host;
+    this.rateLimiter.configure('halopsa', config.rate_limiting, this.rateLimitKey);
+    this.rateLimiter.attach(this.http, 'halopsa', this.rateLimitKey);
+  }
+
+  /**
+   * Return a cached access token, requesting a new one when missing or close to expiry
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - this.refreshMarginMs) {
+      return this.accessToken;
+    }
+
+    // Collapse concurrent refreshes into a single token request
+    if (!this.pendingTokenRequest) {
+      this.pendingTokenRequest = this.requestToken().finally(() => {
+        this.pendingTokenRequest = null;
+      });
+    }
+
+    return this.pendingTokenRequest;
+  }
+
+  /**
+   * Perform the client-credentials grant
+   */
+  async requestToken() {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      scope: this.scope
+    });
+
+    try {
+      // Plain axios so the token call bypasses the auth interceptors above
+      const response = await axios.post(this.tokenUrl, body.toString(), {
+        params: this.tenant ? { tenant: this.tenant } : undefined,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      const { access_token: accessToken, expires_in: expiresIn } = response.data;
+      if (!accessToken) {
+        throw new Error('Token response did not contain an access_token');
+      }
+
+      this.accessToken = accessToken;
+      this.expiresAt = Date.now() + (Number(expiresIn) || 3600) * 1000;
+      return this.accessToken;
+    } catch (error) {
+      this.invalidateToken();
+      const detail = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw new Error(`HaloPSA authentication failed: ${detail}`);
+    }
+  }
+
+  invalidateToken() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+  }
+
+  resolveUrl(url) {
+    return /^https?:\/\//.test(url) ? url : `${this.authBaseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  /**
+   * HTTP helpers - paths are relative to the /api root and resolve with the raw axios response
+   */
+  request(options) {
+    return this.http.request(options);
+  }
+
+  get(path, options = {}) {
+    return this.http.get(path, options);
+  }
+
+  post(path, data, options = {}) {
+    return this.http.post(path, data, options);
+  }
+
+  put(path, data, options = {}) {
+    return this.http.put(path, data, options);
+  }
+
+  delete(path, options = {}) {
+    return this.http.delete(path, options);
+  }
+}
+
+module.exports = HaloApiClient;
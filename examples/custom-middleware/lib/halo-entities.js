@@ -0,0 +1,251 @@
+/**
+ * HaloPSA Entity API
+ * Single place that knows HaloPSA REST paths and payload envelopes:
+ * - Tickets (and the Lead/Prospect ticket types layered on top of them)
+ * - Clients, Sites, Users (contacts), Opportunities, Actions, Lists and Statuses
+ * - Ticket types and field metadata (custom field definitions)
+ *
+ * Writes follow the HaloPSA convention of POSTing an array of records to the
+ * collection endpoint; a record carrying an `id` is treated as an update.
+ * Endpoints per docs/custom-crm-configuration.md "API Endpoint Mapping".
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+
+const ENTITY_DEFINITIONS = {
+  tickets: { path: '/Tickets', collection: 'tickets' },
+  clients: { path: '/Client', collection: 'clients' },
+  sites: { path: '/Site', collection: 'sites' },
+  users: { path: '/Users', collection: 'users' },
+  opportunities: { path: '/Opportunities', collection: 'opportunities' },
+  actions: { path: '/Actions', collection: 'actions' },
+  lists: { path: '/Lists', collection: 'lists' },
+  statuses: { path: '/Status', collection: 'statuses' },
+  fieldInfo: { path: '/FieldInfo', collection: 'fields' },
+  ticketTypes: { path: '/TicketType', collection: 'tickettypes' }
+};
+
+class HaloEntityResource {
+  constructor(client, definition) {
+    this.client = client;
+    this.path = definition.path;
+    this.collection = definition.collection;
+  }
+
+  /**
+   * Fetch one page of records - resolves with { records, record_count }
+   * (record_count is null when HaloPSA did not report a total)
+   */
+  async list(params = {}) {
+    const response = await this.client.get(this.path, { params });
+    return this.unwrapList(response.data);
+  }
+
+  /**
+   * Walk every page of a list query, yielding one record at a time.
+   * Break out of the `for await` loop (or set max_records) to stop early.
+   */
+  async *iterate(params = {}, options = {}) {
+    const pageSize = options.page_size || params.page_size || DEFAULT_PAGE_SIZE;
+    const maxRecords = options.max_records ?? Infinity;
+    let pageNo = params.page_no || 1;
+    let yielded = 0;
+    let seen = 0;
+
+    while (yielded < maxRecords) {
+      const page = await this.list({
+        ...params,
+        pageinate: true, // HaloPSA's own spelling of the paging flag
+        page_size: pageSize,
+        page_no: pageNo
+      });
+
+      for (const record of page.records) {
+        if (yielded >= maxRecords) return;
+        yielded++;
+        yield record;
+      }
+
+      seen += page.records.length;
+      if (page.records.length < pageSize) return;
+      if (page.record_count !== null && seen >= page.record_count) return;
+      pageNo++;
+    }
+  }
+
+  /**
+   * Collect every matching record into an array. Use this rather than iterate()
+   * when the loop body changes records out of the filtered set (e.g. status
+   * changes), otherwise later pages shift and records get skipped.
+   */
+  async all(params = {}, options = {}) {
+    const records = [];
+    for await (const record of this.iterate(params, options)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Return the first record satisfying `predicate`, fetching further pages only as needed
+   */
+  async find(params = {}, predicate = () => true) {
+    for await (const record of this.iterate(params)) {
+      if (predicate(record)) return record;
+    }
+    return null;
+  }
+
+  async get(id, params = {}) {
+    const response = await this.client.get(`${this.path}/${id}`, { params });
+    return response.data;
+  }
+
+  /**
+   * Create or update several records in one request
+   */
+  async save(records) {
+    const payload = records.map(record => this.normalizePayload(record));
+    const response = await this.client.post(this.path, payload);
+    return this.unwrapSaved(response.data);
+  }
+
+  async create(record) {
+    const [saved] = await this.save([record]);
+    return saved;
+  }
+
+  async update(id, changes) {
+    const [saved] = await this.save([{ ...changes, id }]);
+    return saved;
+  }
+
+  async delete(id) {
+    await this.client.delete(`${this.path}/${id}`);
+  }
+
+  normalizePayload(record) {
+    return record;
+  }
+
+  unwrapList(data) {
+    if (Array.isArray(data)) {
+      return { records: data, record_count: null };
+    }
+
+    return {
+      records: data?.[this.collection] || [],
+      record_count: data?.record_count ?? null
+    };
+  }
+
+  unwrapSaved(data) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data?.[this.collection])) return data[this.collection];
+    return [data];
+  }
+}
+
+class HaloTicketResource extends HaloEntityResource {
+  normalizePayload(record) {
+    // Older integrators used ticket_type_id; HaloPSA only understands tickettype_id
+    const { ticket_type_id: legacyTypeId, ...ticket } = record;
+    if (legacyTypeId !== undefined && ticket.tickettype_id === undefined) {
+      ticket.tickettype_id = legacyTypeId;
+    }
+    return ticket;
+  }
+}
+
+/**
+ * Tickets restricted to one ticket type (Leads, Prospects)
+ */
+class HaloTicketTypeResource extends HaloTicketResource {
+  constructor(client, ticketTypeId) {
+    super(client, ENTITY_DEFINITIONS.tickets);
+    this.ticketTypeId = ticketTypeId;
+  }
+
+  list(params = {}) {
+    // iterate(), all() and find() go through list(), so they inherit the type filter
+    return super.list({ tickettype_id: this.ticketTypeId, ...params });
+  }
+
+  normalizePayload(record) {
+    const ticket = super.normalizePayload(record);
+    // Only stamp the type on new tickets so updates never silently re-type a record
+    if (ticket.id === undefined && ticket.tickettype_id === undefined) {
+      ticket.tickettype_id = this.ticketTypeId;
+    }
+    return ticket;
+  }
+}
+
+class HaloListResource extends HaloEntityResource {
+  async addItem(listId, item) {
+    const response = await this.client.post(`${this.path}/${listId}/items`, item);
+    return response.data;
+  }
+
+  async removeItem(listId, itemId) {
+    await this.client.delete(`${this.path}/${listId}/items/${itemId}`);
+  }
+}
+
+class HaloEntityApi {
+  constructor(client, options = {}) {
+    this.client = client;
+
+    this.tickets = new HaloTicketResource(client, ENTITY_DEFINITIONS.tickets);
+    this.leads = new HaloTicketTypeResource(client, options.lead_ticket_type_id || 1);
+    this.prospects = new HaloTicketTypeResource(client, options.prospect_ticket_type_id || 2);
+    this.clients = new HaloEntityResource(client, ENTITY_DEFINITIONS.clients);
+    this.sites = new HaloEntityResource(client, ENTITY_DEFINITIONS.sites);
+    this.users = new HaloEntityResource(client, ENTITY_DEFINITIONS.users);
+    this.contacts = this.users; // HaloPSA models contacts as Users
+    this.opportunities = new HaloTicketResource(client, ENTITY_DEFINITIONS.opportunities);
+    this.actions = new HaloEntityResource(client, ENTITY_DEFINITIONS.actions);
+    this.lists = new HaloListResource(client, ENTITY_DEFINITIONS.lists);
+    this.statuses = new HaloEntityResource(client, ENTITY_DEFINITIONS.statuses);
+    this.fieldInfo = new HaloEntityResource(client, ENTITY_DEFINITIONS.fieldInfo);
+    this.ticketTypes = new HaloEntityResource(client, ENTITY_DEFINITIONS.ticketTypes);
+  }
+
+  /**
+   * Set one or more custom fields on a ticket without touching anything else
+   */
+  async updateTicketCustomFields(ticketId, customfields) {
+    return this.tickets.update(ticketId, { customfields });
+  }
+
+  /**
+   * Record a private note against a ticket
+   */
+  async addTicketNote(ticketId, note, outcome = 'Integration Note') {
+    return this.actions.create({
+      ticket_id: ticketId,
+      outcome,
+      note,
+      hiddenfromuser: true
+    });
+  }
+
+  /**
+   * Add a paragraph to a client's or user's notes, keeping whatever is already there
+   * @param {string} resource - 'clients' or 'users'
+   */
+  async appendNotes(resource, id, text) {
+    const record = await this[resource].get(id);
+    const notes = record?.notes ? `${record.notes}\n\n${text}` : text;
+    return this[resource].update(id, { notes });
+  }
+}
+
+module.exports = {
+  HaloEntityApi,
+  HaloEntityResource,
+  HaloTicketResource,
+  HaloTicketTypeResource,
+  HaloListResource,
+  ENTITY_DEFINITIONS
+};
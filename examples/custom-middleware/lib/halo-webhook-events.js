@@ -0,0 +1,54 @@
+/**
+ * HaloPSA Outbound Webhook Events
+ * Reads HaloPSA's own webhooks (tickets.updated, tickets.custom_field_changed,
+ * opportunities.updated; see halopsa_enhanced_webhooks in schemas/webhook-payloads.json)
+ * into the changes bi-directional sync acts on:
+ *   { event_type, entity_type, entity_id, ticket_type, tickettype_id, do_not_contact, status }
+ * entity_type is "ticket" or "opportunity"; ticket_type is "lead", "prospect" or null when
+ * the payload does not say. do_not_contact is true only when the flag was switched on, and
+ * status is { from, to } when the status changed.
+ */
+
+const DEFAULT_DNC_FIELD_ID = 105;
+
+function isTruthy(value) {
+  return value === true || value === 1 || ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * @param {object} payload - HaloPSA webhook body
+ * @param {object} [options] - { dnc_field_id } (default 105)
+ */
+function readHaloChange(payload, options = {}) {
+  const data = payload?.data || {};
+  const changes = payload?.changes || {};
+  const dncFieldId = options.dnc_field_id || DEFAULT_DNC_FIELD_ID;
+  const eventType = payload?.event_type || payload?.event || '';
+
+  const isOpportunity = data.entity_type === 'opportunity' || eventType.startsWith('opportunities.');
+
+  // Custom field changes arrive either as a named key or in the customfields array
+  const dncChange = changes.CF_105_do_not_contact ||
+    changes[`CF_${dncFieldId}_do_not_contact`] ||
+    (changes.customfields || []).find(field => Number(field.id) === Number(dncFieldId));
+
+  const statusChange = changes.status_id;
+  const status = statusChange && statusChange.new_value !== undefined && statusChange.new_value !== statusChange.old_value
+    ? { from: statusChange.old_value ?? null, to: statusChange.new_value }
+    : null;
+
+  return {
+    event_type: eventType,
+    entity_type: isOpportunity ? 'opportunity' : 'ticket',
+    entity_id: data.entity_id ?? data.id ?? null,
+    ticket_type: ['lead', 'prospect'].includes(data.ticket_type) ? data.ticket_type : null,
+    tickettype_id: data.tickettype_id ?? changes.tickettype_id?.new_value ?? null,
+    do_not_contact: Boolean(dncChange && isTruthy(dncChange.new_value) && !isTruthy(dncChange.old_value)),
+    status
+  };
+}
+
+module.exports = {
+  readHaloChange,
+  DEFAULT_DNC_FIELD_ID
+};
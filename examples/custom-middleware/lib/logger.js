@@ -0,0 +1,254 @@
+/**
+ * Structured Logger
+ * The winston setup every integrator and the webhook gateway log through: one JSON object per
+ * line, with personal data and credentials masked before anything reaches a transport.
+ * Configured by the `logging` block of schemas/environment-config.json:
+ *   level           winston level (default LOG_LEVEL or "info")
+ *   file_path       JSON-lines log file, "" for none (default LOG_FILE or ./apollo-halo-integration.log)
+ *   max_file_size   rotate the file at this size, e.g. "10MB" (default 10MB)
+ *   max_files       rotated files kept (default 5)
+ *   console         also log to stdout (default true)
+ *   json_format     false prints readable console lines instead of JSON; the file is always JSON
+ *   redact          emails   "mask" (j***@acme.com), "hash" (email#3f2a9c1b7d4e@acme.com), "remove" or false
+ *                   phones   "mask" (***42), "hash", "remove" or false
+ *                   secrets  replace API keys, tokens, passwords and Authorization values (default true)
+ *                   fields   extra keys whose values are always replaced, e.g. ["first_name", "last_name"]
+ *
+ * Lines logged inside withCorrelationId() carry that `correlation_id`, so everything one poll
+ * run or webhook event logged - across integrators and lib modules - can be pulled back together.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+const REDACTED = '[redacted]';
+const MODES = ['mask', 'hash', 'remove', false];
+const MAX_DEPTH = 8;
+
+const DEFAULT_LOGGING = {
+  level: process.env.LOG_LEVEL || 'info',
+  file_path: process.env.LOG_FILE || './apollo-halo-integration.log',
+  max_file_size: '10MB',
+  max_files: 5,
+  console: true,
+  json_format: true,
+  redact: { emails: 'mask', phones: 'mask', secrets: true, fields: [] }
+};
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+// Values under these keys are credentials whatever they look like
+const SECRET_KEY = /api[_-]?key|apikey|access[_-]?token|refresh[_-]?token|^token$|secret|password|authorization|signature|cookie/i;
+const PHONE_KEY = /phone|mobile|fax/i;
+// Log metadata that is never personal data; left alone so timestamps and IDs stay readable
+const PASSTHROUGH_KEYS = ['level', 'timestamp', 'correlation_id', 'service', 'tenant'];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@([a-z0-9-]+\.)+[a-z]{2,}/gi;
+// International (+44 20 7946 0958) or bracketed area code ((555) 123-4567); bare digit runs are
+// left alone so record IDs and dates survive
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d[\d\s().-]{6,}\d|\(\d{2,5}\)\s?\d[\d\s.-]{4,}\d)/g;
+const INLINE_SECRETS = [
+  /(\bBearer\s+)[\w.~+/-]+=*/gi,
+  /(\b(?:api[_-]?key|apikey|access_token|token|secret|password)=)[^&\s"']+/gi
+];
+
+const correlation = new AsyncLocalStorage();
+
+/**
+ * Run fn with a correlation ID attached to every line logged while it (and anything it awaits)
+ * runs. Pass null to keep the surrounding ID, or get a fresh one outside any. Returns fn's result.
+ */
+function withCorrelationId(id, fn) {
+  return correlation.run({ correlation_id: id || getCorrelationId() || crypto.randomUUID() }, fn);
+}
+
+function getCorrelationId() {
+  return correlation.getStore()?.correlation_id || null;
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+}
+
+function maskEmail(email, mode) {
+  const [local, domain] = email.split('@');
+  switch (mode) {
+    case 'mask': return `${local[0]}***@${domain}`;
+    case 'hash': return `email#${digest(email.toLowerCase())}@${domain.toLowerCase()}`;
+    default: return '[email]';
+  }
+}
+
+function maskPhone(phone, mode) {
+  const digits = phone.replace(/\D/g, '');
+  switch (mode) {
+    case 'mask': return digits.length > 2 ? `***${digits.slice(-2)}` : '***';
+    case 'hash': return `phone#${digest(digits.replace(/^00/, ''))}`;
+    default: return '[phone]';
+  }
+}
+
+class Redactor {
+  /**
+   * @param {object} [options] - the `logging.redact` block
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_LOGGING.redact, ...options };
+    for (const key of ['emails', 'phones']) {
+      if (!MODES.includes(this.options[key])) {
+        throw new Error(`logging.redact.${key} must be "mask", "hash", "remove" or false, got "${this.options[key]}"`);
+      }
+    }
+    this.fields = new Set((this.options.fields || []).map(field => String(field).toLowerCase()));
+  }
+
+  text(value) {
+    let text = value;
+    if (this.options.secrets) {
+      for (const pattern of INLINE_SECRETS) text = text.replace(pattern, `$1${REDACTED}`);
+    }
+    if (this.options.emails) {
+      text = text.replace(EMAIL_PATTERN, email => maskEmail(email, this.options.emails));
+    }
+    if (this.options.phones) {
+      text = text.replace(PHONE_PATTERN, phone => maskPhone(phone, this.options.phones));
+    }
+    return text;
+  }
+
+  /**
+   * Copy of value with personal data and credentials masked; key is the property it was found under
+   */
+  value(value, key = '', depth = 0, seen = new WeakSet()) {
+    if (value === null || value === undefined || typeof value === 'boolean') return value;
+
+    const name = String(key).toLowerCase();
+    if (this.fields.has(name) || (this.options.secrets && SECRET_KEY.test(name))) {
+      return typeof value === 'object' && Object.keys(value).length === 0 ? value : REDACTED;
+    }
+
+    if (typeof value === 'string') {
+      // A phone field holds one number, in whatever format the source used
+      if (this.options.phones && PHONE_KEY.test(name) && /\d{4,}/.test(value.replace(/\D/g, ''))) {
+        return maskPhone(value, this.options.phones);
+      }
+      return this.text(value);
+    }
+    if (typeof value === 'number' && this.options.phones && PHONE_KEY.test(name) && Math.abs(value) >= 1000000) {
+      return maskPhone(String(value), this.options.phones);
+    }
+    if (typeof value !== 'object' || value instanceof Date) return value;
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+
+    if (seen.has(value)) return '[circular]';
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.value(item, key, depth + 1, seen));
+    }
+    const copy = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      copy[childKey] = this.value(child, childKey, depth + 1, seen);
+    }
+    if (value instanceof Error) {
+      copy.message = this.text(value.message);
+      if (value.stack) copy.stack = this.text(value.stack);
+    }
+    return copy;
+  }
+
+  /**
+   * winston format; mutates the info object in place, as winston expects
+   */
+  format() {
+    return winston.format(info => {
+      for (const key of Object.keys(info)) {
+        if (!PASSTHROUGH_KEYS.includes(key)) info[key] = this.value(info[key], key);
+      }
+      return info;
+    })();
+  }
+}
+
+const addCorrelationId = winston.format(info => {
+  const id = getCorrelationId();
+  if (id && !info.correlation_id) info.correlation_id = id;
+  return info;
+});
+
+function parseSize(size) {
+  if (typeof size === 'number') return size;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(size));
+  if (!match) throw new Error(`logging.max_file_size must look like "10MB", got "${size}"`);
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+function resolveLoggingConfig(options = {}) {
+  // An unset option (e.g. a missing legacy logLevel) keeps the default
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return {
+    ...DEFAULT_LOGGING,
+    ...given,
+    redact: { ...DEFAULT_LOGGING.redact, ...given.redact }
+  };
+}
+
+// Integrators with the same logging config share one winston instance and file handle
+const loggers = new Map();
+
+/**
+ * Shared winston logger for a `logging` config block
+ * @param {object} [options] - the `logging` block, plus `service` and `tenant` (added to every line)
+ */
+function createLogger(options = {}) {
+  const { service, tenant, ...settings } = resolveLoggingConfig(options);
+  const key = JSON.stringify(settings);
+
+  if (!loggers.has(key)) {
+    const redactor = new Redactor(settings.redact);
+    const format = winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      addCorrelationId(),
+      redactor.format(),
+      winston.format.json()
+    );
+
+    const transports = [];
+    if (settings.file_path) {
+      transports.push(new winston.transports.File({
+        filename: settings.file_path,
+        maxsize: parseSize(settings.max_file_size),
+        maxFiles: settings.max_files
+      }));
+    }
+    if (settings.console && settings.json_format === false) {
+      transports.push(new winston.transports.Console({
+        format: winston.format.printf(({ timestamp, level, message, correlation_id: id, service: name, tenant }) =>
+          `${timestamp} ${level}${name ? ` [${name}${tenant ? `@${tenant}` : ''}]` : ''}${id ? ` (${id})` : ''} ${message}`)
+      }));
+    } else if (settings.console) {
+      transports.push(new winston.transports.Console());
+    }
+    if (transports.length === 0) {
+      transports.push(new winston.transports.Console({ silent: true }));
+    }
+
+    loggers.set(key, winston.createLogger({ level: settings.level, format, transports }));
+  }
+
+  const logger = loggers.get(key);
+  const meta = { ...(service && { service }), ...(tenant && { tenant }) };
+  return Object.keys(meta).length > 0 ? logger.child(meta) : logger;
+}
+
+module.exports = {
+  createLogger,
+  withCorrelationId,
+  getCorrelationId,
+  Redactor,
+  resolveLoggingConfig,
+  DEFAULT_LOGGING,
+  REDACTED
+};
@@ -0,0 +1,67 @@
+/**
+ * Poll Scheduler
+ * Calls integrator poll methods on an interval, from the `schedules` config block:
+ *   [{ "integrator": "workflow", "method": "poll", "interval_minutes": 15 }, ...]
+ * In multi-tenant mode (lib/tenants.js) each run goes through the tenants one after another,
+ * calling that tenant's own instance. A run still going when the next is due is skipped
+ * rather than overlapped, and one tenant failing is logged without stopping the others.
+ */
+
+const { createLogger } = require('./logger');
+
+class PollScheduler {
+  /**
+   * @param {Array} jobs - [{ integrator, method, interval_minutes, run_on_start }]
+   * @param {object} options - { resolve(integrator, tenant) -> instance, tenants: [ids], logger }
+   */
+  constructor(jobs = [], options = {}) {
+    this.jobs = jobs.map(job => ({ ...job, running: false, timer: null }));
+    this.resolve = options.resolve;
+    this.tenants = options.tenants?.length ? options.tenants : [null];
+    this.logger = options.logger || createLogger({ service: 'poll-scheduler' });
+  }
+
+  start() {
+    for (const job of this.jobs) {
+      job.timer = setInterval(() => this.runJob(job), job.interval_minutes * 60 * 1000);
+      if (job.run_on_start) this.runJob(job);
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+
+  /**
+   * One run of a job across every tenant: [{ tenant, status, result | error, duration_ms }]
+   */
+  async runJob(job) {
+    if (job.running) {
+      this.logger.warn(`[Scheduler] ${job.integrator}.${job.method}() still running, skipping this run`);
+      return [];
+    }
+
+    job.running = true;
+    const results = [];
+    try {
+      for (const tenant of this.tenants) {
+        const startedAt = Date.now();
+        try {
+          const result = await this.resolve(job.integrator, tenant)[job.method]();
+          results.push({ tenant, status: 'ok', result, duration_ms: Date.now() - startedAt });
+        } catch (error) {
+          this.logger.error(`[Scheduler] ${job.integrator}.${job.method}() failed`, { tenant, error: error.message });
+          results.push({ tenant, status: 'error', error: error.message, duration_ms: Date.now() - startedAt });
+        }
+      }
+    } finally {
+      job.running = false;
+    }
+    return results;
+  }
+}
+
+module.exports = { PollScheduler };
@@ -0,0 +1,198 @@
+/**
+ * HaloPSA Provisioner
+ * Sets a tenant up for the workflow integrator: the Lead and Prospect ticket types, every status
+ * in workflow_settings.entity_types (the default pipeline when none are configured) and the
+ * custom fields the integrator writes (lib/custom-fields.js).
+ *
+ * plan() compares that with what the tenant has; apply() creates only what is missing, so a
+ * second run creates nothing. resolvedWorkflowSettings() is the workflow_settings block with the
+ * IDs that were found or created, ready to be written back into config.
+ *
+ * Ticket types and statuses are matched by name, then by a configured ID (the default pipeline's
+ * IDs are only placeholders, so they never match on their own). Custom fields are matched the
+ * way the resolver matches them, falling back to the name they would be created under.
+ */
+
+const { DEFAULT_ENTITY_TYPES } = require('./workflow-engine');
+
+const ENTITY_TYPES = ['lead', 'prospect', 'opportunity'];
+const TICKET_TYPE_NAMES = { lead: 'Lead', prospect: 'Prospect', opportunity: 'Opportunity' };
+
+// Plan sections in the order they are created, with the HaloEntityApi resource behind each
+const SECTIONS = {
+  ticket_types: { resource: 'ticketTypes', label: 'ticket type' },
+  statuses: { resource: 'statuses', label: 'status' },
+  custom_fields: { resource: 'fieldInfo', label: 'custom field' }
+};
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+class HaloProvisioner {
+  /**
+   * @param {object} halo - lib/halo-entities.js HaloEntityApi
+   * @param {object} [options] - { entity_types, custom_fields: CustomFieldResolver, logger }
+   */
+  constructor(halo, options = {}) {
+    this.halo = halo;
+    this.configured = Boolean(options.entity_types);
+    this.entityTypes = options.entity_types || DEFAULT_ENTITY_TYPES;
+    this.customFields = options.custom_fields || null;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * { ticket_types, statuses, custom_fields }, each a list of
+   * { key, entity_type, name, id, action: 'exists' | 'create', record }
+   */
+  async plan() {
+    const ticketTypes = await this.halo.ticketTypes.all();
+    const statuses = await this.halo.statuses.all();
+    const fields = this.customFields ? await this.halo.fieldInfo.all() : [];
+
+    return {
+      ticket_types: this.planTicketTypes(ticketTypes),
+      statuses: this.planStatuses(statuses),
+      custom_fields: this.planCustomFields(fields)
+    };
+  }
+
+  planTicketTypes(existing) {
+    return ENTITY_TYPES
+      // Opportunities live in the Opportunities API unless configured as tickets
+      .filter(entityType => entityType !== 'opportunity' || this.entityTypes.opportunity?.use_opportunities_api === false)
+      .map(entityType => {
+        const name = TICKET_TYPE_NAMES[entityType];
+        const match = existing.find(type => sameName(type.name, name)) ||
+          this.findConfigured(existing, this.entityTypes[entityType]?.ticket_type_id);
+        return this.item(entityType, entityType, name, match, { name });
+      });
+  }
+
+  planStatuses(existing) {
+    const items = [];
+    for (const entityType of ENTITY_TYPES) {
+      for (const [key, status] of Object.entries(this.entityTypes[entityType]?.statuses || {})) {
+        const match = existing.find(candidate => sameName(candidate.name, status.name)) ||
+          this.findConfigured(existing, status.id);
+        items.push(this.item(key, entityType, status.name, match, { name: status.name }));
+      }
+    }
+    return items;
+  }
+
+  planCustomFields(definitions) {
+    if (!this.customFields) return [];
+    const { resolved } = this.customFields.match(definitions);
+
+    return Object.entries(this.customFields.catalog).map(([name, field]) => {
+      const record = this.customFields.haloDefinition(name);
+      // A configured ID that no longer exists must not lead to a second copy of the field
+      const match = resolved[name] ? { id: resolved[name].id, name: resolved[name].halo_name }
+        : definitions.find(definition => sameName(definition.name, record.name) || sameName(definition.label, record.label));
+      return this.item(name, field.entity, name, match, record);
+    });
+  }
+
+  /**
+   * A configured ID that exists in HaloPSA; never a placeholder ID from the default pipeline
+   */
+  findConfigured(existing, id) {
+    if (!this.configured || !id) return null;
+    return existing.find(candidate => Number(candidate.id) === Number(id)) || null;
+  }
+
+  item(key, entityType, name, match, record) {
+    return {
+      key,
+      entity_type: entityType,
+      name,
+      id: match ? Number(match.id) : null,
+      ...(match && !sameName(match.name, name) && { halo_name: match.name }),
+      action: match ? 'exists' : 'create',
+      record
+    };
+  }
+
+  /**
+   * Create everything the plan marks `create`, in order, filling in the new IDs. A failed
+   * create is marked `failed` and the rest carry on; running again retries just those.
+   */
+  async apply(plan) {
+    for (const [section, { resource, label }] of Object.entries(SECTIONS)) {
+      for (const item of plan[section] || []) {
+        if (item.action !== 'create') continue;
+        try {
+          const created = await this.halo[resource].create(item.record);
+          item.id = Number(created.id);
+          item.action = 'created';
+          this.logger.info(`[Provision] Created ${label} "${item.record.name}" (#${item.id})`);
+        } catch (error) {
+          item.action = 'failed';
+          item.error = error.message;
+          this.logger.error(`[Provision] Could not create ${label} "${item.record.name}"`, { error: error.message });
+        }
+      }
+    }
+    return plan;
+  }
+
+  /**
+   * workflow_settings with the plan's IDs: entity types, statuses and the custom_fields lists
+   */
+  resolvedWorkflowSettings(workflowConfig = {}, plan) {
+    const settings = workflowConfig.workflow_settings || {};
+    const find = (section, entityType, key) =>
+      plan[section].find(item => item.entity_type === entityType && item.key === key && item.id);
+
+    const entityTypes = {};
+    for (const entityType of ENTITY_TYPES) {
+      const definition = { ...this.entityTypes[entityType] };
+      const ticketType = find('ticket_types', entityType, entityType);
+      if (ticketType) definition.ticket_type_id = ticketType.id;
+
+      definition.statuses = {};
+      for (const [key, status] of Object.entries(this.entityTypes[entityType]?.statuses || {})) {
+        definition.statuses[key] = { ...status, id: find('statuses', entityType, key)?.id ?? status.id };
+      }
+      entityTypes[entityType] = definition;
+    }
+
+    // Configs that predate workflow_settings.custom_fields kept it directly under workflow
+    const customFields = { ...(settings.custom_fields || workflowConfig.custom_fields) };
+    for (const item of plan.custom_fields.filter(field => field.id)) {
+      const listKey = `${item.entity_type}_fields`;
+      const field = this.customFields.catalog[item.key];
+      const entry = { id: item.id, name: item.key, label: field.label || item.record.label, type: field.type || 'string' };
+      const list = (customFields[listKey] || []).filter(existing => existing.name !== item.key);
+      customFields[listKey] = [...list, entry];
+    }
+
+    return {
+      enabled: true,
+      ...settings,
+      entity_types: entityTypes,
+      ...(Object.keys(customFields).length > 0 && { custom_fields: customFields })
+    };
+  }
+}
+
+/**
+ * Counts per action across a plan, e.g. { exists: 30, create: 4 }
+ */
+function summarizePlan(plan) {
+  const summary = {};
+  for (const section of Object.keys(SECTIONS)) {
+    for (const item of plan[section] || []) {
+      summary[item.action] = (summary[item.action] || 0) + 1;
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  HaloProvisioner,
+  summarizePlan,
+  TICKET_TYPE_NAMES
+};
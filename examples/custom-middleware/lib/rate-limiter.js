@@ -0,0 +1,293 @@
+/**
+ * Outbound Rate Limiter
+ * Token buckets keyed per API and per tenant, enforcing the limits declared in the schemas:
+ * - halopsa-api-config.json: rate_limiting.requests_per_window / window_duration_minutes
+ * - <source>-config.json: rate_limit(s).requests_per_second|minute|hour|day and burst_limit
+ *
+ * Requests queue (FIFO) instead of failing, so a large backfill slows down rather than
+ * getting the API key throttled. 429 responses and Retry-After headers pause the bucket.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_TENANT = 'default';
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+const DEFAULT_MAX_429_RETRIES = 3;
+
+// Mirrors the defaults declared in schemas/*-config.json
+const DEFAULT_LIMITS = {
+  halopsa: { requests_per_window: 500, window_duration_minutes: 5, retry_after_seconds: 300 },
+  apollo: { requests_per_minute: 100, requests_per_day: 10000, burst_limit: 10 },
+  zoominfo: { requests_per_minute: 50, requests_per_day: 5000 },
+  hunter: { requests_per_second: 10, requests_per_minute: 25 },
+  klue: { requests_per_minute: 120, requests_per_hour: 2000 },
+  crayon: { requests_per_minute: 60, requests_per_hour: 1000 },
+  lusha: { requests_per_minute: 60 }
+};
+
+const WINDOW_MS = {
+  requests_per_second: 1000,
+  requests_per_minute: 60 * 1000,
+  requests_per_hour: 60 * 60 * 1000,
+  requests_per_day: 24 * 60 * 60 * 1000
+};
+
+class TokenBucket {
+  constructor(capacity, windowMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / windowMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until a token is available (0 when one is available now)
+   */
+  waitTime(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  /**
+   * True once the bucket has refilled completely, i.e. it is no different from a new one
+   */
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  drain() {
+    this.tokens = 0;
+    this.updatedAt = Date.now();
+  }
+}
+
+/**
+ * Turn a schema rate limit block into bucket specs: [{ capacity, windowMs }]
+ */
+function normalizeLimits(limits = {}) {
+  const specs = [];
+
+  if (limits.requests_per_window && limits.window_duration_minutes) {
+    specs.push({
+      capacity: limits.requests_per_window,
+      windowMs: limits.window_duration_minutes * 60 * 1000
+    });
+  }
+
+  for (const [key, windowMs] of Object.entries(WINDOW_MS)) {
+    if (limits[key]) {
+      specs.push({ capacity: limits[key], windowMs });
+    }
+  }
+
+  // burst_limit caps how many requests the tightest window may release at once
+  if (limits.burst_limit && specs.length > 0) {
+    const tightest = specs.reduce((a, b) => (a.windowMs <= b.windowMs ? a : b));
+    specs.push({
+      capacity: Math.min(limits.burst_limit, tightest.capacity),
+      windowMs: tightest.windowMs * Math.min(limits.burst_limit, tightest.capacity) / tightest.capacity
+    });
+  }
+
+  return specs;
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RateLimiter extends EventEmitter {
+  constructor(limitsByApi = {}) {
+    super();
+    this.limitsByApi = { ...DEFAULT_LIMITS, ...limitsByApi };
+    this.limitsByKey = {};
+    this.states = new Map();
+    this.tenantHandlers = new Map();
+  }
+
+  /**
+   * `throttled` / `backpressure` handlers for one tenant key's events only. `owner` (e.g. the
+   * integrator) registering the same key again replaces its handlers, so rebuilt per-tenant
+   * instances do not pile up listeners.
+   */
+  onTenant(tenant, owner, handlers) {
+    const key = tenant || DEFAULT_TENANT;
+    if (!this.tenantHandlers.has(key)) this.tenantHandlers.set(key, new Map());
+    this.tenantHandlers.get(key).set(owner, handlers);
+    return this;
+  }
+
+  notify(event, info) {
+    this.emit(event, info);
+    for (const handlers of this.tenantHandlers.get(info.tenant)?.values() || []) {
+      handlers[event]?.(info);
+    }
+  }
+
+  /**
+   * Override the limits for one API, or for one API within one tenant
+   */
+  configure(api, limits, tenant = null) {
+    if (!limits) return this;
+
+    if (tenant) {
+      this.limitsByKey[`${api}:${tenant}`] = limits;
+    } else {
+      this.limitsByApi[api] = { ...this.limitsByApi[api], ...limits };
+    }
+
+    // Rebuild affected buckets on next use
+    for (const [key, state] of this.states) {
+      if (state.api === api && (!tenant || state.tenant === tenant)) this.states.delete(key);
+    }
+    return this;
+  }
+
+  getState(api, tenant = DEFAULT_TENANT) {
+    const key = `${api}:${tenant}`;
+
+    if (!this.states.has(key)) {
+      const limits = { ...this.limitsByApi[api], ...this.limitsByKey[key] };
+      this.states.set(key, {
+        key,
+        api,
+        tenant,
+        limits,
+        buckets: normalizeLimits(limits).map(spec => new TokenBucket(spec.capacity, spec.windowMs)),
+        pausedUntil: 0,
+        queued: 0,
+        tail: Promise.resolve()
+      });
+    }
+
+    return this.states.get(key);
+  }
+
+  /**
+   * Wait for a request slot. Calls for the same key are served in order.
+   */
+  acquire(api, tenant = DEFAULT_TENANT) {
+    const state = this.getState(api, tenant);
+    state.queued++;
+
+    const slot = state.tail.then(() => this.waitForSlot(state));
+    state.tail = slot.catch(() => {});
+    return slot.finally(() => {
+      state.queued--;
+    });
+  }
+
+  async waitForSlot(state) {
+    for (;;) {
+      const now = Date.now();
+      const pauseWait = Math.max(0, state.pausedUntil - now);
+      const bucketWait = Math.max(0, ...state.buckets.map(bucket => bucket.waitTime(now)));
+      const waitMs = Math.max(pauseWait, bucketWait);
+
+      if (waitMs === 0) {
+        state.buckets.forEach(bucket => bucket.take());
+        return;
+      }
+
+      this.notify('backpressure', {
+        api: state.api,
+        tenant: state.tenant,
+        wait_ms: waitMs,
+        queued: state.queued,
+        paused: pauseWait > 0
+      });
+
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Stop releasing requests for a key, e.g. after a 429
+   */
+  pause(api, tenant = DEFAULT_TENANT, ms) {
+    const state = this.getState(api, tenant);
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+    state.buckets.forEach(bucket => bucket.drain());
+    this.notify('throttled', { api, tenant, retry_after_ms: ms });
+  }
+
+  /**
+   * Current back-pressure for a key, for logging and poll summaries
+   */
+  getBackpressure(api, tenant = DEFAULT_TENANT) {
+    const state = this.getState(api, tenant);
+    const now = Date.now();
+    return {
+      api,
+      tenant,
+      queued: state.queued,
+      paused_until: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+      wait_ms: Math.max(state.pausedUntil - now, 0, ...state.buckets.map(bucket => bucket.waitTime(now)))
+    };
+  }
+
+  /**
+   * Put the limiter in front of an axios instance: every request waits for a slot and
+   * 429s are retried after Retry-After (falling back to the configured retry_after_seconds)
+   */
+  attach(httpClient, api, tenant = DEFAULT_TENANT, options = {}) {
+    const maxRetries = options.max_429_retries ?? DEFAULT_MAX_429_RETRIES;
+
+    httpClient.interceptors.request.use(async (request) => {
+      await this.acquire(api, tenant);
+      return request;
+    });
+
+    httpClient.interceptors.response.use(null, async (error) => {
+      const request = error.config;
+      if (error.response?.status !== 429 || !request) {
+        throw error;
+      }
+
+      const state = this.getState(api, tenant);
+      const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']) ??
+        (state.limits.retry_after_seconds || DEFAULT_RETRY_AFTER_SECONDS) * 1000;
+      this.pause(api, tenant, retryAfterMs);
+
+      request._rateLimitRetries = (request._rateLimitRetries || 0) + 1;
+      if (request._rateLimitRetries > maxRetries) {
+        throw error;
+      }
+
+      return httpClient.request(request);
+    });
+
+    return httpClient;
+  }
+}
+
+// Process-wide limiter so every integrator instance shares the same buckets
+const defaultRateLimiter = new RateLimiter();
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  defaultRateLimiter,
+  normalizeLimits,
+  parseRetryAfter,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,157 @@
+/**
+ * Retry Policy and Circuit Breaker for B2B source fetchers
+ *
+ * Policies come from each source config's `error_handling` block (the same block
+ * klue-config.json and crayon-config.json already declare):
+ *   retry_attempts, initial_delay_ms, max_delay_ms, backoff_multiplier,
+ *   retryable_status_codes, circuit_breaker_threshold, circuit_breaker_reset_seconds
+ *
+ * 429s are not retried here: lib/rate-limiter already waits out Retry-After.
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  retry_attempts: 3,
+  initial_delay_ms: 1000,
+  max_delay_ms: 30000,
+  backoff_multiplier: 2,
+  retryable_status_codes: [408, 500, 502, 503, 504]
+};
+
+const DEFAULT_BREAKER_OPTIONS = {
+  circuit_breaker_threshold: 5,
+  circuit_breaker_reset_seconds: 300
+};
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit for ${name} is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+function resolveRetryPolicy(errorHandling = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...errorHandling };
+}
+
+function isRetryableError(error, policy) {
+  if (error instanceof CircuitOpenError) return false;
+
+  const status = error.response?.status;
+  if (status) return policy.retryable_status_codes.includes(status);
+
+  // No response at all: network failure or timeout
+  return RETRYABLE_NETWORK_CODES.includes(error.code) || Boolean(error.isAxiosError && error.request);
+}
+
+/**
+ * Exponential backoff with full jitter: random delay in [0, min(max, initial * multiplier^n)]
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(
+    policy.max_delay_ms,
+    policy.initial_delay_ms * Math.pow(policy.backoff_multiplier, attempt - 1)
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run `operation`, retrying retryable failures. `retry_attempts` counts retries after
+ * the first call, matching the schema wording.
+ */
+async function withRetry(operation, policy = DEFAULT_RETRY_POLICY, hooks = {}) {
+  const resolved = resolveRetryPolicy(policy);
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      attempt++;
+      if (attempt > resolved.retry_attempts || !isRetryableError(error, resolved)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt, resolved);
+      if (hooks.onRetry) hooks.onRetry(error, attempt, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Marks a source degraded after repeated failed runs and stops calling it until the
+ * reset timeout passes; the next call after that is a single half-open trial.
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    const resolved = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+    this.name = name;
+    this.threshold = resolved.circuit_breaker_threshold;
+    this.resetMs = resolved.circuit_breaker_reset_seconds * 1000;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  async execute(operation) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetMs) {
+        throw new CircuitOpenError(this.name, this.openedAt + this.resetMs);
+      }
+      this.state = 'half_open';
+    }
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      source: this.name,
+      health: this.state === 'closed' ? (this.consecutiveFailures > 0 ? 'failing' : 'healthy') : 'degraded',
+      circuit: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      last_error: this.lastError,
+      retry_at: this.state === 'open' ? new Date(this.openedAt + this.resetMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  withRetry,
+  CircuitBreaker,
+  CircuitOpenError,
+  resolveRetryPolicy,
+  isRetryableError,
+  backoffDelay,
+  DEFAULT_RETRY_POLICY
+};
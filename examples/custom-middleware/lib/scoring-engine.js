@@ -0,0 +1,233 @@
+/**
+ * Lead Scoring Engine
+ * Named scoring models whose factors, weights and caps come from the `scoring`
+ * section of the workflow config. Every score comes with a per-factor breakdown
+ * so a rep can see why a lead scored 82.
+ *
+ * A factor reads one field (dot path into the subject, e.g. "organization.industry")
+ * and awards points by type:
+ *   range   first matching { min, max, points } band
+ *   in      `points` when the value (or any array item) is one of `values`
+ *   map     `points_by_value[value]`
+ *   count   numeric value x `points_per`
+ *   exists  `points` when the field has any value
+ * Points are multiplied by `weight` (default 1) and limited by the factor `cap`;
+ * the total is limited to the model's max_score.
+ */
+
+const FACTOR_TYPES = ['range', 'in', 'map', 'count', 'exists'];
+
+// The scoring the integrators shipped with; used when no models are configured
+const DEFAULT_MODELS = {
+  fit_score: {
+    description: 'Ideal customer profile fit',
+    max_score: 100,
+    factors: [
+      {
+        name: 'company_size',
+        field: 'organization.estimated_num_employees',
+        type: 'range',
+        bands: [
+          { min: 50, max: 1000, points: 30 },
+          { min: 1001, points: 20 },
+          { min: 1, max: 49, points: 10 }
+        ]
+      },
+      { name: 'industry', field: 'organization.industry', type: 'in', values: [], points: 25 },
+      { name: 'seniority', field: 'person.seniority', type: 'in', values: ['senior', 'director', 'vp', 'c-level'], points: 20 },
+      { name: 'intent', field: 'organization.intent_strength', type: 'map', points_by_value: { high: 25, medium: 15, low: 5 } }
+    ]
+  },
+  engagement: {
+    description: 'Email, call and meeting activity',
+    max_score: 100,
+    factors: [
+      { name: 'emails_opened', field: 'engagement.emails_opened', type: 'count', points_per: 2 },
+      { name: 'emails_clicked', field: 'engagement.emails_clicked', type: 'count', points_per: 5 },
+      { name: 'emails_replied', field: 'engagement.emails_replied', type: 'count', points_per: 10 },
+      { name: 'calls_connected', field: 'engagement.calls_connected', type: 'count', points_per: 15 },
+      { name: 'meetings_scheduled', field: 'engagement.meetings_scheduled', type: 'count', points_per: 25 }
+    ]
+  }
+};
+
+class ScoringConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid scoring configuration:\n- ${problems.join('\n- ')}`);
+    this.name = 'ScoringConfigError';
+    this.problems = problems;
+  }
+}
+
+function getPath(subject, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), subject);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function describeBand(band) {
+  if (band.min !== undefined && band.max !== undefined) return `${band.min}-${band.max}`;
+  return band.min !== undefined ? `${band.min}+` : `up to ${band.max}`;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+class ScoringEngine {
+  /**
+   * @param {object} models - { <model name>: { description, max_score, factors[] } }
+   */
+  constructor(models) {
+    this.models = models;
+    this.validate();
+  }
+
+  /**
+   * Build from a `scoring` config section. Configured models replace the defaults of the
+   * same name; the older `weights` / `algorithms.fit_score.weights` and `target_industries`
+   * keys still tune the default fit_score model.
+   */
+  static fromConfig(scoringConfig = {}) {
+    const models = JSON.parse(JSON.stringify(DEFAULT_MODELS));
+    const legacyWeights = scoringConfig.algorithms?.fit_score?.weights || scoringConfig.weights || {};
+
+    for (const factor of models.fit_score.factors) {
+      if (legacyWeights[factor.name] !== undefined) factor.weight = legacyWeights[factor.name];
+      if (factor.name === 'industry') factor.values = scoringConfig.target_industries || [];
+    }
+
+    return new ScoringEngine({ ...models, ...scoringConfig.models });
+  }
+
+  validate() {
+    const problems = [];
+
+    for (const [name, model] of Object.entries(this.models)) {
+      if (!Array.isArray(model.factors) || model.factors.length === 0) {
+        problems.push(`${name}: needs at least one factor`);
+        continue;
+      }
+      model.factors.forEach((factor, index) => {
+        const label = `${name}.factors[${index}]${factor.name ? ` (${factor.name})` : ''}`;
+        if (!factor.name || !factor.field) problems.push(`${label}: needs a name and a field`);
+        if (!FACTOR_TYPES.includes(factor.type)) problems.push(`${label}: unknown type "${factor.type}"`);
+        if (factor.type === 'range' && !Array.isArray(factor.bands)) problems.push(`${label}: range factors need bands`);
+        if (factor.type === 'map' && typeof factor.points_by_value !== 'object') problems.push(`${label}: map factors need points_by_value`);
+        if (factor.type === 'count' && typeof factor.points_per !== 'number') problems.push(`${label}: count factors need points_per`);
+      });
+    }
+
+    if (problems.length > 0) throw new ScoringConfigError(problems);
+  }
+
+  hasModel(name) {
+    return Boolean(this.models[name]);
+  }
+
+  /**
+   * Score a subject with a named model.
+   * Returns { model, score, max_score, raw_score, breakdown: [{ factor, field, value, points, reason }] }
+   */
+  score(modelName, subject) {
+    const model = this.models[modelName];
+    if (!model) throw new Error(`Unknown scoring model: ${modelName}`);
+
+    const breakdown = model.factors.map(factor => this.scoreFactor(factor, subject));
+    const maxScore = model.max_score ?? 100;
+    const rawScore = round(breakdown.reduce((sum, entry) => sum + entry.points, 0));
+
+    return {
+      model: modelName,
+      score: Math.round(Math.max(0, Math.min(rawScore, maxScore))),
+      max_score: maxScore,
+      raw_score: rawScore,
+      breakdown
+    };
+  }
+
+  scoreFactor(factor, subject) {
+    const value = getPath(subject, factor.field);
+    const { points, reason } = this.evaluateFactor(factor, value);
+    const weight = factor.weight ?? 1;
+    let weighted = points * weight;
+    let capped = false;
+
+    if (factor.cap !== undefined && weighted > factor.cap) {
+      weighted = factor.cap;
+      capped = true;
+    }
+
+    return {
+      factor: factor.name,
+      field: factor.field,
+      value: value ?? null,
+      points: round(weighted),
+      reason: [
+        reason,
+        weight !== 1 && points !== 0 ? `weight ${weight}` : null,
+        capped ? `capped at ${factor.cap}` : null
+      ].filter(Boolean).join(', ')
+    };
+  }
+
+  evaluateFactor(factor, value) {
+    if (isEmpty(value)) {
+      return { points: 0, reason: 'no data' };
+    }
+
+    switch (factor.type) {
+      case 'range': {
+        const number = Number(value);
+        if (Number.isNaN(number)) return { points: 0, reason: `"${value}" is not a number` };
+        const band = factor.bands.find(b => (b.min === undefined || number >= b.min) && (b.max === undefined || number <= b.max));
+        if (!band) return { points: 0, reason: `${number} outside all bands` };
+        return { points: band.points, reason: band.label || `${number} in ${describeBand(band)}` };
+      }
+      case 'in': {
+        const targets = (factor.values || []).map(v => String(v).toLowerCase());
+        const match = [].concat(value).find(v => targets.includes(String(v).toLowerCase()));
+        return match !== undefined
+          ? { points: factor.points, reason: `${match} is a target value` }
+          : { points: 0, reason: `${[].concat(value).join(', ')} not targeted` };
+      }
+      case 'map': {
+        const key = Object.keys(factor.points_by_value).find(k => k.toLowerCase() === String(value).toLowerCase());
+        return key !== undefined
+          ? { points: factor.points_by_value[key], reason: String(value) }
+          : { points: 0, reason: `${value} not scored` };
+      }
+      case 'count': {
+        const count = Number(value) || 0;
+        return { points: count * factor.points_per, reason: `${count} x ${factor.points_per}` };
+      }
+      case 'exists':
+        return { points: factor.points, reason: 'present' };
+      default:
+        return { points: 0, reason: 'unknown factor type' };
+    }
+  }
+
+  /**
+   * Human-readable breakdown for a HaloPSA text field or note
+   */
+  formatBreakdown(...results) {
+    return results.map(result => {
+      const header = `${result.model}: ${result.score}/${result.max_score}` +
+        (result.raw_score > result.max_score ? ` (capped, raw ${result.raw_score})` : '');
+      const lines = result.breakdown.map(entry =>
+        `  ${entry.points >= 0 ? '+' : ''}${entry.points} ${entry.factor} (${entry.reason})`
+      );
+      return [header, ...lines].join('\n');
+    }).join('\n\n');
+  }
+}
+
+module.exports = {
+  ScoringEngine,
+  ScoringConfigError,
+  DEFAULT_MODELS
+};
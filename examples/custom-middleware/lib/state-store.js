@@ -0,0 +1,264 @@
+/**
+ * Integration State Store
+ * Small namespaced key/value store for state that must survive restarts
+ * (sync cursors, record hashes, ...). Values are plain JSON.
+ *
+ * - FileStateStore (default): one JSON file, written atomically
+ * - SqliteStateStore: single table, needs the optional `better-sqlite3` package
+ * - MemoryStateStore: nothing persisted, for dry runs
+ * - TenantStateStore: one tenant's view of any of the above (multi-tenant mode, lib/tenants.js)
+ *
+ * Anything exposing get/set/setMany/delete/list/clear can be passed in instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE_PATH = './data/integration-state.json';
+const DEFAULT_SQLITE_PATH = './data/integration-state.db';
+
+// One FileStateStore per file and process: integrators sharing a state file (e.g. the
+// suppression list) see each other's writes instead of overwriting them on flush
+const fileStores = new Map();
+
+class MemoryStateStore {
+  constructor() {
+    this.data = {};
+  }
+
+  async get(namespace, key) {
+    return this.data[namespace]?.[key] ?? null;
+  }
+
+  async set(namespace, key, value) {
+    return this.setMany(namespace, { [key]: value });
+  }
+
+  async setMany(namespace, entries) {
+    this.data[namespace] = { ...this.data[namespace], ...entries };
+  }
+
+  async delete(namespace, key) {
+    if (this.data[namespace]) delete this.data[namespace][key];
+  }
+
+  async list(namespace) {
+    return { ...this.data[namespace] };
+  }
+
+  async clear(namespace) {
+    delete this.data[namespace];
+  }
+}
+
+class FileStateStore extends MemoryStateStore {
+  constructor(filePath = DEFAULT_FILE_PATH) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises.readFile(this.filePath, 'utf8')
+        .then(contents => {
+          this.data = JSON.parse(contents);
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  async get(namespace, key) {
+    await this.load();
+    return super.get(namespace, key);
+  }
+
+  async setMany(namespace, entries) {
+    await this.load();
+    await super.setMany(namespace, entries);
+    return this.flush();
+  }
+
+  async delete(namespace, key) {
+    await this.load();
+    await super.delete(namespace, key);
+    return this.flush();
+  }
+
+  async list(namespace) {
+    await this.load();
+    return super.list(namespace);
+  }
+
+  async clear(namespace) {
+    await this.load();
+    await super.clear(namespace);
+    return this.flush();
+  }
+
+  /**
+   * Write the whole document to a temp file and rename it over the old one, so a
+   * crash mid-write never leaves a truncated state file. Writes are serialized.
+   */
+  flush() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+}
+
+class SqliteStateStore {
+  constructor(filePath = DEFAULT_SQLITE_PATH) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite state store requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS integration_state (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (namespace, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM integration_state WHERE namespace = ? AND key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO integration_state (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM integration_state WHERE namespace = ? AND key = ?'),
+      list: this.db.prepare('SELECT key, value FROM integration_state WHERE namespace = ?'),
+      clear: this.db.prepare('DELETE FROM integration_state WHERE namespace = ?')
+    };
+    this.setManyTransaction = this.db.transaction((namespace, entries) => {
+      const now = new Date().toISOString();
+      for (const [key, value] of Object.entries(entries)) {
+        this.statements.set.run(namespace, key, JSON.stringify(value), now);
+      }
+    });
+  }
+
+  async get(namespace, key) {
+    const row = this.statements.get.get(namespace, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(namespace, key, value) {
+    return this.setMany(namespace, { [key]: value });
+  }
+
+  async setMany(namespace, entries) {
+    this.setManyTransaction(namespace, entries);
+  }
+
+  async delete(namespace, key) {
+    this.statements.delete.run(namespace, key);
+  }
+
+  async list(namespace) {
+    const entries = {};
+    for (const row of this.statements.list.all(namespace)) {
+      entries[row.key] = JSON.parse(row.value);
+    }
+    return entries;
+  }
+
+  async clear(namespace) {
+    this.statements.clear.run(namespace);
+  }
+}
+
+/**
+ * Prefixes every namespace with the tenant ID, so tenants sharing a store never see each
+ * other's cursors, crosswalk links or suppression entries
+ */
+class TenantStateStore {
+  constructor(store, tenant) {
+    this.store = store;
+    this.tenant = tenant;
+  }
+
+  namespace(namespace) {
+    return `tenant:${this.tenant}:${namespace}`;
+  }
+
+  async get(namespace, key) {
+    return this.store.get(this.namespace(namespace), key);
+  }
+
+  async set(namespace, key, value) {
+    return this.store.set(this.namespace(namespace), key, value);
+  }
+
+  async setMany(namespace, entries) {
+    return this.store.setMany(this.namespace(namespace), entries);
+  }
+
+  async delete(namespace, key) {
+    return this.store.delete(this.namespace(namespace), key);
+  }
+
+  async list(namespace) {
+    return this.store.list(this.namespace(namespace));
+  }
+
+  async clear(namespace) {
+    return this.store.clear(this.namespace(namespace));
+  }
+}
+
+/**
+ * Build a store from a `state_store` config block ({ type, path }), falling back to
+ * STATE_STORE_TYPE / STATE_STORE_PATH. An existing store instance is returned as-is.
+ * With a tenant ID the store is scoped to that tenant.
+ */
+function createStateStore(options = {}, tenant = null) {
+  if (tenant) {
+    return new TenantStateStore(createStateStore(options), tenant);
+  }
+  if (options && typeof options.get === 'function') {
+    return options;
+  }
+
+  const type = options?.type || process.env.STATE_STORE_TYPE || 'file';
+  const filePath = options?.path || process.env.STATE_STORE_PATH;
+
+  switch (type) {
+    case 'file': {
+      const resolved = path.resolve(filePath || DEFAULT_FILE_PATH);
+      if (!fileStores.has(resolved)) fileStores.set(resolved, new FileStateStore(resolved));
+      return fileStores.get(resolved);
+    }
+    case 'sqlite':
+      return new SqliteStateStore(filePath || DEFAULT_SQLITE_PATH);
+    case 'memory':
+      return new MemoryStateStore();
+    default:
+      throw new Error(`Unknown state store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createStateStore,
+  FileStateStore,
+  SqliteStateStore,
+  MemoryStateStore,
+  TenantStateStore
+};
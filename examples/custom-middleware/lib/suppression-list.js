@@ -0,0 +1,213 @@
+/**
+ * Cross-Source Suppression List
+ * One Do-Not-Contact list for every integrator, keyed by email, phone and domain, so a
+ * person suppressed in HaloPSA or opted out in a sales tool is never re-created as a lead
+ * by another source. Kept in a lib/state-store store:
+ *   suppression  "<type>:<normalized value>" -> { type, value, reason, source, added_at, synced_to }
+ *
+ * Entries can also come from config (`suppression.emails`, `.phones`, `.domains`); those are
+ * matched but never stored or pushed.
+ *
+ * syncProviders() pushes stored entries to provider suppression endpoints (Apollo
+ * /contacts/suppress, Outreach prospect opt-out) and pulls Outreach opt-outs back in.
+ */
+
+const NAMESPACE = 'suppression';
+const TYPES = ['email', 'phone', 'domain'];
+
+function normalize(type, value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim().toLowerCase();
+
+  switch (type) {
+    case 'email':
+      return text.includes('@') ? text : null;
+    case 'phone': {
+      // Digits only; an international 00 prefix is the same number as +
+      const digits = text.replace(/\D/g, '').replace(/^00/, '');
+      return digits.length >= 7 ? digits : null;
+    }
+    case 'domain':
+      return text
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#:]/)[0] || null;
+    default:
+      throw new Error(`Unknown suppression type: ${type}`);
+  }
+}
+
+/**
+ * Everything to check for a contact: { email, phone | phones[], domain | website }.
+ * The email's domain is checked as well, so suppressing acme.com covers jane@acme.com.
+ */
+function contactKeys(contact = {}) {
+  const email = normalize('email', contact.email);
+  const keys = [];
+
+  if (email) keys.push({ type: 'email', value: email });
+  for (const phone of [].concat(contact.phones || [], contact.phone || [])) {
+    const value = normalize('phone', phone);
+    if (value) keys.push({ type: 'phone', value });
+  }
+  for (const domain of [contact.domain, contact.website, email && email.split('@')[1]]) {
+    const value = normalize('domain', domain);
+    if (value && !keys.some(key => key.type === 'domain' && key.value === value)) {
+      keys.push({ type: 'domain', value });
+    }
+  }
+  return keys;
+}
+
+// Provider adapters; each receives an axios client for that provider
+const PROVIDERS = {
+  apollo: {
+    types: ['email'],
+    push: (client, entry) => client.post('/contacts/suppress', {
+      email: entry.value,
+      reason: entry.reason,
+      source: 'halopsa_integration'
+    })
+  },
+  outreach: {
+    types: ['email'],
+    push: async (client, entry) => {
+      const { data } = await client.get('/prospects', { params: { 'filter[emails]': entry.value } });
+      for (const prospect of data.data || []) {
+        await client.patch(`/prospects/${prospect.id}`, {
+          data: { type: 'prospect', id: prospect.id, attributes: { optedOut: true } }
+        });
+      }
+    },
+    pull: async client => {
+      const emails = [];
+      let url = '/prospects';
+      let params = { 'filter[optedOut]': true, 'page[size]': 100 };
+      while (url) {
+        const { data } = await client.get(url, { params });
+        for (const prospect of data.data || []) {
+          emails.push(...[].concat(prospect.attributes?.emails || []));
+        }
+        url = data.links?.next || null;
+        params = undefined;
+      }
+      return emails.map(email => ({ email, reason: 'Opted out in Outreach' }));
+    }
+  }
+};
+
+class SuppressionList {
+  /**
+   * @param {object} store - lib/state-store store
+   * @param {object} [options] - { emails, phones, domains } configured entries
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.configured = new Map();
+    for (const [type, values] of [['email', options.emails], ['phone', options.phones], ['domain', options.domains]]) {
+      for (const value of values || []) {
+        const normalized = normalize(type, value);
+        if (normalized) {
+          this.configured.set(`${type}:${normalized}`, { type, value: normalized, reason: 'Configured suppression', source: 'config' });
+        }
+      }
+    }
+  }
+
+  /**
+   * Suppress a contact's email, phone and/or domain. Returns the entries that were new.
+   * @param {object} contact - { email, phone, domain }; only the given keys are suppressed
+   * @param {object} [meta] - { reason, source, synced_to: providers already told }
+   */
+  async add(contact, meta = {}) {
+    const added = [];
+    for (const type of TYPES) {
+      const value = normalize(type, contact[type]);
+      if (!value || (await this.store.get(NAMESPACE, `${type}:${value}`))) continue;
+
+      const entry = {
+        type,
+        value,
+        reason: meta.reason || 'Do Not Contact',
+        source: meta.source || 'halopsa',
+        added_at: new Date().toISOString(),
+        // A provider that reported the opt-out does not need it pushed back
+        synced_to: [...new Set([...(meta.synced_to || []), ...(PROVIDERS[meta.source] ? [meta.source] : [])])]
+      };
+      await this.store.set(NAMESPACE, `${type}:${value}`, entry);
+      added.push(entry);
+    }
+    return added;
+  }
+
+  async remove(type, value) {
+    const normalized = normalize(type, value);
+    if (normalized) await this.store.delete(NAMESPACE, `${type}:${normalized}`);
+  }
+
+  /**
+   * First matching suppression entry for a contact, or null
+   */
+  async check(contact) {
+    for (const key of contactKeys(contact)) {
+      const id = `${key.type}:${key.value}`;
+      const match = this.configured.get(id) || (await this.store.get(NAMESPACE, id));
+      if (match) return match;
+    }
+    return null;
+  }
+
+  async list(type = null) {
+    const entries = Object.values(await this.store.list(NAMESPACE));
+    return type ? entries.filter(entry => entry.type === type) : entries;
+  }
+
+  /**
+   * Push stored entries each provider has not seen yet, then pull provider opt-outs.
+   * @param {object} clients - { apollo: axiosInstance, outreach: axiosInstance }
+   * Returns { pushed: { provider: n }, pulled: { provider: n }, errors: [{ provider, value, error }] }
+   */
+  async syncProviders(clients = {}) {
+    const summary = { pushed: {}, pulled: {}, errors: [] };
+    const providers = Object.keys(clients).filter(name => clients[name] && PROVIDERS[name]);
+    const entries = await this.list();
+
+    for (const name of providers) {
+      const provider = PROVIDERS[name];
+      summary.pushed[name] = 0;
+
+      for (const entry of entries) {
+        if (!provider.types.includes(entry.type) || entry.synced_to.includes(name)) continue;
+        try {
+          await provider.push(clients[name], entry);
+          entry.synced_to.push(name);
+          await this.store.set(NAMESPACE, `${entry.type}:${entry.value}`, entry);
+          summary.pushed[name]++;
+        } catch (error) {
+          summary.errors.push({ provider: name, value: entry.value, error: error.message });
+        }
+      }
+
+      if (provider.pull) {
+        try {
+          const optOuts = await provider.pull(clients[name]);
+          let pulled = 0;
+          for (const optOut of optOuts) {
+            pulled += (await this.add({ email: optOut.email }, { reason: optOut.reason, source: name })).length;
+          }
+          summary.pulled[name] = pulled;
+        } catch (error) {
+          summary.errors.push({ provider: name, value: null, error: error.message });
+        }
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = {
+  SuppressionList,
+  normalizeSuppressionValue: normalize,
+  SUPPRESSION_PROVIDERS: PROVIDERS
+};
@@ -0,0 +1,167 @@
+/**
+ * Incremental Sync Cursor
+ * Per-source, per-entity high-water mark plus a content hash for every record seen,
+ * kept in a lib/state-store store:
+ *   cursors                   "<source>:<entity>" -> { high_water_mark, last_success_at, records_changed }
+ *   hashes:<source>:<entity>  "<record id>"       -> sha256 of the record
+ *
+ * Nothing is persisted until commit(), so a failed run resumes from the last
+ * successful cursor and its records are offered again on the next run.
+ */
+
+const crypto = require('crypto');
+
+const CURSOR_NAMESPACE = 'cursors';
+
+/**
+ * JSON with object keys sorted, so key order never changes a hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashRecord(record, ignoreFields = []) {
+  const content = { ...record };
+  ignoreFields.forEach(field => delete content[field]);
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+class SyncCursor {
+  /**
+   * @param {object} store - lib/state-store store
+   * @param {string} source - e.g. 'apollo'
+   * @param {string} entity - e.g. 'people'
+   * @param {object} [options] - { ignore_fields: fields left out of the hash (fetch timestamps etc.) }
+   */
+  constructor(store, source, entity, options = {}) {
+    this.store = store;
+    this.source = source;
+    this.entity = entity;
+    this.key = `${source}:${entity}`;
+    this.hashNamespace = `hashes:${this.key}`;
+    this.ignoreFields = options.ignore_fields || [];
+
+    this.state = null;
+    this.runStartedAt = null;
+    this.maxSeen = null;
+    this.staged = new Map();
+  }
+
+  /**
+   * Start a run: load the persisted cursor and clear anything staged by a previous run
+   */
+  async begin() {
+    this.state = (await this.store.get(CURSOR_NAMESPACE, this.key)) || {};
+    this.runStartedAt = new Date().toISOString();
+    this.maxSeen = null;
+    this.staged = new Map();
+    return this.state;
+  }
+
+  /**
+   * High-water mark of the last successful run, or null before the first one
+   */
+  getHighWaterMark() {
+    return this.state?.high_water_mark || null;
+  }
+
+  /**
+   * Timestamp to fetch from: the high-water mark, else `fallback` (ISO string)
+   */
+  since(fallback) {
+    return this.getHighWaterMark() || fallback;
+  }
+
+  /**
+   * Track the newest source timestamp seen this run; committed as the next high-water mark
+   */
+  observe(timestamp) {
+    if (!timestamp) return;
+    const iso = new Date(timestamp).toISOString();
+    if (!this.maxSeen || iso > this.maxSeen) this.maxSeen = iso;
+  }
+
+  /**
+   * True when the record is new or its content differs from the last committed run.
+   * Changed records are staged for commit.
+   */
+  async hasChanged(id, record) {
+    if (id === undefined || id === null || id === '') return true;
+
+    const hash = hashRecord(record, this.ignoreFields);
+    // Already staged this run (same record returned twice) counts as unchanged too
+    if (this.staged.get(String(id))?.hash === hash) return false;
+    const previous = await this.store.get(this.hashNamespace, String(id));
+    if (previous === hash) return false;
+
+    this.staged.set(String(id), { hash, record });
+    return true;
+  }
+
+  /**
+   * Keep only new or changed records
+   */
+  async filterChanged(records, getId = record => record.id) {
+    const changed = [];
+    for (const record of records) {
+      if (await this.hasChanged(getId(record), record)) changed.push(record);
+    }
+    return changed;
+  }
+
+  /**
+   * Drop staged records that failed downstream so they are offered again next run
+   */
+  discard(predicate) {
+    for (const [id, entry] of this.staged) {
+      if (predicate(entry.record, id)) this.staged.delete(id);
+    }
+  }
+
+  /**
+   * Persist staged hashes and advance the high-water mark. Without an explicit mark the
+   * newest observed timestamp is used, else the time this run started.
+   */
+  async commit(highWaterMark = null) {
+    const hashes = {};
+    for (const [id, entry] of this.staged) {
+      hashes[id] = entry.hash;
+    }
+    if (Object.keys(hashes).length > 0) {
+      await this.store.setMany(this.hashNamespace, hashes);
+    }
+
+    this.state = {
+      high_water_mark: highWaterMark || this.maxSeen || this.runStartedAt || new Date().toISOString(),
+      last_success_at: new Date().toISOString(),
+      records_changed: this.staged.size
+    };
+    await this.store.set(CURSOR_NAMESPACE, this.key, this.state);
+    this.staged = new Map();
+    return this.state;
+  }
+
+  /**
+   * Forget the cursor and hashes so the next run is a full resync
+   */
+  async reset() {
+    await this.store.delete(CURSOR_NAMESPACE, this.key);
+    await this.store.clear(this.hashNamespace);
+    this.state = {};
+  }
+}
+
+module.exports = {
+  SyncCursor,
+  hashRecord,
+  stableStringify
+};
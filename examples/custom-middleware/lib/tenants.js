@@ -0,0 +1,59 @@
+/**
+ * Tenants
+ * Multi-tenant mode: one process running the same integrators for several HaloPSA tenants.
+ * The `tenants` config block maps a tenant ID to per-integrator overrides, written in the layout
+ * of the config that integrator is given (its own `config` block, or the loaded environment
+ * layout of lib/config-loader.js when it has none):
+ *   "tenants": {
+ *     "acme":   { "integrators": { "apollo": { "halopsa": { "baseUrl": "https://acme.halopsa.com", ... } } } },
+ *     "globex": { "integrators": { "apollo": { ... } } }
+ *   }
+ *
+ * Every tenant gets its own integrator instances, so HaloPSA credentials, OAuth token caches
+ * and custom field IDs never mix. Instances are built with `tenant_id`, which keys their rate
+ * limiter buckets, prefixes their state store namespaces (cursors, crosswalk, suppression list,
+ * score history), gives them their own GDPR audit log and is added to every line they log.
+ */
+
+const { mergeConfig } = require('./config-loader');
+
+// Used in webhook URLs, state namespaces and file paths
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+class TenantRegistry {
+  /**
+   * @param {object} tenants - { <tenant id>: { integrators: { <integrator name>: overrides } } }
+   */
+  constructor(tenants = {}) {
+    const ids = Object.keys(tenants);
+    if (ids.length === 0) {
+      throw new Error('tenants must name at least one tenant');
+    }
+    const invalid = ids.filter(id => !TENANT_ID_PATTERN.test(id));
+    if (invalid.length > 0) {
+      throw new Error(`Tenant IDs may only contain letters, digits, "-" and "_": ${invalid.join(', ')}`);
+    }
+    this.tenants = tenants;
+  }
+
+  ids() {
+    return Object.keys(this.tenants);
+  }
+
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(this.tenants, id);
+  }
+
+  /**
+   * The config one tenant's instance of an integrator is built with
+   */
+  configFor(id, integrator, baseConfig = {}) {
+    if (!this.has(id)) throw new Error(`Unknown tenant "${id}"`);
+    return mergeConfig(baseConfig, { ...this.tenants[id]?.integrators?.[integrator], tenant_id: id });
+  }
+}
+
+module.exports = {
+  TenantRegistry,
+  TENANT_ID_PATTERN
+};
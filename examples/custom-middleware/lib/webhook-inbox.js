@@ -0,0 +1,318 @@
+/**
+ * Durable Webhook Inbox
+ * Webhook events are written to disk and acknowledged before any integrator work runs;
+ * a worker processes them with retries and moves events that keep failing to a
+ * dead-letter directory, from where webhook-inbox-cli.js can inspect and replay them.
+ *
+ * One JSON file per event, one directory per state:
+ *   <path>/pending     waiting for (another) attempt
+ *   <path>/processing  claimed by the worker
+ *   <path>/done        processed; kept for dedupe_retention_hours so redeliveries are ignored
+ *                      (checked every prune_interval_ms, by file modification time)
+ *   <path>/dead        out of retries
+ * Moves between states are atomic renames, so the CLI can replay events while the
+ * gateway is running (a shared lib/state-store file would be overwritten by either process).
+ *
+ * Events are keyed by `event_id` (required by schemas/webhook-payloads.json); payloads
+ * without one are keyed by a hash of their content. In multi-tenant mode the ID is prefixed
+ * with the tenant ("acme:evt_123"), so the same delivery to two tenants is two events.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { resolveRetryPolicy, backoffDelay } = require('./retry-policy');
+
+const STATES = ['pending', 'processing', 'done', 'dead'];
+
+const DEFAULT_OPTIONS = {
+  path: './data/webhook-inbox',
+  poll_interval_ms: 1000,
+  retry_attempts: 5,
+  initial_delay_ms: 5000,
+  max_delay_ms: 300000,
+  backoff_multiplier: 2,
+  dedupe_retention_hours: 72,
+  prune_interval_ms: 60 * 60 * 1000
+};
+
+function fileKey(eventId) {
+  return crypto.createHash('sha256').update(String(eventId)).digest('hex').slice(0, 40);
+}
+
+class WebhookInbox {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      path: process.env.WEBHOOK_INBOX_PATH || DEFAULT_OPTIONS.path,
+      ...options
+    };
+    this.root = path.resolve(this.options.path);
+    this.retryPolicy = resolveRetryPolicy({
+      retry_attempts: this.options.retry_attempts,
+      initial_delay_ms: this.options.initial_delay_ms,
+      max_delay_ms: this.options.max_delay_ms,
+      backoff_multiplier: this.options.backoff_multiplier
+    });
+    this.timer = null;
+    this.draining = null;
+    this.pruneTimer = null;
+    this.pruning = null;
+  }
+
+  dir(state) {
+    return path.join(this.root, state);
+  }
+
+  file(state, key) {
+    return path.join(this.dir(state), `${key}.json`);
+  }
+
+  async init() {
+    for (const state of STATES) {
+      await fs.promises.mkdir(this.dir(state), { recursive: true });
+    }
+  }
+
+  static eventIdFor(payload, rawBody) {
+    if (payload?.event_id) return String(payload.event_id);
+    const content = rawBody || JSON.stringify(payload);
+    return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+  }
+
+  /**
+   * Persist an event unless it was seen before. Resolves with { event_id, duplicate }.
+   * @param {string} route - route path the worker dispatches on
+   * @param {object} payload - parsed webhook body
+   * @param {object} context - request metadata kept with the event (no headers), including `tenant`
+   */
+  async enqueue(route, payload, context = {}) {
+    const baseId = context.event_id || WebhookInbox.eventIdFor(payload, context.raw_body);
+    const eventId = context.tenant ? `${context.tenant}:${baseId}` : baseId;
+    const key = fileKey(eventId);
+
+    for (const state of STATES) {
+      if (await this.exists(state, key)) return { event_id: eventId, duplicate: true };
+    }
+
+    const record = {
+      event_id: eventId,
+      route,
+      tenant: context.tenant || null,
+      provider: context.provider || null,
+      event_type: payload?.event_type || payload?.event || null,
+      request_id: context.request_id || null,
+      received_at: context.received_at || new Date().toISOString(),
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      last_error: null,
+      payload
+    };
+
+    // Write to a temp file and hard-link it into place: link() fails if a concurrent
+    // delivery of the same event got there first
+    const tempPath = path.join(this.root, `.${key}.${process.pid}.${Date.now()}.tmp`);
+    await fs.promises.writeFile(tempPath, JSON.stringify(record, null, 2));
+    try {
+      await fs.promises.link(tempPath, this.file('pending', key));
+      return { event_id: eventId, duplicate: false };
+    } catch (error) {
+      if (error.code === 'EEXIST') return { event_id: eventId, duplicate: true };
+      throw error;
+    } finally {
+      await fs.promises.unlink(tempPath).catch(() => {});
+    }
+  }
+
+  async exists(state, key) {
+    try {
+      await fs.promises.access(this.file(state, key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async read(state, key) {
+    return JSON.parse(await fs.promises.readFile(this.file(state, key), 'utf8'));
+  }
+
+  /**
+   * Replace `key` in `toState` with `record` and remove it from `fromState`
+   */
+  async write(fromState, toState, key, record) {
+    const tempPath = path.join(this.root, `.${key}.${process.pid}.tmp`);
+    await fs.promises.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.promises.rename(tempPath, this.file(toState, key));
+    if (fromState !== toState) {
+      await fs.promises.unlink(this.file(fromState, key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  }
+
+  async list(state) {
+    const names = await fs.promises.readdir(this.dir(state));
+    const records = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        records.push(await this.read(state, path.basename(name, '.json')));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // Moved by the worker or the CLI meanwhile
+      }
+    }
+    return records.sort((a, b) => a.received_at.localeCompare(b.received_at));
+  }
+
+  async stats() {
+    const counts = {};
+    for (const state of STATES) {
+      counts[state] = (await fs.promises.readdir(this.dir(state))).filter(n => n.endsWith('.json')).length;
+    }
+    return counts;
+  }
+
+  /**
+   * Find an event by event_id in any state: { state, record } or null
+   */
+  async find(eventId) {
+    const key = fileKey(eventId);
+    for (const state of STATES) {
+      if (await this.exists(state, key)) return { state, record: await this.read(state, key) };
+    }
+    return null;
+  }
+
+  /**
+   * Process every due pending event once with `handler(record)`; failures are rescheduled
+   * with backoff, or dead-lettered after retry_attempts retries
+   */
+  async drain(handler, now = Date.now()) {
+    const summary = { processed: 0, retried: 0, dead_lettered: 0 };
+    const due = (await this.list('pending')).filter(record => Date.parse(record.next_attempt_at) <= now);
+
+    for (const record of due) {
+      const key = fileKey(record.event_id);
+      // Claim the event; losing the rename means another worker (or a CLI discard) took it
+      try {
+        await fs.promises.rename(this.file('pending', key), this.file('processing', key));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      record.attempts++;
+      try {
+        await handler(record);
+        await this.write('processing', 'done', key, {
+          ...record,
+          last_error: null,
+          completed_at: new Date().toISOString()
+        });
+        summary.processed++;
+      } catch (error) {
+        record.last_error = error.message;
+        if (record.attempts > this.retryPolicy.retry_attempts) {
+          await this.write('processing', 'dead', key, { ...record, dead_lettered_at: new Date().toISOString() });
+          summary.dead_lettered++;
+        } else {
+          record.next_attempt_at = new Date(Date.now() + backoffDelay(record.attempts, this.retryPolicy)).toISOString();
+          await this.write('processing', 'pending', key, record);
+          summary.retried++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Start the background worker. Events left in processing by a crash are retried first.
+   */
+  async start(handler, onError = error => console.error('[Inbox] Worker error:', error.message)) {
+    await this.init();
+    for (const record of await this.list('processing')) {
+      await this.write('processing', 'pending', fileKey(record.event_id), record);
+    }
+
+    this.timer = setInterval(() => {
+      if (this.draining) return;
+      this.draining = this.drain(handler)
+        .catch(onError)
+        .finally(() => {
+          this.draining = null;
+        });
+    }, this.options.poll_interval_ms);
+    this.timer.unref();
+
+    // Pruning reads the whole done directory, so it runs on its own, much slower timer
+    const prune = () => {
+      if (this.pruning) return;
+      this.pruning = this.pruneDone()
+        .catch(onError)
+        .finally(() => {
+          this.pruning = null;
+        });
+    };
+    prune();
+    this.pruneTimer = setInterval(prune, this.options.prune_interval_ms);
+    this.pruneTimer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    clearInterval(this.pruneTimer);
+    this.timer = null;
+    this.pruneTimer = null;
+    if (this.draining) await this.draining;
+    if (this.pruning) await this.pruning;
+  }
+
+  /**
+   * Forget processed events once redeliveries are no longer expected. A done file is last
+   * written when its event completes, so its modification time is used instead of parsing it.
+   */
+  async pruneDone(now = Date.now()) {
+    const cutoff = now - this.options.dedupe_retention_hours * 60 * 60 * 1000;
+    let pruned = 0;
+    for (const name of await fs.promises.readdir(this.dir('done'))) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(this.dir('done'), name);
+      try {
+        if ((await fs.promises.stat(file)).mtimeMs >= cutoff) continue;
+        await fs.promises.unlink(file);
+        pruned++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // Removed by the CLI meanwhile
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Move a dead-lettered event back to pending with a fresh retry budget
+   */
+  async replay(eventId) {
+    const key = fileKey(eventId);
+    if (!(await this.exists('dead', key))) return false;
+
+    const record = await this.read('dead', key);
+    delete record.dead_lettered_at;
+    await this.write('dead', 'pending', key, {
+      ...record,
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      replayed_at: new Date().toISOString()
+    });
+    return true;
+  }
+
+  async discard(eventId) {
+    const key = fileKey(eventId);
+    if (!(await this.exists('dead', key))) return false;
+    await fs.promises.unlink(this.file('dead', key));
+    return true;
+  }
+}
+
+module.exports = WebhookInbox;
@@ -0,0 +1,121 @@
+/**
+ * Webhook Payload Schemas
+ * Compiles the per-event JSON schemas in schemas/webhook-payloads.json and validates
+ * inbound payloads against them, reporting which property failed.
+ *
+ * Schemas are named "<group>.<event>", e.g. "halopsa_enhanced_webhooks.ticket_updated".
+ * A group name ("halopsa_enhanced_webhooks") validates each payload against the group's
+ * schema for its event type, read from event_type, eventType, event or sync_type. A payload
+ * without an event type is rejected; one whose event type the group does not define is too,
+ * unless allow_unknown_events lets it through unvalidated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const DEFAULT_SCHEMA_FILE = path.resolve(__dirname, '../../../schemas/webhook-payloads.json');
+const EVENT_TYPE_FIELDS = ['event_type', 'eventType', 'event', 'sync_type'];
+
+/**
+ * Ajv errors as [{ path, message, keyword }], with the path pointing at the failing property
+ */
+function formatErrors(errors = []) {
+  return errors.map(error => {
+    if (error.keyword === 'required') {
+      return { path: `${error.instancePath}/${error.params.missingProperty}`, message: 'is required', keyword: 'required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+      return { path: `${error.instancePath}/${error.params.additionalProperty}`, message: 'is not allowed', keyword: 'additionalProperties' };
+    }
+    const allowed = error.params?.allowedValue ?? error.params?.allowedValues;
+    return {
+      path: error.instancePath || '/',
+      message: allowed !== undefined ? `${error.message}: ${JSON.stringify(allowed)}` : error.message,
+      keyword: error.keyword
+    };
+  });
+}
+
+function eventTypeOf(payload) {
+  const field = EVENT_TYPE_FIELDS.find(name => typeof payload?.[name] === 'string');
+  return field ? { field, value: payload[field] } : null;
+}
+
+class WebhookSchemaRegistry {
+  /**
+   * @param {object} document - parsed webhook-payloads.json
+   */
+  constructor(document) {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+    this.schemas = {};
+    this.groups = {};
+
+    for (const [group, groupSchema] of Object.entries(document.properties || {})) {
+      for (const [event, schema] of Object.entries(groupSchema.properties || {})) {
+        const name = `${group}.${event}`;
+        const discriminator = EVENT_TYPE_FIELDS.map(field => schema.properties?.[field]?.const).find(Boolean);
+        this.schemas[name] = { validate: this.ajv.compile(schema), event_type: discriminator || null };
+
+        if (discriminator) {
+          this.groups[group] = this.groups[group] || {};
+          this.groups[group][discriminator] = name;
+        }
+      }
+    }
+  }
+
+  static load(filePath = DEFAULT_SCHEMA_FILE) {
+    return new WebhookSchemaRegistry(JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8')));
+  }
+
+  has(name) {
+    return Boolean(this.schemas[name] || this.groups[name]);
+  }
+
+  names() {
+    return [...Object.keys(this.groups), ...Object.keys(this.schemas)];
+  }
+
+  /**
+   * Errors for `payload` against a schema or group name; [] when valid
+   * @param {object} [options] - { allow_unknown_events } for group names (default false)
+   */
+  validate(name, payload, options = {}) {
+    let schemaName = name;
+
+    if (this.groups[name]) {
+      const eventType = eventTypeOf(payload);
+      if (!eventType) return [{ path: '/event_type', message: 'is required', keyword: 'required' }];
+      schemaName = this.groups[name][eventType.value];
+      if (!schemaName) {
+        if (options.allow_unknown_events === true) return [];
+        return [{
+          path: `/${eventType.field}`,
+          message: `must be one of ${JSON.stringify(Object.keys(this.groups[name]))}`,
+          keyword: 'enum'
+        }];
+      }
+    }
+
+    const schema = this.schemas[schemaName];
+    if (!schema) throw new Error(`Unknown webhook schema: ${name}`);
+    return schema.validate(payload) ? [] : formatErrors(schema.validate.errors);
+  }
+
+  /**
+   * Validator function for the gateway: fn(payload) -> errors[]
+   */
+  validator(name, options = {}) {
+    if (!this.has(name)) throw new Error(`Unknown webhook schema: ${name}`);
+    return payload => this.validate(name, payload, options);
+  }
+}
+
+module.exports = {
+  WebhookSchemaRegistry,
+  formatErrors,
+  DEFAULT_SCHEMA_FILE
+};
@@ -0,0 +1,213 @@
+/**
+ * Webhook Signature Verification
+ * HMAC verification over the raw request bytes for every provider, with
+ * constant-time comparison and replay protection for timestamped schemes.
+ *
+ * Express usage:
+ *   app.use(express.json({ verify: captureRawBody }));
+ *   app.post('/webhook/apollo', signatureMiddleware(createWebhookVerifier('apollo', { secret_key })), handler);
+ *
+ * Scheme options (per provider preset, overridable from config):
+ *   header_name        header carrying the signature
+ *   algorithm          HMAC digest, default sha256
+ *   encoding           hex (default) or base64
+ *   prefix             stripped before comparing, e.g. "sha256="
+ *   timestamp_header   header carrying the send time; the signed content becomes "<timestamp>.<body>"
+ *   signature_format   "pairs" for a single "t=<timestamp>,v1=<signature>" header
+ *   tolerance_seconds  maximum age of a timestamped request (default 300)
+ */
+
+const crypto = require('crypto');
+
+const PROVIDER_SCHEMES = {
+  apollo: { header_name: 'x-apollo-signature' },
+  zoominfo: { header_name: 'x-zoominfo-signature' },
+  hunter: { header_name: 'x-hunter-signature' },
+  crayon: { header_name: 'x-crayon-signature', prefix: 'sha256=' },
+  klue: { header_name: 'x-klue-signature', prefix: 'sha256=' },
+  halopsa: { header_name: 'x-halopsa-signature', prefix: 'sha256=' },
+  generic: { header_name: 'x-webhook-signature', prefix: 'sha256=' }
+};
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+class WebhookSignatureError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.reason = reason;
+    this.status = 401;
+  }
+}
+
+/**
+ * express.json / express.raw `verify` callback: keep the exact bytes the provider signed
+ */
+function captureRawBody(req, res, buffer) {
+  req.rawBody = Buffer.from(buffer);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  // timingSafeEqual throws on length mismatch; compare against itself to keep timing flat
+  if (left.length !== right.length) {
+    crypto.timingSafeEqual(left, left);
+    return false;
+  }
+  return crypto.timingSafeEqual(left, right);
+}
+
+function isProduction(options) {
+  return (options.environment || process.env.NODE_ENV) === 'production';
+}
+
+class WebhookVerifier {
+  /**
+   * @param {string} provider - key of PROVIDER_SCHEMES, or any name when header_name is given
+   * @param {object} options - { secret_key | secret | secrets[], allow_unsigned, environment, ...scheme overrides }
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.scheme = {
+      algorithm: 'sha256',
+      encoding: 'hex',
+      tolerance_seconds: DEFAULT_TOLERANCE_SECONDS,
+      ...(PROVIDER_SCHEMES[provider] || PROVIDER_SCHEMES.generic),
+      ...pickScheme(options)
+    };
+    this.scheme.header_name = this.scheme.header_name.toLowerCase();
+    this.scheme.timestamp_header = this.scheme.timestamp_header?.toLowerCase();
+
+    // Several secrets allow rotation: requests signed with any of them pass
+    this.secrets = [].concat(options.secrets || options.secret_key || options.secret || []).filter(Boolean);
+    this.allowUnsigned = false;
+
+    if (this.secrets.length === 0) {
+      if (isProduction(options)) {
+        throw new Error(`Webhook secret for ${provider} is required in production`);
+      }
+      // Outside production unsigned requests are only accepted when explicitly allowed
+      this.allowUnsigned = options.allow_unsigned === true;
+    }
+  }
+
+  /**
+   * Verify a request; throws WebhookSignatureError, returns { verified, timestamp }
+   * @param {Buffer|string} rawBody - exact request bytes
+   * @param {object} headers - lower-cased header map (Node's req.headers)
+   */
+  verify(rawBody, headers = {}, now = Date.now()) {
+    if (this.secrets.length === 0) {
+      if (this.allowUnsigned) return { verified: false, timestamp: null };
+      throw new WebhookSignatureError('no_secret', `No webhook secret configured for ${this.provider}`);
+    }
+    if (rawBody === undefined || rawBody === null) {
+      throw new WebhookSignatureError('no_raw_body', 'Raw request body was not captured; signatures cannot be checked against re-serialized JSON');
+    }
+
+    const { signatures, timestamp } = this.readSignature(headers);
+    if (signatures.length === 0) {
+      throw new WebhookSignatureError('missing_signature', `Missing ${this.scheme.header_name} header`);
+    }
+
+    if (this.scheme.timestamp_header || this.scheme.signature_format === 'pairs') {
+      this.checkTimestamp(timestamp, now);
+    }
+
+    const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody));
+    const signedContent = timestamp !== null
+      ? Buffer.concat([Buffer.from(`${timestamp}.`), body])
+      : body;
+
+    for (const secret of this.secrets) {
+      const expected = crypto.createHmac(this.scheme.algorithm, secret).update(signedContent).digest(this.scheme.encoding);
+      // Hex digests are case-insensitive; base64 is not
+      if (signatures.some(signature => safeEqual(this.scheme.encoding === 'hex' ? signature.toLowerCase() : signature, expected))) {
+        return { verified: true, timestamp };
+      }
+    }
+
+    throw new WebhookSignatureError('invalid_signature', `Invalid ${this.provider} webhook signature`);
+  }
+
+  readSignature(headers) {
+    const header = [].concat(headers[this.scheme.header_name] || [])[0] || '';
+
+    if (this.scheme.signature_format === 'pairs') {
+      // "t=1700000000,v1=abc,v1=def" - several v1 values appear during provider key rotation
+      const pairs = header.split(',').map(part => part.trim().split('='));
+      return {
+        timestamp: pairs.find(([key]) => key === 't')?.[1] || null,
+        signatures: pairs.filter(([key]) => key === 'v1').map(([, value]) => value).filter(Boolean)
+      };
+    }
+
+    const signature = this.scheme.prefix && header.startsWith(this.scheme.prefix)
+      ? header.slice(this.scheme.prefix.length)
+      : header;
+    const timestamp = this.scheme.timestamp_header
+      ? [].concat(headers[this.scheme.timestamp_header] || [])[0] || null
+      : null;
+
+    return { signatures: signature ? [signature] : [], timestamp };
+  }
+
+  /**
+   * Reject requests outside the tolerance window so captured requests cannot be replayed
+   */
+  checkTimestamp(timestamp, now) {
+    if (!timestamp) {
+      throw new WebhookSignatureError('missing_timestamp', 'Missing webhook timestamp');
+    }
+
+    // Seconds or milliseconds since the epoch, or an ISO date
+    const numeric = Number(timestamp);
+    const sentAt = Number.isNaN(numeric)
+      ? Date.parse(timestamp)
+      : numeric < 1e12 ? numeric * 1000 : numeric;
+    if (Number.isNaN(sentAt)) {
+      throw new WebhookSignatureError('invalid_timestamp', `Unreadable webhook timestamp "${timestamp}"`);
+    }
+    if (Math.abs(now - sentAt) > this.scheme.tolerance_seconds * 1000) {
+      throw new WebhookSignatureError('stale_timestamp', 'Webhook timestamp outside the tolerance window');
+    }
+  }
+}
+
+function pickScheme(options) {
+  const scheme = {};
+  for (const key of ['header_name', 'algorithm', 'encoding', 'prefix', 'timestamp_header', 'signature_format', 'tolerance_seconds']) {
+    if (options[key] !== undefined) scheme[key] = options[key];
+  }
+  return scheme;
+}
+
+function createWebhookVerifier(provider, options = {}) {
+  return new WebhookVerifier(provider, options);
+}
+
+/**
+ * Express middleware: 401 on a bad signature, otherwise records req.webhookSignature and continues
+ */
+function signatureMiddleware(verifier, logger = console) {
+  return (req, res, next) => {
+    try {
+      req.webhookSignature = verifier.verify(req.rawBody, req.headers);
+      next();
+    } catch (error) {
+      if (!(error instanceof WebhookSignatureError)) return next(error);
+      logger.warn(`[Webhook] ${verifier.provider} signature rejected: ${error.reason}`);
+      res.status(error.status).json({ error: 'Invalid signature' });
+    }
+  };
+}
+
+module.exports = {
+  WebhookVerifier,
+  WebhookSignatureError,
+  createWebhookVerifier,
+  signatureMiddleware,
+  captureRawBody,
+  PROVIDER_SCHEMES
+};
@@ -0,0 +1,324 @@
+/**
+ * Lead -> Prospect -> Opportunity Workflow Engine
+ * Loads states, transitions, guard conditions and side effects from the
+ * workflow_settings.entity_types block of custom-crm-workflow-config.json, so each
+ * tenant can run its own pipeline without code changes.
+ *
+ * Guard conditions are strings of the form "<field> <operator> <value>", e.g.
+ *   "CF_206_fit_score >= 70", "status == engaged", "CF_105_do_not_contact != true", "user_email exists"
+ * Fields resolve against custom field names first, then ticket properties.
+ */
+
+const ENTITY_TYPES = ['lead', 'prospect', 'opportunity'];
+
+// The pipeline the integrator shipped with; used when no workflow_settings are configured
+const DEFAULT_ENTITY_TYPES = {
+  lead: {
+    statuses: {
+      new_lead: { id: 1, name: 'New Lead' },
+      researching: { id: 2, name: 'Researching' },
+      contacted: { id: 3, name: 'Contacted' },
+      engaged: { id: 4, name: 'Engaged' },
+      no_interest: { id: 5, name: 'No Interest' },
+      do_not_contact: { id: 6, name: 'Do Not Contact' },
+      invalid_data: { id: 7, name: 'Invalid Data' },
+      converted_to_prospect: { id: 8, name: 'Converted to Prospect' }
+    },
+    transitions: {
+      convert_to_prospect: {
+        enabled: true,
+        from: ['engaged'],
+        to: { entity_type: 'prospect', status: 'new_prospect' },
+        source_status: 'converted_to_prospect'
+      }
+    }
+  },
+  prospect: {
+    statuses: {
+      new_prospect: { id: 10, name: 'New Prospect' },
+      prospecting: { id: 11, name: 'Prospecting' },
+      qualified: { id: 12, name: 'Qualified' },
+      disqualified: { id: 13, name: 'Disqualified' },
+      promoted_to_opportunity: { id: 14, name: 'Promoted to Opportunity' }
+    },
+    transitions: {
+      promote_to_opportunity: {
+        enabled: true,
+        from: ['qualified'],
+        to: { entity_type: 'opportunity', status: 'new_opportunity' },
+        source_status: 'promoted_to_opportunity',
+        conditions: ['CF_206_fit_score >= 70'],
+        required_fields: ['CF_201_pain_points', 'CF_204_budget_range', 'CF_205_timeframe']
+      }
+    }
+  },
+  opportunity: {
+    use_opportunities_api: true,
+    statuses: {
+      new_opportunity: { id: 20, name: 'New Opportunity' },
+      progressing: { id: 21, name: 'Progressing' },
+      negotiation: { id: 22, name: 'Negotiation' },
+      won: { id: 23, name: 'Won' },
+      lost: { id: 24, name: 'Lost' }
+    },
+    transitions: {}
+  }
+};
+
+// auto_conversion_rules / auto_promotion_rules predate `transitions`; they keep the
+// original from/to and only contribute guards
+const LEGACY_RULE_TARGETS = {
+  lead: { key: 'auto_conversion_rules', from: ['engaged'], to: { entity_type: 'prospect', status: 'new_prospect' }, source_status: 'converted_to_prospect' },
+  prospect: { key: 'auto_promotion_rules', from: ['qualified'], to: { entity_type: 'opportunity', status: 'new_opportunity' }, source_status: 'promoted_to_opportunity' }
+};
+
+// Cross-entity transitions the integrator knows how to perform
+const SUPPORTED_PROMOTIONS = ['lead:prospect', 'prospect:opportunity'];
+
+const CONDITION_PATTERN = /^\s*([\w.]+)\s*(>=|<=|==|!=|>|<|contains|exists|missing)\s*(.*?)\s*$/;
+
+class WorkflowConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid workflow configuration:\n- ${problems.join('\n- ')}`);
+    this.name = 'WorkflowConfigError';
+    this.problems = problems;
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function coerce(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value.replace(/^["']|["']$/g, '');
+}
+
+class WorkflowEngine {
+  /**
+   * @param {object} entityTypes - workflow_settings.entity_types
+   */
+  constructor(entityTypes) {
+    this.entityTypes = entityTypes;
+    this.transitions = {};
+
+    for (const entityType of ENTITY_TYPES) {
+      const definition = entityTypes[entityType] || { statuses: {} };
+      this.transitions[entityType] = Object.entries(definition.transitions || this.legacyTransitions(entityType, definition))
+        .filter(([, transition]) => transition.enabled !== false)
+        .map(([name, transition]) => ({
+          name,
+          entity_type: entityType,
+          ...transition,
+          from: [].concat(transition.from || []),
+          to: typeof transition.to === 'string' ? { entity_type: entityType, status: transition.to } : transition.to,
+          guards: (transition.conditions || []).map(condition => this.parseCondition(condition)),
+          required_fields: transition.required_fields || [],
+          side_effects: transition.side_effects || []
+        }));
+    }
+
+    this.validateStructure();
+  }
+
+  /**
+   * Build from the integrator's workflow config; falls back to the default pipeline
+   */
+  static fromConfig(workflowConfig = {}) {
+    const configured = workflowConfig.workflow_settings?.entity_types;
+    if (!configured) {
+      return new WorkflowEngine(DEFAULT_ENTITY_TYPES);
+    }
+    return new WorkflowEngine(configured);
+  }
+
+  legacyTransitions(entityType, definition) {
+    const legacy = LEGACY_RULE_TARGETS[entityType];
+    const rules = legacy && definition[legacy.key];
+    if (!rules) return DEFAULT_ENTITY_TYPES[entityType]?.transitions || {};
+
+    const transitions = {};
+    for (const [name, rule] of Object.entries(rules)) {
+      transitions[name] = { ...rule, from: legacy.from, to: legacy.to, source_status: legacy.source_status };
+    }
+    return transitions;
+  }
+
+  parseCondition(condition) {
+    const match = CONDITION_PATTERN.exec(condition);
+    if (!match) {
+      throw new WorkflowConfigError([`Unparseable condition "${condition}"`]);
+    }
+    return { condition, field: match[1], operator: match[2], value: coerce(match[3]) };
+  }
+
+  /**
+   * Config-only checks: every status a transition references must be declared
+   */
+  validateStructure() {
+    const problems = [];
+
+    for (const entityType of ENTITY_TYPES) {
+      for (const transition of this.transitions[entityType]) {
+        const label = `${entityType}.transitions.${transition.name}`;
+        for (const from of [].concat(transition.from || [])) {
+          if (!this.getStatusId(entityType, from)) problems.push(`${label}: unknown from status "${from}"`);
+        }
+        if (!transition.to?.status || !ENTITY_TYPES.includes(transition.to.entity_type)) {
+          problems.push(`${label}: "to" needs an entity_type and status`);
+        } else if (!this.getStatusId(transition.to.entity_type, transition.to.status)) {
+          problems.push(`${label}: unknown to status "${transition.to.entity_type}.${transition.to.status}"`);
+        } else if (transition.to.entity_type !== entityType &&
+          !SUPPORTED_PROMOTIONS.includes(`${entityType}:${transition.to.entity_type}`)) {
+          problems.push(`${label}: cannot promote ${entityType} to ${transition.to.entity_type}`);
+        }
+        if (transition.source_status && !this.getStatusId(entityType, transition.source_status)) {
+          problems.push(`${label}: unknown source_status "${transition.source_status}"`);
+        }
+      }
+    }
+
+    if (problems.length > 0) throw new WorkflowConfigError(problems);
+  }
+
+  /**
+   * Check configured status IDs against the tenant's HaloPSA statuses (GET /api/Status).
+   * Missing IDs are errors; name mismatches are returned as warnings.
+   */
+  validateAgainstHalo(haloStatuses) {
+    const byId = new Map(haloStatuses.map(status => [Number(status.id), status]));
+    const problems = [];
+    const warnings = [];
+
+    for (const entityType of ENTITY_TYPES) {
+      for (const [key, status] of Object.entries(this.entityTypes[entityType]?.statuses || {})) {
+        const haloStatus = byId.get(Number(status.id));
+        if (!haloStatus) {
+          problems.push(`${entityType}.statuses.${key}: status ID ${status.id} does not exist in HaloPSA`);
+        } else if (haloStatus.name && status.name && haloStatus.name.toLowerCase() !== status.name.toLowerCase()) {
+          warnings.push(`${entityType}.statuses.${key}: ID ${status.id} is "${haloStatus.name}" in HaloPSA, configured as "${status.name}"`);
+        }
+      }
+    }
+
+    if (problems.length > 0) throw new WorkflowConfigError(problems);
+    return warnings;
+  }
+
+  getTicketTypeId(entityType) {
+    return this.entityTypes[entityType]?.ticket_type_id;
+  }
+
+  getStatusId(entityType, statusKey) {
+    return this.entityTypes[entityType]?.statuses?.[statusKey]?.id || null;
+  }
+
+  /**
+   * Status ID for a status a record must be written with; throws when the pipeline has no such status
+   */
+  requireStatusId(entityType, statusKey) {
+    const id = this.getStatusId(entityType, statusKey);
+    if (id === null) throw new WorkflowConfigError([`${entityType} has no "${statusKey}" status`]);
+    return id;
+  }
+
+  getStatusKey(entityType, statusId) {
+    const entry = Object.entries(this.entityTypes[entityType]?.statuses || {})
+      .find(([, status]) => Number(status.id) === Number(statusId));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * { lead: { new_lead: 1, ... }, prospect: {...}, opportunity: {...} }
+   */
+  getStatusMappings() {
+    const mappings = {};
+    for (const entityType of ENTITY_TYPES) {
+      mappings[entityType] = {};
+      for (const [key, status] of Object.entries(this.entityTypes[entityType]?.statuses || {})) {
+        mappings[entityType][key] = status.id;
+      }
+    }
+    return mappings;
+  }
+
+  getTransitions(entityType) {
+    return this.transitions[entityType] || [];
+  }
+
+  /**
+   * Status IDs that have at least one outgoing transition, i.e. the ones worth polling
+   */
+  getActiveStatusIds(entityType) {
+    const keys = new Set(this.getTransitions(entityType).flatMap(transition => [].concat(transition.from)));
+    return [...keys].map(key => this.getStatusId(entityType, key));
+  }
+
+  /**
+   * Evaluate a transition's guards; `getField(record, name)` resolves a field value
+   */
+  evaluate(transition, record, getField) {
+    const failed = [];
+    const statusKey = this.getStatusKey(transition.entity_type, record.status_id);
+
+    if (!transition.from.includes(statusKey)) {
+      failed.push(`status is ${statusKey || record.status_id}`);
+    }
+
+    for (const field of transition.required_fields) {
+      if (isEmpty(getField(record, field))) failed.push(`${field} is empty`);
+    }
+
+    for (const guard of transition.guards) {
+      const actual = guard.field === 'status' ? statusKey : getField(record, guard.field);
+      if (!this.compare(actual, guard.operator, guard.value)) failed.push(guard.condition);
+    }
+
+    return { passed: failed.length === 0, failed };
+  }
+
+  compare(actual, operator, expected) {
+    switch (operator) {
+      case 'exists':
+        return !isEmpty(actual);
+      case 'missing':
+        return isEmpty(actual);
+      case 'contains':
+        return String(actual ?? '').toLowerCase().includes(String(expected).toLowerCase());
+      case '==':
+        return String(actual ?? '').toLowerCase() === String(expected).toLowerCase();
+      case '!=':
+        return String(actual ?? '').toLowerCase() !== String(expected).toLowerCase();
+      default: {
+        const a = parseFloat(actual);
+        if (Number.isNaN(a)) return false;
+        if (operator === '>=') return a >= expected;
+        if (operator === '<=') return a <= expected;
+        if (operator === '>') return a > expected;
+        return a < expected;
+      }
+    }
+  }
+
+  /**
+   * First transition whose guards pass for this record, with the reasons others failed
+   */
+  nextTransition(entityType, record, getField) {
+    const rejected = [];
+    for (const transition of this.getTransitions(entityType)) {
+      if (!transition.from.includes(this.getStatusKey(entityType, record.status_id))) continue;
+      const result = this.evaluate(transition, record, getField);
+      if (result.passed) return { transition, rejected };
+      rejected.push({ transition: transition.name, failed: result.failed });
+    }
+    return { transition: null, rejected };
+  }
+}
+
+module.exports = {
+  WorkflowEngine,
+  WorkflowConfigError,
+  DEFAULT_ENTITY_TYPES
+};
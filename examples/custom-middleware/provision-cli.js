@@ -0,0 +1,145 @@
+/**
+ * Provisioning CLI
+ * Creates the ticket types, statuses and custom fields the workflow integrator needs in a
+ * HaloPSA tenant, then writes their IDs back into config (lib/provisioner.js). Anything that
+ * already exists is left alone, so it is safe to run again.
+ *
+ * Usage:
+ *   node provision-cli.js --plan          (show what exists and what would be created; changes nothing)
+ *   node provision-cli.js                 (create what is missing and write the IDs back)
+ *
+ * --config <file> is the integrator config, or a gateway config whose integrators.workflow
+ * (or --integrator <name>) entry is used. IDs are written into that config block's
+ * workflow.workflow_settings; for a gateway entry without a config block, and without --config,
+ * into integrator_settings.workflow of the layered config file (lib/config-loader.js).
+ * --output <file> writes the updated workflow_settings there instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadGatewayConfig } = require('./webhook-gateway');
+const { HaloProvisioner, summarizePlan } = require('./lib/provisioner');
+const { loadConfig, DEFAULT_CONFIG_FILE } = require('./lib/config-loader');
+
+const VALUE_FLAGS = ['--config', '--integrator', '--output'];
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_FLAGS.includes(argv[i])) {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--plan') {
+      args.plan = true;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function usage() {
+  console.error('Usage: node provision-cli.js [--plan] [--config <file>] [--integrator <name>] [--output <file>]');
+  process.exit(1);
+}
+
+/**
+ * The integrator config to build from, and where its workflow_settings are written:
+ * { config, file, keys } where `keys` is the path to the `workflow` block inside `file`
+ */
+function resolveTarget(args) {
+  const layered = configFile => ({
+    config: loadConfig({ file: configFile }),
+    file: configFile || process.env.HALO_CONFIG_FILE ? path.resolve(configFile || process.env.HALO_CONFIG_FILE) : DEFAULT_CONFIG_FILE,
+    keys: ['integrator_settings', 'workflow', 'workflow']
+  });
+  if (!args.config) return layered();
+
+  const file = path.resolve(args.config);
+  const config = loadGatewayConfig(file);
+  if (!config.integrators) return { config, file, keys: ['workflow'] };
+
+  const name = args.integrator || 'workflow';
+  if (!config.integrators[name]) throw new Error(`integrator "${name}" is not configured in ${args.config}`);
+  if (!config.integrators[name].config) return layered(config.config_file);
+  return { config: config.integrators[name].config, file, keys: ['integrators', name, 'config', 'workflow'] };
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Put workflow_settings into the `workflow` block at `keys`, leaving the rest of the file as it was
+ */
+function writeSettings(target, settings) {
+  const document = readJson(target.file);
+  let node = document;
+  for (const key of target.keys) {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  // custom_fields now lives in workflow_settings
+  delete node.custom_fields;
+  node.workflow_settings = settings;
+  writeJson(target.file, document);
+}
+
+function printPlan(plan) {
+  const sections = { ticket_types: 'Ticket types', statuses: 'Statuses', custom_fields: 'Custom fields' };
+  for (const [section, title] of Object.entries(sections)) {
+    if (plan[section].length === 0) continue;
+    console.log(title);
+    for (const item of plan[section]) {
+      const id = item.id ? ` #${item.id}` : '';
+      const haloName = item.halo_name ? ` (HaloPSA: ${item.halo_name})` : '';
+      const error = item.error ? ` - ${item.error}` : '';
+      console.log(`  ${item.action.padEnd(8)} ${item.entity_type.padEnd(12)} ${item.name}${id}${haloName}${error}`);
+    }
+  }
+  console.log(Object.entries(summarizePlan(plan)).map(([action, count]) => `${count} ${action}`).join(', '));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.positional.length > 0) usage();
+  const target = resolveTarget(args);
+
+  const Integrator = require('./custom-crm-workflow-integrator');
+  const integrator = new Integrator(target.config);
+  await integrator.authenticateHalo();
+
+  const provisioner = new HaloProvisioner(integrator.halo, {
+    entity_types: integrator.workflowConfig.workflow_settings?.entity_types,
+    custom_fields: integrator.customFields,
+    logger: integrator.logger
+  });
+  const plan = await provisioner.plan();
+
+  if (args.plan) {
+    printPlan(plan);
+    return;
+  }
+
+  await provisioner.apply(plan);
+  printPlan(plan);
+
+  const settings = provisioner.resolvedWorkflowSettings(integrator.workflowConfig, plan);
+  if (args.output) {
+    writeJson(path.resolve(args.output), { workflow_settings: settings });
+    console.log(`Wrote workflow_settings to ${args.output}`);
+  } else {
+    writeSettings(target, settings);
+    console.log(`Wrote IDs to ${target.keys.join('.')} in ${target.file}`);
+  }
+  if (summarizePlan(plan).failed) process.exit(2);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
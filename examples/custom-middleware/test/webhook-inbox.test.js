@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebhookInbox = require('../lib/webhook-inbox');
+
+// Far enough ahead that every backoff has elapsed
+const LATER = Date.now() + 24 * 60 * 60 * 1000;
+
+async function createInbox(t, options = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webhook-inbox-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const inbox = new WebhookInbox({ path: dir, retry_attempts: 2, initial_delay_ms: 10, max_delay_ms: 10, ...options });
+  await inbox.init();
+  return inbox;
+}
+
+test('ignores a redelivered event', async t => {
+  const inbox = await createInbox(t);
+  assert.deepEqual(await inbox.enqueue('/apollo-updates', { event_id: 'evt_1' }), { event_id: 'evt_1', duplicate: false });
+  assert.deepEqual(await inbox.enqueue('/apollo-updates', { event_id: 'evt_1' }), { event_id: 'evt_1', duplicate: true });
+  assert.equal((await inbox.stats()).pending, 1);
+});
+
+test('retries a failing event, dead-letters it, and processes it after a replay', async t => {
+  const inbox = await createInbox(t);
+  await inbox.enqueue('/apollo-updates', { event_id: 'evt_1', event_type: 'contact.updated' });
+
+  let failing = true;
+  const handled = [];
+  const handler = async record => {
+    handled.push(record.attempts);
+    if (failing) throw new Error('HaloPSA unavailable');
+  };
+
+  // The first attempt and two retries fail; the third failure is out of retries
+  assert.deepEqual(await inbox.drain(handler, LATER), { processed: 0, retried: 1, dead_lettered: 0 });
+  let { state, record } = await inbox.find('evt_1');
+  assert.equal(state, 'pending');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.last_error, 'HaloPSA unavailable');
+
+  assert.deepEqual(await inbox.drain(handler, LATER), { processed: 0, retried: 1, dead_lettered: 0 });
+  assert.deepEqual(await inbox.drain(handler, LATER), { processed: 0, retried: 0, dead_lettered: 1 });
+  ({ state, record } = await inbox.find('evt_1'));
+  assert.equal(state, 'dead');
+  assert.equal(record.attempts, 3);
+  assert.ok(record.dead_lettered_at);
+
+  // Dead events are not picked up again until replayed
+  assert.deepEqual(await inbox.drain(handler, LATER), { processed: 0, retried: 0, dead_lettered: 0 });
+  assert.deepEqual(handled, [1, 2, 3]);
+
+  failing = false;
+  assert.equal(await inbox.replay('evt_1'), true);
+  ({ state, record } = await inbox.find('evt_1'));
+  assert.equal(state, 'pending');
+  assert.equal(record.attempts, 0);
+  assert.equal(record.dead_lettered_at, undefined);
+
+  assert.deepEqual(await inbox.drain(handler), { processed: 1, retried: 0, dead_lettered: 0 });
+  ({ state, record } = await inbox.find('evt_1'));
+  assert.equal(state, 'done');
+  assert.equal(record.last_error, null);
+  assert.deepEqual(await inbox.stats(), { pending: 0, processing: 0, done: 1, dead: 0 });
+});
+
+test('only replays dead-lettered events', async t => {
+  const inbox = await createInbox(t);
+  await inbox.enqueue('/apollo-updates', { event_id: 'evt_1' });
+  assert.equal(await inbox.replay('evt_1'), false);
+  assert.equal(await inbox.replay('evt_unknown'), false);
+});
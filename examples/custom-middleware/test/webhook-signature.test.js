@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createWebhookVerifier, WebhookSignatureError } = require('../lib/webhook-signature');
+
+const SECRET = 'test-secret';
+const BODY = JSON.stringify({ event_id: 'evt_1', event_type: 'contact.updated' });
+
+function sign(content, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(content).digest('hex');
+}
+
+function rejects(fn, reason) {
+  assert.throws(fn, error => error instanceof WebhookSignatureError && error.reason === reason);
+}
+
+test('accepts a body signed with the configured secret', () => {
+  const verifier = createWebhookVerifier('apollo', { secret: SECRET });
+  const result = verifier.verify(Buffer.from(BODY), { 'x-apollo-signature': sign(BODY) });
+  assert.deepEqual(result, { verified: true, timestamp: null });
+});
+
+test('accepts a prefixed signature and any rotated secret', () => {
+  const verifier = createWebhookVerifier('halopsa', { secrets: ['old-secret', SECRET] });
+  const result = verifier.verify(BODY, { 'x-halopsa-signature': `sha256=${sign(BODY)}` });
+  assert.equal(result.verified, true);
+});
+
+test('rejects a wrong signature, a tampered body and a missing header', () => {
+  const verifier = createWebhookVerifier('apollo', { secret: SECRET });
+  rejects(() => verifier.verify(BODY, { 'x-apollo-signature': sign(BODY, 'other-secret') }), 'invalid_signature');
+  rejects(() => verifier.verify(`${BODY} `, { 'x-apollo-signature': sign(BODY) }), 'invalid_signature');
+  rejects(() => verifier.verify(BODY, {}), 'missing_signature');
+});
+
+test('rejects unsigned requests unless allowed outside production', () => {
+  rejects(() => createWebhookVerifier('apollo', { environment: 'development' }).verify(BODY, {}), 'no_secret');
+  const permissive = createWebhookVerifier('apollo', { environment: 'development', allow_unsigned: true });
+  assert.deepEqual(permissive.verify(BODY, {}), { verified: false, timestamp: null });
+  assert.throws(() => createWebhookVerifier('apollo', { environment: 'production' }), /required in production/);
+});
+
+test('accepts a timestamp inside the tolerance window', () => {
+  const verifier = createWebhookVerifier('generic', { secret: SECRET, timestamp_header: 'x-webhook-timestamp' });
+  const now = Date.now();
+  const timestamp = String(Math.floor(now / 1000) - 60);
+  const result = verifier.verify(BODY, {
+    'x-webhook-signature': `sha256=${sign(`${timestamp}.${BODY}`)}`,
+    'x-webhook-timestamp': timestamp
+  }, now);
+  assert.deepEqual(result, { verified: true, timestamp });
+});
+
+test('rejects stale and missing timestamps even when correctly signed', () => {
+  const verifier = createWebhookVerifier('generic', { secret: SECRET, timestamp_header: 'x-webhook-timestamp', tolerance_seconds: 300 });
+  const now = Date.now();
+  const stale = String(Math.floor(now / 1000) - 301);
+  rejects(() => verifier.verify(BODY, {
+    'x-webhook-signature': `sha256=${sign(`${stale}.${BODY}`)}`,
+    'x-webhook-timestamp': stale
+  }, now), 'stale_timestamp');
+  rejects(() => verifier.verify(BODY, { 'x-webhook-signature': `sha256=${sign(BODY)}` }, now), 'missing_timestamp');
+});
+
+test('reads "t=<timestamp>,v1=<signature>" pairs', () => {
+  const verifier = createWebhookVerifier('crayon', { secret: SECRET, signature_format: 'pairs' });
+  const now = Date.now();
+  const timestamp = String(Math.floor(now / 1000));
+  const header = `t=${timestamp},v1=${sign('unrelated')},v1=${sign(`${timestamp}.${BODY}`)}`;
+  assert.equal(verifier.verify(BODY, { 'x-crayon-signature': header }, now).verified, true);
+  rejects(() => verifier.verify(BODY, { 'x-crayon-signature': header }, now + 301 * 1000), 'stale_timestamp');
+});
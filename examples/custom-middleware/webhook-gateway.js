@@ -0,0 +1,524 @@
+/**
+ * Webhook Gateway
+ * One Express service hosting every provider's webhook endpoint. Routes are mounted from
+ * config; each request goes through request logging, rate limiting, signature verification
+ * and payload validation before it is dispatched to the integrator that owns it.
+ * A route's `schema` names a schema or group from schemas/webhook-payloads.json
+ * (lib/webhook-schemas.js), or a validator passed in through options.validators.
+ * Accepted events are written to a durable inbox (lib/webhook-inbox.js) and acknowledged
+ * with 202; a worker hands them to the integrator with retries. Set `inbox.enabled: false`
+ * to call the integrator inside the request instead.
+ * Everything logged while a request or stored event is handled carries its request ID as
+ * `correlation_id` (lib/logger.js).
+ * With a `tenants` block (lib/tenants.js) every route is mounted as <base_path>/<tenant><path>
+ * and dispatched to that tenant's own integrator instances. `schedules` runs integrator poll
+ * methods on an interval, for every tenant (lib/poll-scheduler.js).
+ *
+ * Usage:
+ *   node webhook-gateway.js path/to/webhook-gateway.json
+ *   WEBHOOK_GATEWAY_CONFIG=path/to/webhook-gateway.json node webhook-gateway.js
+ * See examples/webhook-gateway.example.json for the config layout.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { TokenBucket, normalizeLimits } = require('./lib/rate-limiter');
+const { createWebhookVerifier, signatureMiddleware, captureRawBody } = require('./lib/webhook-signature');
+const WebhookInbox = require('./lib/webhook-inbox');
+const { WebhookSchemaRegistry } = require('./lib/webhook-schemas');
+const { createLogger, withCorrelationId } = require('./lib/logger');
+const { validateConfig, ConfigValidationError, LOGGING_SCHEMA } = require('./lib/config-schemas');
+const { loadConfig } = require('./lib/config-loader');
+const { TenantRegistry } = require('./lib/tenants');
+const { PollScheduler } = require('./lib/poll-scheduler');
+
+const DEFAULT_RATE_LIMIT = { requests_per_minute: 120 };
+// How often idle client buckets are dropped, so every IP ever seen does not stay in memory
+const BUCKET_SWEEP_INTERVAL_MS = 60 * 1000;
+
+class GatewayConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid webhook gateway configuration:\n- ${problems.join('\n- ')}`);
+    this.name = 'GatewayConfigError';
+    this.problems = problems;
+  }
+}
+
+function getPath(payload, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), payload);
+}
+
+class WebhookGateway {
+  /**
+   * @param {object} config - { port, base_path, body_limit, rate_limit, inbox, schema_file, config_file, logging, integrators, routes, tenants, schedules }
+   * @param {object} [options] - { integrators: { name | "tenant/name": instance }, validators: { name: fn(payload) -> errors[] }, logger }
+   */
+  constructor(config, options = {}) {
+    this.config = { port: 3000, base_path: '/webhook', body_limit: '1mb', ...config };
+    validateConfig(this.config, { logging: LOGGING_SCHEMA }, 'webhook gateway');
+    this.logger = options.logger || createLogger({ ...this.config.logging, service: 'webhook-gateway' });
+    this.integrators = { ...options.integrators };
+    this.validators = { ...options.validators };
+    this.buckets = new Map();
+    this.bucketsSweptAt = Date.now();
+    this.tenants = this.config.tenants ? new TenantRegistry(this.config.tenants) : null;
+
+    this.routes = this.resolveRoutes(this.config.routes || []);
+    this.scheduler = this.createScheduler(this.config.schedules || []);
+    this.inbox = this.config.inbox?.enabled === false ? null : new WebhookInbox(this.config.inbox);
+    this.app = express();
+    this.setupRoutes();
+  }
+
+  /**
+   * Check every route up front: a missing integrator, handler or secret, or an integrator
+   * config that fails its schema (lib/config-schemas.js), stops startup. In multi-tenant mode
+   * each route resolves to one integrator instance and verifier per tenant (`route.tenants`).
+   */
+  resolveRoutes(routes) {
+    const problems = [];
+    const resolved = [];
+
+    routes.forEach((route, index) => {
+      const label = `routes[${index}]${route.path ? ` (${route.path})` : ''}`;
+      if (!route.path || !route.integrator || !route.handler) {
+        problems.push(`${label}: path, integrator and handler are required`);
+        return;
+      }
+
+      const targets = {};
+      for (const tenant of this.tenantIds()) {
+        const forTenant = tenant ? ` (tenant ${tenant})` : '';
+        try {
+          const integrator = this.getIntegrator(route.integrator, tenant);
+          if (typeof integrator[route.handler] !== 'function') {
+            problems.push(`${label}: integrator "${route.integrator}" has no method ${route.handler}()`);
+            return;
+          }
+          const verifier = this.createVerifier(route, integrator);
+          targets[tenant || ''] = {
+            integrator_instance: integrator,
+            verifier,
+            check_signature: signatureMiddleware(verifier, this.logger)
+          };
+        } catch (error) {
+          if (error instanceof ConfigValidationError) {
+            for (const problem of error.problems) {
+              problems.push(`integrators.${route.integrator}.${problem.path}${forTenant}: ${problem.message}`);
+            }
+          } else {
+            problems.push(`${label}${forTenant}: ${error.message}`);
+          }
+        }
+      }
+
+      try {
+        resolved.push({
+          ...route,
+          ...targets[''],
+          tenants: this.tenants ? targets : null,
+          provider: route.provider || route.integrator,
+          full_path: `${this.config.base_path}${this.tenants ? '/:tenant' : ''}${route.path}`,
+          validator: route.schema ? this.createValidator(route) : null,
+          rate_limit: normalizeLimits(route.rate_limit || this.config.rate_limit || DEFAULT_RATE_LIMIT)
+        });
+      } catch (error) {
+        problems.push(`${label}: ${error.message}`);
+      }
+    });
+
+    // An integrator used by several routes reports its config problems once
+    if (problems.length > 0) throw new GatewayConfigError([...new Set(problems)]);
+    return resolved;
+  }
+
+  /**
+   * Tenant IDs in multi-tenant mode, else [null]
+   */
+  tenantIds() {
+    return this.tenants ? this.tenants.ids() : [null];
+  }
+
+  /**
+   * The integrator instance and verifier a request for `tenant` goes to
+   */
+  routeTarget(route, tenant) {
+    return route.tenants ? route.tenants[tenant] : route;
+  }
+
+  /**
+   * Scheduled polls; every job's integrator must have the method it names
+   */
+  createScheduler(schedules) {
+    const problems = [];
+    schedules.forEach((job, index) => {
+      const label = `schedules[${index}]`;
+      if (!job.integrator || !job.method || !(job.interval_minutes > 0)) {
+        problems.push(`${label}: integrator, method and a positive interval_minutes are required`);
+        return;
+      }
+      for (const tenant of this.tenantIds()) {
+        try {
+          if (typeof this.getIntegrator(job.integrator, tenant)[job.method] !== 'function') {
+            problems.push(`${label}: integrator "${job.integrator}" has no method ${job.method}()`);
+            return;
+          }
+        } catch (error) {
+          problems.push(`${label}${tenant ? ` (tenant ${tenant})` : ''}: ${error.message}`);
+        }
+      }
+    });
+    if (problems.length > 0) throw new GatewayConfigError([...new Set(problems)]);
+
+    return new PollScheduler(schedules, {
+      resolve: (integrator, tenant) => this.getIntegrator(integrator, tenant),
+      tenants: this.tenants?.ids(),
+      logger: this.logger
+    });
+  }
+
+  /**
+   * A route's own `signature` block wins; otherwise reuse the verifier the integrator
+   * already built from its config (e.g. apollo.webhookSecret)
+   */
+  createVerifier(route, integrator) {
+    const signature = route.signature;
+    if (!signature && integrator.webhookVerifier) return integrator.webhookVerifier;
+
+    return createWebhookVerifier(signature?.provider || route.provider || route.integrator, {
+      ...signature,
+      secret: signature?.secret || (signature?.secret_env && process.env[signature.secret_env])
+    });
+  }
+
+  /**
+   * Validator for a route's `schema`: one passed in through options.validators, else a
+   * schema or group compiled from the webhook payload schema file
+   */
+  createValidator(route) {
+    if (this.validators[route.schema]) return this.validators[route.schema];
+
+    if (!this.schemaRegistry) {
+      this.schemaRegistry = WebhookSchemaRegistry.load(this.config.schema_file
+        ? path.resolve(__dirname, this.config.schema_file)
+        : undefined);
+    }
+    if (!this.schemaRegistry.has(route.schema)) {
+      throw new Error(`unknown schema "${route.schema}"`);
+    }
+    return this.schemaRegistry.validator(route.schema, { allow_unknown_events: route.allow_unknown_events });
+  }
+
+  /**
+   * Integrator instance by name: passed in, or built from config.integrators[name] = { module, export, config }.
+   * Without a `config` the integrator gets the layered config (lib/config-loader.js) read from
+   * `config_file`, environment variables and secret files. A tenant gets its own instance, built
+   * with that tenant's overrides.
+   */
+  getIntegrator(name, tenant = null) {
+    const key = tenant ? `${tenant}/${name}` : name;
+    if (this.integrators[key]) return this.integrators[key];
+
+    const definition = this.config.integrators?.[name];
+    if (!definition?.module) {
+      throw new Error(`integrator "${name}" is not configured`);
+    }
+
+    const exported = require(path.resolve(__dirname, definition.module));
+    const IntegratorClass = definition.export ? exported[definition.export] : exported;
+    if (typeof IntegratorClass !== 'function') {
+      throw new Error(`module ${definition.module} does not export an integrator class`);
+    }
+
+    // Integrators log like the gateway unless their own config has a logging block
+    const config = definition.config
+      ? { logging: this.config.logging, ...definition.config }
+      : this.getLoadedConfig();
+    this.integrators[key] = new IntegratorClass(tenant ? this.tenants.configFor(tenant, name, config) : config);
+    return this.integrators[key];
+  }
+
+  getLoadedConfig() {
+    if (!this.loadedConfig) this.loadedConfig = loadConfig({ file: this.config.config_file });
+    return this.loadedConfig;
+  }
+
+  setupRoutes() {
+    // Every provider signs the raw bytes, so keep them alongside the parsed body
+    this.app.use(this.config.base_path, express.json({
+      limit: this.config.body_limit,
+      type: () => true,
+      verify: captureRawBody
+    }));
+
+    for (const route of this.routes) {
+      this.app.post(route.full_path,
+        this.requestLogger(route),
+        this.resolveTenant(route),
+        this.rateLimit(route),
+        (req, res, next) => this.routeTarget(route, req.tenant).check_signature(req, res, next),
+        this.validate(route),
+        this.dispatch(route)
+      );
+      this.logger.info(`[Gateway] ${route.full_path} -> ${route.integrator}.${route.handler}()`);
+    }
+
+    this.app.get('/health', (req, res) => {
+      res.json({
+        status: 'healthy',
+        service: 'webhook-gateway',
+        routes: this.routes.map(route => ({ path: route.full_path, provider: route.provider })),
+        tenants: this.tenants ? this.tenants.ids() : undefined,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Body parser failures: malformed JSON or an oversized payload
+    this.app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+      }
+      if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Payload too large' });
+      }
+      this.logger.error('[Gateway] Unhandled error', { error: error.message });
+      res.status(500).json({ error: 'Internal error' });
+    });
+  }
+
+  requestLogger(route) {
+    return (req, res, next) => {
+      const startedAt = Date.now();
+      req.requestId = req.headers['x-request-id'] || crypto.randomUUID();
+      res.set('X-Request-Id', req.requestId);
+
+      res.on('finish', () => {
+        this.logger.info('webhook request', {
+          request_id: req.requestId,
+          correlation_id: req.requestId,
+          provider: route.provider,
+          path: route.full_path,
+          tenant: req.tenant || null,
+          event_type: req.body?.event_type || req.body?.event || null,
+          status: res.statusCode,
+          duration_ms: Date.now() - startedAt
+        });
+      });
+      withCorrelationId(req.requestId, next);
+    };
+  }
+
+  /**
+   * Multi-tenant mode: the tenant in the URL must be configured
+   */
+  resolveTenant(route) {
+    return (req, res, next) => {
+      if (!route.tenants) return next();
+      if (!Object.prototype.hasOwnProperty.call(route.tenants, req.params.tenant)) {
+        return res.status(404).json({ error: 'Unknown tenant', request_id: req.requestId });
+      }
+      req.tenant = req.params.tenant;
+      next();
+    };
+  }
+
+  /**
+   * Per route, tenant and client IP token buckets; over the limit answers 429 with Retry-After
+   */
+  rateLimit(route) {
+    return (req, res, next) => {
+      const key = [route.full_path, req.tenant, req.ip].filter(Boolean).join(':');
+      const now = Date.now();
+      if (now - this.bucketsSweptAt >= BUCKET_SWEEP_INTERVAL_MS) this.sweepBuckets(now);
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, route.rate_limit.map(spec => new TokenBucket(spec.capacity, spec.windowMs)));
+      }
+
+      const buckets = this.buckets.get(key);
+      const waitMs = Math.max(0, ...buckets.map(bucket => bucket.waitTime(now)));
+      if (waitMs > 0) {
+        res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+        return res.status(429).json({ error: 'Rate limit exceeded' });
+      }
+
+      buckets.forEach(bucket => bucket.take());
+      next();
+    };
+  }
+
+  /**
+   * Drop the buckets of clients that have been quiet long enough to be back at full capacity;
+   * their next request starts a new, equally full bucket
+   */
+  sweepBuckets(now = Date.now()) {
+    for (const [key, buckets] of this.buckets) {
+      if (buckets.every(bucket => bucket.isFull(now))) this.buckets.delete(key);
+    }
+    this.bucketsSweptAt = now;
+  }
+
+  validate(route) {
+    return (req, res, next) => {
+      const errors = this.validatePayload(route, req.body);
+      if (errors.length > 0) {
+        return res.status(422).json({
+          error: 'Invalid payload',
+          request_id: req.requestId,
+          schema: route.schema || null,
+          details: errors
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Errors as [{ path, message }]: the body must be an object with the route's
+   * required_fields, and pass the route's named schema validator if one is set
+   */
+  validatePayload(route, payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return [{ path: '', message: 'must be a JSON object' }];
+    }
+
+    const errors = (route.required_fields || [])
+      .filter(field => getPath(payload, field) === undefined || getPath(payload, field) === null)
+      .map(field => ({ path: `/${field.replace(/\./g, '/')}`, message: 'is required' }));
+
+    if (route.validator) {
+      errors.push(...route.validator(payload));
+    }
+    return errors;
+  }
+
+  dispatch(route) {
+    return async (req, res) => {
+      const context = {
+        request_id: req.requestId,
+        provider: route.provider,
+        path: route.full_path,
+        ...(req.tenant && { tenant: req.tenant }),
+        received_at: new Date().toISOString()
+      };
+
+      if (this.inbox) {
+        try {
+          const { event_id: eventId, duplicate } = await this.inbox.enqueue(route.path, req.body, {
+            ...context,
+            raw_body: req.rawBody
+          });
+          if (duplicate) {
+            return res.status(200).json({ status: 'duplicate', request_id: req.requestId, event_id: eventId });
+          }
+          return res.status(202).json({ status: 'accepted', request_id: req.requestId, event_id: eventId });
+        } catch (error) {
+          this.logger.error(`[Gateway] Could not persist event (${req.requestId})`, { error: error.message });
+          return res.status(503).json({ error: 'Event could not be stored', request_id: req.requestId });
+        }
+      }
+
+      try {
+        const integrator = this.routeTarget(route, req.tenant).integrator_instance;
+        const result = await integrator[route.handler](req.body, { ...context, headers: req.headers });
+        res.status(200).json({ status: 'processed', request_id: req.requestId, result: result ?? null });
+      } catch (error) {
+        this.logger.error(`[Gateway] ${route.integrator}.${route.handler}() failed (${req.requestId})`, { error: error.message });
+        res.status(500).json({ error: 'Processing failed', request_id: req.requestId });
+      }
+    };
+  }
+
+  /**
+   * Inbox worker: hand a stored event to its route's integrator. Throwing schedules a retry.
+   */
+  async processEvent(record) {
+    const route = this.routes.find(candidate => candidate.path === record.route);
+    if (!route) throw new Error(`No route for ${record.route}`);
+    const target = this.routeTarget(route, record.tenant);
+    if (!target) throw new Error(`Tenant ${record.tenant} is not configured for ${record.route}`);
+
+    // Retries log under the same correlation_id as the request that delivered the event
+    await withCorrelationId(record.request_id || record.event_id, async () => {
+      await target.integrator_instance[route.handler](record.payload, {
+        request_id: record.request_id,
+        event_id: record.event_id,
+        provider: route.provider,
+        path: route.full_path,
+        ...(record.tenant && { tenant: record.tenant }),
+        received_at: record.received_at,
+        attempt: record.attempts
+      });
+      this.logger.info(`[Gateway] Processed ${record.event_id} via ${route.integrator}.${route.handler}() (attempt ${record.attempts})`);
+    });
+  }
+
+  /**
+   * Match every integrator's custom fields to the tenant's before taking traffic; the integrator
+   * logs missing ones, or throws when configured to fail on them
+   */
+  async resolveCustomFields() {
+    for (const integrator of new Set(Object.values(this.integrators))) {
+      if (typeof integrator.resolveCustomFields === 'function') await integrator.resolveCustomFields();
+    }
+  }
+
+  async start(port = this.config.port) {
+    await this.resolveCustomFields();
+    if (this.inbox) {
+      await this.inbox.start(record => this.processEvent(record), error => {
+        this.logger.error('[Gateway] Inbox worker error', { error: error.message });
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, error => {
+        if (error) return reject(error);
+        this.server.off('error', reject);
+        this.logger.info(`[Gateway] Listening on port ${this.server.address().port}`);
+        resolve();
+      });
+      this.server.once('error', reject);
+    });
+    // Scheduled polls only once the gateway is fully up
+    this.scheduler.start();
+    return this.server;
+  }
+
+  async stop() {
+    this.scheduler.stop();
+    await new Promise((resolve, reject) => {
+      if (!this.server) return resolve();
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+    if (this.inbox) await this.inbox.stop();
+  }
+}
+
+function loadGatewayConfig(filePath) {
+  return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+}
+
+if (require.main === module) {
+  const configPath = process.argv[2] || process.env.WEBHOOK_GATEWAY_CONFIG;
+  if (!configPath) {
+    console.error('Usage: node webhook-gateway.js <config.json> (or set WEBHOOK_GATEWAY_CONFIG)');
+    process.exit(1);
+  }
+
+  const config = loadGatewayConfig(configPath);
+  const gateway = new WebhookGateway(config);
+  gateway.start(process.env.PORT || config.port).catch(error => {
+    gateway.logger.error('[Gateway] Failed to start', { error: error.message });
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', () => gateway.stop().then(() => process.exit(0)));
+}
+
+module.exports = {
+  WebhookGateway,
+  GatewayConfigError,
+  loadGatewayConfig
+};
@@ -0,0 +1,117 @@
+/**
+ * Webhook Inbox CLI
+ * Inspect the gateway's durable inbox and replay dead-lettered events. Safe to run while
+ * the gateway is up: replayed events are picked up by its worker on the next poll.
+ *
+ * Usage:
+ *   node webhook-inbox-cli.js stats
+ *   node webhook-inbox-cli.js list [pending|processing|done|dead]   (default: dead)
+ *   node webhook-inbox-cli.js show <event_id>
+ *   node webhook-inbox-cli.js replay <event_id> | --all
+ *   node webhook-inbox-cli.js discard <event_id>
+ *
+ * The inbox directory comes from --path <dir>, the `inbox.path` of --config <gateway.json>,
+ * WEBHOOK_INBOX_PATH, or ./data/webhook-inbox.
+ */
+
+const WebhookInbox = require('./lib/webhook-inbox');
+const { loadGatewayConfig } = require('./webhook-gateway');
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--path' || argv[i] === '--config') {
+      args[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--all') {
+      args.all = true;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function usage() {
+  console.error('Usage: node webhook-inbox-cli.js <stats|list [state]|show <event_id>|replay <event_id>|replay --all|discard <event_id>> [--path <dir>] [--config <gateway.json>]');
+  process.exit(1);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, target] = args.positional;
+  if (!command) usage();
+
+  const inboxOptions = args.config ? loadGatewayConfig(args.config).inbox || {} : {};
+  if (args.path) inboxOptions.path = args.path;
+  const inbox = new WebhookInbox(inboxOptions);
+  await inbox.init();
+
+  switch (command) {
+    case 'stats':
+      console.log(JSON.stringify(await inbox.stats(), null, 2));
+      break;
+
+    case 'list': {
+      const records = await inbox.list(target || 'dead');
+      if (records.length === 0) {
+        console.log(`No ${target || 'dead'} events`);
+        break;
+      }
+      for (const record of records) {
+        console.log([
+          record.event_id,
+          record.provider || '-',
+          record.event_type || '-',
+          `attempts=${record.attempts}`,
+          record.received_at,
+          record.last_error ? `error="${record.last_error}"` : ''
+        ].join('  ').trim());
+      }
+      break;
+    }
+
+    case 'show': {
+      if (!target) usage();
+      const found = await inbox.find(target);
+      if (!found) {
+        console.error(`Event ${target} not found`);
+        process.exit(1);
+      }
+      console.log(JSON.stringify({ state: found.state, ...found.record }, null, 2));
+      break;
+    }
+
+    case 'replay': {
+      const ids = args.all ? (await inbox.list('dead')).map(record => record.event_id) : [target];
+      if (!args.all && !target) usage();
+      let replayed = 0;
+      for (const eventId of ids) {
+        if (await inbox.replay(eventId)) {
+          replayed++;
+        } else {
+          console.error(`Event ${eventId} is not dead-lettered`);
+        }
+      }
+      console.log(`Replayed ${replayed} event(s)`);
+      if (replayed < ids.length) process.exit(1);
+      break;
+    }
+
+    case 'discard':
+      if (!target) usage();
+      if (!(await inbox.discard(target))) {
+        console.error(`Event ${target} is not dead-lettered`);
+        process.exit(1);
+      }
+      console.log(`Discarded ${target}`);
+      break;
+
+    default:
+      usage();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});